@@ -4,35 +4,222 @@ const els = {
   sessionSummary: document.getElementById('sessionSummary'),
   modeButtons: [...document.querySelectorAll('.mode-btn')],
   eventSelect: document.getElementById('eventSelect'),
+  programmeSelect: document.getElementById('programmeSelect'),
+  quranRangeInput: document.getElementById('quranRangeInput'),
+  quranRangeBtn: document.getElementById('quranRangeBtn'),
+  quranRangeHint: document.getElementById('quranRangeHint'),
+  quranGroupSelect: document.getElementById('quranGroupSelect'),
+  translationList: document.getElementById('translationList'),
+  transliterationSelect: document.getElementById('transliterationSelect'),
+  segmentPanel: document.getElementById('segmentPanel'),
+  segmentButtons: document.getElementById('segmentButtons'),
+  autoStatus: document.getElementById('autoStatus'),
+  autoToggleBtn: document.getElementById('autoToggleBtn'),
+  autoStopBtn: document.getElementById('autoStopBtn'),
+  autoPaceMode: document.getElementById('autoPaceMode'),
+  autoPaceValue: document.getElementById('autoPaceValue'),
+  autoPaceBtn: document.getElementById('autoPaceBtn'),
+  audioStatus: document.getElementById('audioStatus'),
+  audioPlayBtn: document.getElementById('audioPlayBtn'),
+  audioPauseBtn: document.getElementById('audioPauseBtn'),
+  audioBackBtn: document.getElementById('audioBackBtn'),
+  audioForwardBtn: document.getElementById('audioForwardBtn'),
+  audioStopBtn: document.getElementById('audioStopBtn'),
+  audioReciterSelect: document.getElementById('audioReciterSelect'),
+  audioOutputSelect: document.getElementById('audioOutputSelect'),
   prevBtn: document.getElementById('prevBtn'),
   nextBtn: document.getElementById('nextBtn'),
   jumpLabel: document.getElementById('jumpLabel'),
   jumpInput: document.getElementById('jumpInput'),
   jumpBtn: document.getElementById('jumpBtn'),
   jumpHint: document.getElementById('jumpHint'),
+  divisionJump: document.getElementById('divisionJump'),
+  divisionSelect: document.getElementById('divisionSelect'),
+  divisionInput: document.getElementById('divisionInput'),
+  divisionJumpBtn: document.getElementById('divisionJumpBtn'),
+  divisionHint: document.getElementById('divisionHint'),
   displayUrl: document.getElementById('displayUrl'),
+  overlayUrl: document.getElementById('overlayUrl'),
   controllerUrl: document.getElementById('controllerUrl'),
+  pairingCode: document.getElementById('pairingCode'),
+  pairingUrl: document.getElementById('pairingUrl'),
+  rotateCodeBtn: document.getElementById('rotateCodeBtn'),
+  lockToggleBtn: document.getElementById('lockToggleBtn'),
+  lockSummary: document.getElementById('lockSummary'),
+  controllerList: document.getElementById('controllerList'),
+  screenList: document.getElementById('screenList'),
+  screenProfileSelect: document.getElementById('screenProfileSelect'),
+  screenIdInput: document.getElementById('screenIdInput'),
+  screenUrl: document.getElementById('screenUrl'),
+  screenNameInput: document.getElementById('screenNameInput'),
+  screenThemeSelect: document.getElementById('screenThemeSelect'),
+  screenFontScaleInput: document.getElementById('screenFontScaleInput'),
+  screenSafeMarginInput: document.getElementById('screenSafeMarginInput'),
+  screenBandPositionSelect: document.getElementById('screenBandPositionSelect'),
+  screenBandHeightInput: document.getElementById('screenBandHeightInput'),
+  screenFieldList: document.getElementById('screenFieldList'),
+  screenSaveBtn: document.getElementById('screenSaveBtn'),
+  screenDeleteBtn: document.getElementById('screenDeleteBtn'),
   restartBtn: document.getElementById('restartBtn'),
   resetBtn: document.getElementById('resetBtn'),
   blankBtn: document.getElementById('blankBtn'),
-  logsList: document.getElementById('logsList')
+  reloadBtn: document.getElementById('reloadBtn'),
+  themeSelect: document.getElementById('themeSelect'),
+  themeSummary: document.getElementById('themeSummary'),
+  logsList: document.getElementById('logsList'),
+  validationSummary: document.getElementById('validationSummary'),
+  validationList: document.getElementById('validationList'),
+  logoutBtn: document.getElementById('logoutBtn'),
+  loginPanel: document.getElementById('loginPanel'),
+  loginForm: document.getElementById('loginForm'),
+  pinInput: document.getElementById('pinInput'),
+  loginBtn: document.getElementById('loginBtn'),
+  loginError: document.getElementById('loginError'),
+  adminContent: document.getElementById('adminContent'),
+  editorEventSelect: document.getElementById('editorEventSelect'),
+  editorOpenBtn: document.getElementById('editorOpenBtn'),
+  editorNewId: document.getElementById('editorNewId'),
+  editorNewTitle: document.getElementById('editorNewTitle'),
+  editorNewBtn: document.getElementById('editorNewBtn'),
+  editorWorkspace: document.getElementById('editorWorkspace'),
+  editorEventId: document.getElementById('editorEventId'),
+  editorEventTitle: document.getElementById('editorEventTitle'),
+  editorEventTheme: document.getElementById('editorEventTheme'),
+  editorSectionList: document.getElementById('editorSectionList'),
+  editorAddSectionBtn: document.getElementById('editorAddSectionBtn'),
+  editorSlideList: document.getElementById('editorSlideList'),
+  editorAddSlideBtn: document.getElementById('editorAddSlideBtn'),
+  editorSectionTitle: document.getElementById('editorSectionTitle'),
+  editorSectionId: document.getElementById('editorSectionId'),
+  editorSlideFields: [...document.querySelectorAll('[data-slide-field]')],
+  editorPreview: document.getElementById('editorPreview'),
+  editorSaveBtn: document.getElementById('editorSaveBtn'),
+  editorDiscardBtn: document.getElementById('editorDiscardBtn'),
+  editorStatus: document.getElementById('editorStatus'),
+  editorIssues: document.getElementById('editorIssues'),
+  duaEditorSelect: document.getElementById('duaEditorSelect'),
+  duaOpenBtn: document.getElementById('duaOpenBtn'),
+  duaImportText: document.getElementById('duaImportText'),
+  duaNewId: document.getElementById('duaNewId'),
+  duaNewTitle: document.getElementById('duaNewTitle'),
+  duaImportBtn: document.getElementById('duaImportBtn'),
+  duaWorkspace: document.getElementById('duaWorkspace'),
+  duaEditorId: document.getElementById('duaEditorId'),
+  duaEditorTitle: document.getElementById('duaEditorTitle'),
+  duaImportSummary: document.getElementById('duaImportSummary'),
+  duaImportIssues: document.getElementById('duaImportIssues'),
+  duaLineList: document.getElementById('duaLineList'),
+  duaAddLineBtn: document.getElementById('duaAddLineBtn'),
+  duaSaveBtn: document.getElementById('duaSaveBtn'),
+  duaDiscardBtn: document.getElementById('duaDiscardBtn'),
+  duaEditorStatus: document.getElementById('duaEditorStatus'),
+  duaEditorIssues: document.getElementById('duaEditorIssues')
 };
 
+const DUA_LINE_PLACEHOLDERS = {
+  section: 'Section title, if a new section starts here',
+  arabic: 'Arabic',
+  transliteration: 'Transliteration',
+  english: 'English'
+};
+// Matches PACE_LIMITS in server/autoAdvance.js.
+const AUTO_PACE_FIELDS = {
+  fixed: { field: 'seconds', min: 3, max: 600 },
+  text: { field: 'charactersPerSecond', min: 2, max: 60 }
+};
+// Matches DISPLAY_FIELDS in server/loaders.js.
+const SCREEN_FIELD_LABELS = {
+  brand: 'Brand name and logo',
+  clock: 'Clock',
+  title: 'Title',
+  lineNumber: 'Line or ayah number',
+  instruction: 'Instruction',
+  repeat: 'Repeat text',
+  repeatCounter: 'Repeat counter',
+  reference: 'Reference',
+  arabic: 'Arabic',
+  transliteration: 'Transliteration',
+  english: 'First translation',
+  translations: 'Other translations',
+  note: 'Note'
+};
+const SLIDE_FIELDS = ['title', 'instruction', 'repeat', 'reference', 'arabic', 'transliteration', 'english', 'note'];
+
 let ws = null;
 let reconnectTimer = null;
+let authRequired = false;
+const audioOutput = createAudioOutput(send);
 let surahs = [];
 const surahByNumber = new Map();
+let quranDivisions = {};
+let quranLanguages = {
+  translations: [],
+  transliterations: []
+};
 
 let currentSession = null;
 let currentContent = null;
 let systemInfo = null;
+let pairingInfo = null;
+let lockState = {
+  enabled: false,
+  holderId: null,
+  requests: []
+};
 let catalog = {
-  events: []
+  duas: [],
+  events: [],
+  programmes: []
 };
 let controllerStatus = {
   connected: false,
   controllerCount: 0
 };
+let autoAdvance = {
+  status: 'off',
+  pace: null,
+  remainingMs: 0
+};
+let autoAdvanceReceivedAt = 0;
+let autoAdvanceTimer = null;
+let audio = {
+  status: 'stopped',
+  reciterId: null,
+  outputId: null,
+  positionSec: 0,
+  reciters: [],
+  outputs: []
+};
+let audioReceivedAt = 0;
+let screens = {
+  profiles: [],
+  connected: []
+};
+let screenFormKey = null;
+let pendingScreenId = '';
+let audioTimer = null;
+let brandConfig = null;
+let fontLibrary = [];
+let themes = {
+  themes: [],
+  liveThemeId: null,
+  activeThemeId: '',
+  defaultThemeId: 'default'
+};
+let editor = {
+  event: null,
+  isNew: false,
+  dirty: false,
+  sectionIndex: 0,
+  slideIndex: 0
+};
+let previewTimer = null;
+let duaEditor = {
+  dua: null,
+  isNew: false,
+  dirty: false,
+  flaggedLines: new WeakSet()
+};
 
 function wsUrl() {
   const protocol = window.location.protocol === 'https:' ? 'wss:' : 'ws:';
@@ -67,6 +254,44 @@ function populateEventSelect() {
   }
 }
 
+function populateProgrammeSelect() {
+  const selectedProgrammeId = currentSession?.selectedProgrammeId || catalog.programmes[0]?.id || '';
+  els.programmeSelect.innerHTML = '';
+
+  catalog.programmes.forEach((programme) => {
+    const option = document.createElement('option');
+    option.value = programme.id;
+    option.textContent = programme.title;
+    els.programmeSelect.appendChild(option);
+  });
+
+  if (selectedProgrammeId) {
+    els.programmeSelect.value = selectedProgrammeId;
+  }
+}
+
+function getActiveSessionType() {
+  return currentSession?.activeSessionType || currentSession?.sessionType || 'quran';
+}
+
+function renderSegmentButtons() {
+  const segments = currentSession?.sessionType === 'programme' ? currentSession.lockedProgramme?.segments || [] : [];
+  const currentIndex = Number(currentSession?.programme?.segmentIndex) || 0;
+  els.segmentPanel.classList.toggle('hidden', segments.length === 0);
+  els.segmentButtons.innerHTML = '';
+
+  segments.forEach((segment) => {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'segment-btn';
+    button.textContent = `${segment.index + 1}. ${segment.title} · ${segment.totalItems} item(s)`;
+    button.disabled = !controlsEnabled();
+    button.classList.toggle('active', segment.index === currentIndex);
+    button.addEventListener('click', () => send({ type: 'jump_segment', segmentIndex: segment.index }));
+    els.segmentButtons.appendChild(button);
+  });
+}
+
 function renderLogs(entries) {
   const items = Array.isArray(entries) && entries.length > 0 ? entries : ['No controller activity yet.'];
   els.logsList.innerHTML = '';
@@ -78,16 +303,37 @@ function renderLogs(entries) {
   });
 }
 
+function renderValidation(validation) {
+  const issues = Array.isArray(validation?.issues) ? validation.issues : [];
+  els.validationList.innerHTML = '';
+
+  if (issues.length === 0) {
+    els.validationSummary.textContent = 'All dua, event and Quran files are valid.';
+    return;
+  }
+
+  els.validationSummary.textContent =
+    `${validation.errors} error(s), ${validation.warnings} warning(s). ` +
+    'Fix the files and save, or run npm run validate.';
+
+  issues.forEach((issue) => {
+    const item = document.createElement('li');
+    item.className = issue.level === 'error' ? 'is-error' : 'is-warning';
+    item.textContent = `${issue.file} ${issue.path}: ${issue.message}`;
+    els.validationList.appendChild(item);
+  });
+}
+
 function renderModeButtons() {
   const sessionType = currentSession?.sessionType || 'quran';
   els.modeButtons.forEach((button) => {
     button.classList.toggle('active', button.dataset.mode === sessionType);
-    button.disabled = !controlsEnabled();
+    button.disabled = !controlsEnabled() || (button.dataset.mode === 'programme' && catalog.programmes.length === 0);
   });
 }
 
 function getJumpConfig() {
-  const sessionType = currentSession?.sessionType || 'quran';
+  const sessionType = getActiveSessionType();
 
   if (sessionType === 'dua') {
     const totalLines = Number(currentSession?.lockedDua?.totalLines) || 1;
@@ -112,16 +358,176 @@ function getJumpConfig() {
   }
 
   const surahNumber = Number(currentSession?.quran?.surahNumber) || 1;
+  const ayahNumber = Number(currentSession?.quran?.ayahNumber) || 1;
   const maxAyah = surahByNumber.get(surahNumber)?.ayahCount || 1;
+  const range = currentSession?.quranRange;
+
+  if (range) {
+    return {
+      label: 'Jump to ayah',
+      min: range.start.surahNumber === surahNumber ? range.start.ayahNumber : 1,
+      max: range.end.surahNumber === surahNumber ? range.end.ayahNumber : maxAyah,
+      value: ayahNumber,
+      hint: `Surah ${surahNumber} - Ayah ${ayahNumber} · ${range.position} of ${range.total} in ${range.title}`
+    };
+  }
+
   return {
     label: 'Jump to ayah',
     min: 1,
     max: maxAyah,
-    value: Number(currentSession?.quran?.ayahNumber) || 1,
-    hint: `Surah ${surahNumber} - Ayah ${Number(currentSession?.quran?.ayahNumber) || 1} / ${maxAyah}`
+    value: ayahNumber,
+    hint: `Surah ${surahNumber} - Ayah ${ayahNumber} / ${maxAyah}`
+  };
+}
+
+const DIVISION_LABELS = {
+  juz: 'Juz',
+  hizb: 'Hizb',
+  ruku: 'Ruku',
+  page: 'Page'
+};
+
+function populateDivisionSelect() {
+  els.divisionSelect.innerHTML = '';
+
+  Object.keys(DIVISION_LABELS)
+    .filter((kind) => Number(quranDivisions[kind]) > 0)
+    .forEach((kind) => {
+      const option = document.createElement('option');
+      option.value = kind;
+      option.textContent = DIVISION_LABELS[kind];
+      els.divisionSelect.appendChild(option);
+    });
+}
+
+function syncDivisionInput(value) {
+  const kind = els.divisionSelect.value;
+  const max = Number(quranDivisions[kind]) || 1;
+  const current = currentContent?.quran?.divisions || {};
+  const clamped = Math.max(1, Math.min(max, Number(value) || current[kind] || 1));
+  els.divisionInput.max = String(max);
+  els.divisionInput.value = String(clamped);
+  els.divisionHint.textContent = Object.keys(DIVISION_LABELS)
+    .filter((entry) => current[entry])
+    .map((entry) => `${DIVISION_LABELS[entry]} ${current[entry]}`)
+    .join(' · ');
+  return clamped;
+}
+
+function renderDivisionJump() {
+  const visible = getActiveSessionType() === 'quran' && els.divisionSelect.options.length > 0;
+  els.divisionJump.classList.toggle('hidden', !visible);
+  if (visible) {
+    syncDivisionInput(currentContent?.quran?.divisions?.[els.divisionSelect.value]);
+  }
+}
+
+function renderQuranRange() {
+  const range = currentSession?.sessionType === 'quran' ? currentSession.quranRange : null;
+  els.quranRangeHint.textContent = range
+    ? `Locked to ${range.title} (${range.total} ayahs).`
+    : 'Blank runs the whole Quran. Setting a range starts a new Quran session.';
+  els.quranGroupSelect.value = String(currentSession?.quranGroup || 1);
+}
+
+function getSelectedLanguages() {
+  return {
+    translations: currentSession?.quranLanguages?.translations || [],
+    transliteration: currentSession?.quranLanguages?.transliteration || null
   };
 }
 
+// Ticked translations are listed first, in the order they are shown on screen.
+function renderQuranLanguages() {
+  const selected = getSelectedLanguages();
+  const byCode = new Map(quranLanguages.translations.map((language) => [language.code, language]));
+  const ordered = [
+    ...selected.translations.filter((code) => byCode.has(code)),
+    ...quranLanguages.translations.map((language) => language.code).filter((code) => !selected.translations.includes(code))
+  ];
+
+  els.translationList.innerHTML = '';
+  ordered.forEach((code) => {
+    const language = byCode.get(code);
+    const isSelected = selected.translations.includes(code);
+    const item = document.createElement('li');
+    item.dataset.code = code;
+    item.classList.toggle('is-selected', isSelected);
+
+    const label = document.createElement('label');
+    label.className = 'item-label';
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.checked = isSelected;
+    label.append(checkbox, ` ${language.name}${language.direction === 'rtl' ? ' (RTL)' : ''}`);
+
+    const actions = document.createElement('div');
+    actions.className = 'controller-actions';
+    if (isSelected) {
+      actions.append(createListButton('Up', 'up'), createListButton('Down', 'down'));
+    }
+
+    item.append(label, actions);
+    els.translationList.appendChild(item);
+  });
+
+  const options = [
+    ['', 'None'],
+    ...quranLanguages.transliterations.map((language) => [language.code, language.name])
+  ];
+  const optionsKey = options.map(([code]) => code).join(',');
+  if (els.transliterationSelect.dataset.optionsKey !== optionsKey) {
+    els.transliterationSelect.innerHTML = '';
+    options.forEach(([code, name]) => {
+      const option = document.createElement('option');
+      option.value = code;
+      option.textContent = name;
+      els.transliterationSelect.appendChild(option);
+    });
+    els.transliterationSelect.dataset.optionsKey = optionsKey;
+  }
+  els.transliterationSelect.value = selected.transliteration || '';
+}
+
+function sendQuranLanguages(changes) {
+  send({
+    type: 'admin_set_quran_languages',
+    ...getSelectedLanguages(),
+    ...changes
+  });
+}
+
+function handleTranslationListClick(event) {
+  const item = event.target.closest('li');
+  if (!item || event.target.disabled) {
+    return;
+  }
+
+  const code = item.dataset.code;
+  const translations = [...getSelectedLanguages().translations];
+  const index = translations.indexOf(code);
+  const action = event.target.closest('button')?.dataset.action;
+
+  if (action === 'up' || action === 'down') {
+    const target = index + (action === 'up' ? -1 : 1);
+    if (index < 0 || target < 0 || target >= translations.length) {
+      return;
+    }
+    [translations[index], translations[target]] = [translations[target], translations[index]];
+  } else if (event.target.type === 'checkbox') {
+    if (index >= 0) {
+      translations.splice(index, 1);
+    } else {
+      translations.push(code);
+    }
+  } else {
+    return;
+  }
+
+  sendQuranLanguages({ translations });
+}
+
 function renderJumpControls() {
   const config = getJumpConfig();
   els.jumpLabel.textContent = config.label;
@@ -133,9 +539,399 @@ function renderJumpControls() {
 
 function renderSystemInfo() {
   els.displayUrl.textContent = systemInfo?.displayUrl || '';
+  els.overlayUrl.textContent = systemInfo?.overlayUrl || '';
   els.controllerUrl.textContent = systemInfo?.controllerUrl || '';
 }
 
+function getSelectedScreenProfile() {
+  return screens.profiles.find((profile) => profile.id === els.screenProfileSelect.value) || null;
+}
+
+function fillScreenForm() {
+  const profile = getSelectedScreenProfile();
+  const hiddenFields = profile?.hiddenFields || [];
+  screenFormKey = JSON.stringify(profile);
+  els.screenIdInput.value = profile?.id || '';
+  els.screenIdInput.readOnly = Boolean(profile);
+  els.screenNameInput.value = profile?.name || '';
+  fillThemeSelect(els.screenThemeSelect, 'Follow the live theme', profile?.theme || '');
+  els.screenFontScaleInput.value = String(profile?.fontScale || 1);
+  els.screenSafeMarginInput.value = profile?.safeMargin || '';
+  els.screenBandPositionSelect.value = profile?.bandPosition || 'bottom';
+  els.screenBandHeightInput.value = String(profile?.bandHeight || 28);
+
+  els.screenFieldList.innerHTML = '';
+  Object.entries(SCREEN_FIELD_LABELS).forEach(([field, text]) => {
+    const item = document.createElement('li');
+    item.classList.toggle('is-selected', hiddenFields.includes(field));
+    const label = document.createElement('label');
+    label.className = 'item-label';
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.value = field;
+    checkbox.checked = hiddenFields.includes(field);
+    checkbox.addEventListener('change', () => item.classList.toggle('is-selected', checkbox.checked));
+    label.append(checkbox, ` ${text}`);
+    item.appendChild(label);
+    els.screenFieldList.appendChild(item);
+  });
+  renderScreenUrl();
+}
+
+function renderScreenUrl() {
+  const id = els.screenIdInput.value.trim().toLowerCase();
+  els.screenUrl.textContent = id
+    ? `Open ${systemInfo?.displayUrl || '/display'}?screen=${id}, or ${systemInfo?.overlayUrl || '/overlay'}?screen=${id} for a lower third.`
+    : 'Pick an id, such as stream or hall.';
+}
+
+function renderScreens() {
+  els.screenList.innerHTML = '';
+  if (screens.connected.length === 0) {
+    const item = document.createElement('li');
+    item.textContent = 'No displays connected.';
+    els.screenList.appendChild(item);
+  }
+  screens.connected.forEach((screen) => {
+    const item = document.createElement('li');
+    const notes = [screen.name, screen.screen ? `?screen=${screen.screen}` : 'no screen id', screen.ip];
+    if (screen.screen && !screen.hasProfile) {
+      notes.push('no saved profile, default layout');
+    }
+    item.textContent = notes.join(' · ');
+    els.screenList.appendChild(item);
+  });
+
+  const firstRender = els.screenProfileSelect.options.length === 0;
+  const selectedId = pendingScreenId || els.screenProfileSelect.value;
+  els.screenProfileSelect.innerHTML = '';
+  screens.profiles.forEach((profile) => {
+    els.screenProfileSelect.appendChild(new Option(`${profile.name} (${profile.id})`, profile.id));
+  });
+  els.screenProfileSelect.appendChild(new Option('New screen profile', ''));
+  if (screens.profiles.some((profile) => profile.id === selectedId)) {
+    els.screenProfileSelect.value = selectedId;
+    pendingScreenId = '';
+  } else {
+    els.screenProfileSelect.value = firstRender || selectedId ? screens.profiles[0]?.id || '' : '';
+  }
+
+  // Keep unsaved edits unless the profile itself changed on the server.
+  if (JSON.stringify(getSelectedScreenProfile()) !== screenFormKey) {
+    fillScreenForm();
+  }
+  renderScreenControls();
+}
+
+function renderScreenControls() {
+  const enabled = controlsEnabled();
+  [
+    els.screenProfileSelect,
+    els.screenIdInput,
+    els.screenNameInput,
+    els.screenThemeSelect,
+    els.screenFontScaleInput,
+    els.screenSafeMarginInput,
+    els.screenBandPositionSelect,
+    els.screenBandHeightInput,
+    els.screenSaveBtn,
+    ...els.screenFieldList.querySelectorAll('input')
+  ].forEach((control) => {
+    control.disabled = !enabled;
+  });
+  els.screenDeleteBtn.disabled = !enabled || !getSelectedScreenProfile();
+}
+
+function applyScreens(payload) {
+  if (!payload) {
+    return;
+  }
+
+  screens = payload;
+  renderScreens();
+}
+
+function saveScreenProfile() {
+  pendingScreenId = els.screenIdInput.value.trim().toLowerCase();
+  send({
+    type: 'admin_save_display_profile',
+    profile: {
+      id: pendingScreenId,
+      name: els.screenNameInput.value,
+      theme: els.screenThemeSelect.value,
+      fontScale: Number(els.screenFontScaleInput.value) || 1,
+      safeMargin: els.screenSafeMarginInput.value,
+      bandPosition: els.screenBandPositionSelect.value,
+      bandHeight: Number(els.screenBandHeightInput.value) || 28,
+      hiddenFields: [...els.screenFieldList.querySelectorAll('input:checked')].map((checkbox) => checkbox.value)
+    }
+  });
+}
+
+function getThemeName(themeId) {
+  return themes.themes.find((theme) => theme.id === themeId)?.name || themeId;
+}
+
+// Keeps a theme a file no longer provides selectable, so saving the form
+// does not silently drop it.
+function fillThemeSelect(select, emptyLabel, value) {
+  select.innerHTML = '';
+  select.appendChild(new Option(emptyLabel, ''));
+  themes.themes.forEach((theme) => {
+    select.appendChild(new Option(theme.name, theme.id));
+  });
+  if (value && !themes.themes.some((theme) => theme.id === value)) {
+    select.appendChild(new Option(`${value} (not in data/themes)`, value));
+  }
+  select.value = value;
+}
+
+function renderThemes() {
+  const activeName = themes.activeThemeId ? getThemeName(themes.activeThemeId) : 'built-in colours';
+  fillThemeSelect(els.themeSelect, `Automatic (${activeName})`, themes.liveThemeId || '');
+  els.themeSummary.textContent = themes.liveThemeId
+    ? 'Chosen here until you switch back to automatic.'
+    : `Automatic uses the running event's default theme, otherwise ${getThemeName(themes.defaultThemeId)} from config.json.`;
+  els.themeSelect.disabled = !controlsEnabled();
+
+  fillThemeSelect(els.screenThemeSelect, 'Follow the live theme', els.screenThemeSelect.value);
+  fillThemeSelect(els.editorEventTheme, 'None (keep the live theme)', editor.event?.theme || '');
+}
+
+function applyThemes(payload) {
+  if (!payload) {
+    return;
+  }
+
+  themes = payload;
+  renderThemes();
+}
+
+function getPreviewTheme() {
+  const themeId = editor.event?.theme || themes.activeThemeId;
+  return themes.themes.find((theme) => theme.id === themeId) || null;
+}
+
+function formatClockTime(timestamp) {
+  const date = new Date(timestamp);
+  return `${String(date.getHours()).padStart(2, '0')}:${String(date.getMinutes()).padStart(2, '0')}`;
+}
+
+function createControllerButton(label, payload) {
+  const button = document.createElement('button');
+  button.type = 'button';
+  button.textContent = label;
+  button.disabled = !controlsEnabled();
+  button.addEventListener('click', () => send(payload));
+  return button;
+}
+
+function renderPairing() {
+  els.pairingCode.textContent = pairingInfo?.code || '';
+  els.pairingUrl.textContent = pairingInfo?.pairingUrl || '';
+  els.lockToggleBtn.textContent = `Exclusive control: ${lockState.enabled ? 'on' : 'off'}`;
+  els.lockToggleBtn.classList.toggle('primary', lockState.enabled);
+  els.lockSummary.textContent = lockState.enabled
+    ? `${lockState.holderId ? `Controller ${lockState.holderId}` : 'No phone'} holds control. Other phones are read-only.`
+    : 'Every paired phone can navigate.';
+  els.controllerList.innerHTML = '';
+
+  const controllers = pairingInfo?.controllers || [];
+  if (controllers.length === 0) {
+    const item = document.createElement('li');
+    item.textContent = 'No phones paired yet.';
+    els.controllerList.appendChild(item);
+    return;
+  }
+
+  const requestedIds = new Set(lockState.requests.map((request) => request.controllerId));
+
+  controllers.forEach((controller) => {
+    const item = document.createElement('li');
+    const label = document.createElement('span');
+    const notes = [controller.connected ? 'connected' : 'offline'];
+    if (lockState.enabled && lockState.holderId === controller.id) {
+      notes.push('holds control');
+    }
+    if (requestedIds.has(controller.id)) {
+      notes.push('requested control');
+    }
+    label.textContent = `${controller.id} · ${controller.ip} · paired ${formatClockTime(controller.pairedAt)} · ${notes.join(' · ')}`;
+
+    const actions = document.createElement('div');
+    actions.className = 'controller-actions';
+
+    if (lockState.enabled && controller.connected && lockState.holderId !== controller.id) {
+      actions.appendChild(
+        createControllerButton('Give control', { type: 'approve_control', controllerId: controller.id })
+      );
+    }
+
+    if (requestedIds.has(controller.id)) {
+      actions.appendChild(
+        createControllerButton('Decline', { type: 'decline_control', controllerId: controller.id })
+      );
+    }
+
+    actions.appendChild(
+      createControllerButton('Revoke', { type: 'admin_revoke_controller', controllerId: controller.id })
+    );
+
+    item.append(label, actions);
+    els.controllerList.appendChild(item);
+  });
+}
+
+function describeAutoPace(pace) {
+  if (!pace) {
+    return '';
+  }
+
+  return pace.mode === 'text'
+    ? `${pace.charactersPerSecond} characters per second`
+    : `${pace.seconds} seconds per line or slide`;
+}
+
+function renderAutoPaceInput() {
+  const config = AUTO_PACE_FIELDS[els.autoPaceMode.value] || AUTO_PACE_FIELDS.fixed;
+  els.autoPaceValue.min = String(config.min);
+  els.autoPaceValue.max = String(config.max);
+  els.autoPaceValue.value = String(autoAdvance.pace?.[config.field] || '');
+}
+
+function renderAutoAdvance() {
+  const sessionType = getActiveSessionType();
+  const available = sessionType === 'dua' || sessionType === 'guided_event';
+  const enabled = controlsEnabled();
+  const secondsLeft = Math.max(
+    0,
+    Math.ceil((autoAdvance.remainingMs - (autoAdvance.status === 'running' ? Date.now() - autoAdvanceReceivedAt : 0)) / 1000)
+  );
+  const pace = describeAutoPace(autoAdvance.pace);
+
+  if (autoAdvance.status === 'running') {
+    els.autoStatus.textContent = `Running at ${pace}. Next step in ${secondsLeft}s.`;
+  } else if (autoAdvance.status === 'paused') {
+    els.autoStatus.textContent = `Paused at ${pace}, ${secondsLeft}s left on this item.`;
+  } else {
+    els.autoStatus.textContent = available
+      ? `Off. Pace: ${pace}.`
+      : 'Off. Auto-advance steps through dua lines and guided event slides.';
+  }
+
+  els.autoToggleBtn.textContent =
+    autoAdvance.status === 'running' ? 'Pause' : autoAdvance.status === 'paused' ? 'Resume' : 'Start';
+  els.autoToggleBtn.classList.toggle('primary', autoAdvance.status !== 'running');
+  els.autoToggleBtn.disabled = !enabled || (!available && autoAdvance.status !== 'running');
+  els.autoStopBtn.disabled = !enabled || autoAdvance.status === 'off';
+  els.autoPaceMode.disabled = !enabled;
+  els.autoPaceValue.disabled = !enabled;
+  els.autoPaceBtn.disabled = !enabled;
+}
+
+function applyAutoAdvance(snapshot) {
+  if (!snapshot) {
+    return;
+  }
+
+  const paceChanged = JSON.stringify(snapshot.pace) !== JSON.stringify(autoAdvance.pace);
+  autoAdvance = snapshot;
+  autoAdvanceReceivedAt = Date.now();
+  window.clearInterval(autoAdvanceTimer);
+  autoAdvanceTimer = snapshot.status === 'running' ? window.setInterval(renderAutoAdvance, 1000) : null;
+
+  if (paceChanged) {
+    els.autoPaceMode.value = snapshot.pace.mode;
+    renderAutoPaceInput();
+  }
+  renderAutoAdvance();
+}
+
+function sendAutoPace() {
+  const mode = els.autoPaceMode.value;
+  send({
+    type: 'admin_set_auto_pace',
+    pace: {
+      mode,
+      [AUTO_PACE_FIELDS[mode].field]: Number(els.autoPaceValue.value)
+    }
+  });
+}
+
+function formatAudioPosition(positionSec) {
+  const totalSeconds = Math.max(0, Math.floor(positionSec));
+  return `${Math.floor(totalSeconds / 60)}:${String(totalSeconds % 60).padStart(2, '0')}`;
+}
+
+function getAudioPositionSec() {
+  return audio.positionSec + (audio.status === 'playing' ? (Date.now() - audioReceivedAt) / 1000 : 0);
+}
+
+function renderAudioSelects() {
+  els.audioReciterSelect.innerHTML = '';
+  if (audio.reciters.length === 0) {
+    els.audioReciterSelect.appendChild(new Option('No recitations in data/audio', ''));
+  }
+  audio.reciters.forEach((reciter) => {
+    els.audioReciterSelect.appendChild(new Option(`${reciter.name} (${reciter.surahNumbers.length} surahs)`, reciter.id));
+  });
+  els.audioReciterSelect.value = audio.reciterId || '';
+
+  els.audioOutputSelect.innerHTML = '';
+  els.audioOutputSelect.appendChild(new Option('No browser (display follows silently)', ''));
+  audio.outputs.forEach((output) => {
+    const label = output.isViewer ? `${output.label} - this page` : output.label;
+    els.audioOutputSelect.appendChild(new Option(label, output.id));
+  });
+  els.audioOutputSelect.value = audio.outputId || '';
+}
+
+function renderAudio() {
+  const enabled = controlsEnabled();
+  const reciter = audio.reciters.find((entry) => entry.id === audio.reciterId);
+  const surahNumber = getActiveSessionType() === 'quran' ? currentContent?.quran?.surahNumber : null;
+  const available = Boolean(reciter && surahNumber && reciter.surahNumbers.includes(surahNumber));
+  const position = formatAudioPosition(getAudioPositionSec());
+
+  if (audio.status === 'playing') {
+    els.audioStatus.textContent = `Playing Surah ${audio.surahNumber} at ${position}${audio.ayahNumber ? `, ayah ${audio.ayahNumber}` : ''}.`;
+  } else if (audio.status === 'paused') {
+    els.audioStatus.textContent = `Paused in Surah ${audio.surahNumber} at ${position}.`;
+  } else if (available) {
+    els.audioStatus.textContent = `Stopped. Play starts ${reciter.name} from the ayah on screen.`;
+  } else {
+    els.audioStatus.textContent = reciter
+      ? `Stopped. ${reciter.name} has no recitation for the current content.`
+      : 'Stopped. Add recitations under data/audio to play along.';
+  }
+
+  els.audioPlayBtn.disabled = !enabled || audio.status === 'playing' || (!available && audio.status === 'stopped');
+  els.audioPauseBtn.disabled = !enabled || audio.status !== 'playing';
+  els.audioBackBtn.disabled = !enabled || audio.status === 'stopped';
+  els.audioForwardBtn.disabled = !enabled || audio.status === 'stopped';
+  els.audioStopBtn.disabled = !enabled || audio.status === 'stopped';
+  els.audioReciterSelect.disabled = !enabled || audio.reciters.length === 0;
+  els.audioOutputSelect.disabled = !enabled;
+}
+
+function applyAudio(snapshot) {
+  if (!snapshot) {
+    return;
+  }
+
+  audio = snapshot;
+  audioReceivedAt = Date.now();
+  window.clearInterval(audioTimer);
+  audioTimer = snapshot.status === 'playing' ? window.setInterval(renderAudio, 1000) : null;
+  audioOutput.apply(snapshot);
+  renderAudioSelects();
+  renderAudio();
+}
+
+function seekAudio(offsetSec) {
+  send({ type: 'audio', command: 'seek', positionSec: Math.max(0, getAudioPositionSec() + offsetSec) });
+}
+
 function renderStatus(messageOverride) {
   const enabled = controlsEnabled();
   const count = controllerStatus.controllerCount || 0;
@@ -150,13 +946,37 @@ function renderStatus(messageOverride) {
   }
 
   els.eventSelect.disabled = !enabled || (currentSession?.sessionType || 'quran') !== 'guided_event';
+  els.programmeSelect.disabled = !enabled || currentSession?.sessionType !== 'programme';
+  els.quranRangeInput.disabled = !enabled;
+  els.quranRangeBtn.disabled = !enabled;
+  els.quranGroupSelect.disabled = !enabled;
+  els.transliterationSelect.disabled = !enabled;
+  els.translationList.querySelectorAll('input, button').forEach((control) => {
+    control.disabled = !enabled;
+  });
+  els.segmentButtons.querySelectorAll('button').forEach((button) => {
+    button.disabled = !enabled;
+  });
   els.prevBtn.disabled = !enabled;
   els.nextBtn.disabled = !enabled;
   els.jumpInput.disabled = !enabled;
   els.jumpBtn.disabled = !enabled;
+  els.divisionSelect.disabled = !enabled;
+  els.divisionInput.disabled = !enabled;
+  els.divisionJumpBtn.disabled = !enabled;
   els.restartBtn.disabled = !enabled;
   els.resetBtn.disabled = !enabled;
   els.blankBtn.disabled = !enabled;
+  els.reloadBtn.disabled = !enabled;
+  els.themeSelect.disabled = !enabled;
+  els.rotateCodeBtn.disabled = !enabled;
+  els.lockToggleBtn.disabled = !enabled;
+  els.controllerList.querySelectorAll('button').forEach((button) => {
+    button.disabled = !enabled;
+  });
+  renderAutoAdvance();
+  renderAudio();
+  renderScreenControls();
   renderModeButtons();
 }
 
@@ -170,7 +990,12 @@ function renderSession() {
   els.sessionSummary.textContent = `${selectedContent} ${blankState}`;
   els.blankBtn.textContent = currentSession.blanked ? 'Restore display screen' : 'Blank display screen';
   populateEventSelect();
+  populateProgrammeSelect();
+  renderSegmentButtons();
   renderJumpControls();
+  renderDivisionJump();
+  renderQuranRange();
+  renderQuranLanguages();
   renderModeButtons();
   renderStatus();
 }
@@ -184,6 +1009,9 @@ function applyBootstrap(message) {
     document.documentElement.style.setProperty('--accent', message.config.accentColor);
   }
 
+  brandConfig = message.config || brandConfig;
+  fontLibrary = message.fonts || fontLibrary;
+
   if (Array.isArray(message.surahs)) {
     surahs = message.surahs.map((surah) => ({
       number: Number(surah.number),
@@ -196,17 +1024,38 @@ function applyBootstrap(message) {
     });
   }
 
+  if (message.quranDivisions) {
+    quranDivisions = message.quranDivisions;
+    populateDivisionSelect();
+  }
+
+  if (message.dataset?.languages) {
+    quranLanguages = message.dataset.languages;
+  }
+
   currentSession = message.session || currentSession;
   currentContent = message.content || currentContent;
   systemInfo = message.system || systemInfo;
   catalog = message.catalog || catalog;
+  pairingInfo = message.pairing || pairingInfo;
+  lockState = message.lock || lockState;
+  applyAutoAdvance(message.autoAdvance);
+  applyAudio(message.audio);
+  applyThemes(message.themes);
+  applyScreens(message.screens);
   controllerStatus = {
     connected: Boolean(message.connection?.controllerConnected),
     controllerCount: Number(message.connection?.controllerCount) || 0
   };
 
   renderSystemInfo();
+  populateEditorEventSelect();
+  populateDuaEditorSelect();
+  renderPairing();
   renderLogs(message.activity?.recentActivity || []);
+  if (message.validation) {
+    renderValidation(message.validation);
+  }
   renderSession();
 }
 
@@ -221,12 +1070,12 @@ function handleJump() {
   const value = Math.max(config.min, Math.min(config.max, Number(els.jumpInput.value || config.min)));
   els.jumpInput.value = String(value);
 
-  if ((currentSession?.sessionType || 'quran') === 'dua') {
+  if (getActiveSessionType() === 'dua') {
     send({ type: 'jump_line', lineIndex: value });
     return;
   }
 
-  if ((currentSession?.sessionType || 'quran') === 'guided_event') {
+  if (getActiveSessionType() === 'guided_event') {
     send({ type: 'jump_section', sectionIndex: value - 1 });
     return;
   }
@@ -240,52 +1089,176 @@ function clampJumpInputValue() {
   els.jumpInput.value = String(value);
 }
 
-function scheduleReconnect() {
-  if (reconnectTimer) {
-    return;
-  }
+function showLogin(errorMessage) {
+  authRequired = true;
+  els.loginPanel.classList.remove('hidden');
+  els.adminContent.classList.add('hidden');
+  els.logoutBtn.classList.add('hidden');
+  els.loginError.textContent = errorMessage || '';
+  els.statusText.textContent = 'Admin login required.';
+  els.pinInput.focus();
+}
 
-  reconnectTimer = window.setTimeout(() => {
-    reconnectTimer = null;
-    connectSocket();
-  }, 1500);
+function showAdminContent() {
+  authRequired = false;
+  els.loginPanel.classList.add('hidden');
+  els.adminContent.classList.remove('hidden');
+  els.logoutBtn.classList.remove('hidden');
+  els.loginError.textContent = '';
 }
 
-function handleSocketMessage(message) {
-  if (message.type === 'bootstrap') {
-    applyBootstrap(message);
-    return;
-  }
+async function loadBootstrap() {
+  try {
+    const response = await fetch('/api/bootstrap?role=admin', { cache: 'no-store' });
+    if (response.status === 401) {
+      return false;
+    }
 
-  if (message.type === 'state_update') {
-    applyStateUpdate(message);
-    return;
+    if (response.ok) {
+      applyBootstrap(await response.json());
+    }
+  } catch (_error) {
+    // websocket bootstrap will recover
   }
 
-  if (message.type === 'activity_update') {
-    renderLogs(message.recentActivity || []);
-    return;
-  }
+  return true;
+}
 
-  if (message.type === 'controller_status') {
-    controllerStatus = {
-      connected: Boolean(message.controllerConnected),
-      controllerCount: Number(message.controllerCount) || 0
-    };
-    renderStatus();
+async function startAdminSession() {
+  if (!(await loadBootstrap())) {
+    showLogin();
     return;
   }
 
-  if (message.type === 'error') {
-    renderStatus(message.message || 'Action rejected by server.');
-  }
+  showAdminContent();
+  connectSocket();
+}
+
+async function handleLogin(event) {
+  event.preventDefault();
+  els.loginBtn.disabled = true;
+  els.loginError.textContent = '';
+
+  try {
+    const response = await fetch('/api/admin/login', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ pin: els.pinInput.value })
+    });
+
+    if (!response.ok) {
+      const body = await response.json().catch(() => ({}));
+      els.loginError.textContent = body.error || 'Login failed.';
+      return;
+    }
+
+    els.pinInput.value = '';
+    await startAdminSession();
+  } catch (_error) {
+    els.loginError.textContent = 'Server unreachable. Try again.';
+  } finally {
+    els.loginBtn.disabled = false;
+  }
+}
+
+async function handleLogout() {
+  try {
+    await fetch('/api/admin/logout', { method: 'POST' });
+  } catch (_error) {
+    // the socket close below still locks the page
+  }
+
+  showLogin();
+  if (ws) {
+    ws.close();
+  }
+}
+
+function scheduleReconnect() {
+  if (authRequired || reconnectTimer) {
+    return;
+  }
+
+  reconnectTimer = window.setTimeout(() => {
+    reconnectTimer = null;
+    connectSocket();
+  }, 1500);
+}
+
+function handleSocketMessage(message) {
+  if (message.type === 'bootstrap') {
+    applyBootstrap(message);
+    return;
+  }
+
+  if (message.type === 'state_update') {
+    applyStateUpdate(message);
+    return;
+  }
+
+  if (message.type === 'activity_update') {
+    renderLogs(message.recentActivity || []);
+    return;
+  }
+
+  if (message.type === 'controller_status') {
+    controllerStatus = {
+      connected: Boolean(message.controllerConnected),
+      controllerCount: Number(message.controllerCount) || 0
+    };
+    renderStatus();
+    return;
+  }
+
+  if (message.type === 'lock_update') {
+    lockState = message.lock || lockState;
+    renderPairing();
+    return;
+  }
+
+  if (message.type === 'audio_update') {
+    applyAudio(message.audio);
+    return;
+  }
+
+  if (message.type === 'screens_update') {
+    applyScreens(message.screens);
+    return;
+  }
+
+  if (message.type === 'config_update') {
+    brandConfig = message.config || brandConfig;
+    applyThemes(message.themes);
+    schedulePreview();
+    return;
+  }
+
+  if (message.type === 'auto_advance_update') {
+    applyAutoAdvance(message.autoAdvance);
+    return;
+  }
+
+  if (message.type === 'pairing_update') {
+    pairingInfo = message.pairing || pairingInfo;
+    renderPairing();
+    return;
+  }
+
+  if (message.type === 'auth_required') {
+    showLogin(message.message);
+    return;
+  }
+
+  if (message.type === 'error') {
+    renderStatus(message.message || 'Action rejected by server.');
+  }
 }
 
 function connectSocket() {
   ws = new WebSocket(wsUrl());
 
   ws.addEventListener('open', () => {
-    ws.send(JSON.stringify({ type: 'hello', role: 'admin' }));
+    ws.send(JSON.stringify({ type: 'hello', role: 'admin', audioOutput: true }));
     renderStatus();
   });
 
@@ -298,6 +1271,10 @@ function connectSocket() {
   });
 
   ws.addEventListener('close', () => {
+    if (authRequired) {
+      return;
+    }
+
     renderStatus('Disconnected. Reconnecting...');
     scheduleReconnect();
   });
@@ -307,13 +1284,827 @@ function connectSocket() {
   });
 }
 
+function createEmptySlide() {
+  return Object.fromEntries(SLIDE_FIELDS.map((field) => [field, '']));
+}
+
+function createEmptySection(index) {
+  return {
+    id: `section-${index + 1}`,
+    title: `Section ${index + 1}`,
+    slides: [createEmptySlide()]
+  };
+}
+
+function getEditorSection() {
+  return editor.event?.sections[editor.sectionIndex] || null;
+}
+
+function getEditorSlide() {
+  return getEditorSection()?.slides[editor.slideIndex] || null;
+}
+
+function describeEditorSlide(slide, index) {
+  const text = [slide.title, slide.instruction, slide.english, slide.transliteration, slide.arabic].find(Boolean);
+  return `${index + 1}. ${text || '(empty slide)'}`;
+}
+
+function describeEditorSection(section, index) {
+  return `${index + 1}. ${section.title || section.id || '(untitled)'} · ${section.slides.length} slide(s)`;
+}
+
+function populateEditorEventSelect() {
+  const selectedId = els.editorEventSelect.value || editor.event?.id || '';
+  els.editorEventSelect.innerHTML = '';
+
+  catalog.events.forEach((event) => {
+    const option = document.createElement('option');
+    option.value = event.id;
+    option.textContent = `${event.title} (${event.id})`;
+    els.editorEventSelect.appendChild(option);
+  });
+
+  if (catalog.events.some((event) => event.id === selectedId)) {
+    els.editorEventSelect.value = selectedId;
+  }
+  els.editorOpenBtn.disabled = catalog.events.length === 0;
+}
+
+function setEditorStatus(text, issues = []) {
+  els.editorStatus.textContent = text;
+  renderIssueList(els.editorIssues, issues, (issue) => `${issue.path}: ${issue.message}`);
+}
+
+function markEditorDirty() {
+  if (!editor.dirty) {
+    editor.dirty = true;
+    setEditorStatus('Unsaved changes.');
+  }
+}
+
+function confirmDiscardEditorChanges() {
+  return !editor.dirty || window.confirm('Discard the unsaved changes in the event editor?');
+}
+
+function createListButton(label, action) {
+  const button = document.createElement('button');
+  button.type = 'button';
+  button.textContent = label;
+  button.dataset.action = action;
+  return button;
+}
+
+function renderEditorList(list, items, selectedIndex, describe) {
+  list.innerHTML = '';
+
+  items.forEach((entry, index) => {
+    const item = document.createElement('li');
+    item.dataset.index = String(index);
+    item.classList.toggle('is-selected', index === selectedIndex);
+
+    const label = document.createElement('span');
+    label.className = 'item-label';
+    label.textContent = describe(entry, index);
+
+    const actions = document.createElement('div');
+    actions.className = 'controller-actions';
+    actions.append(
+      createListButton('Up', 'up'),
+      createListButton('Down', 'down'),
+      createListButton('Duplicate', 'duplicate'),
+      createListButton('Delete', 'delete')
+    );
+
+    item.append(label, actions);
+    list.appendChild(item);
+  });
+}
+
+function refreshEditorListLabel(list, index, text) {
+  const label = list.querySelector(`li[data-index="${index}"] .item-label`);
+  if (label) {
+    label.textContent = text;
+  }
+}
+
+function buildPreviewContent() {
+  const section = getEditorSection();
+  const slide = getEditorSlide() || createEmptySlide();
+
+  return {
+    mode: 'guided_event',
+    displayTitle: slide.title || section?.title || editor.event?.title || '',
+    lineLabel: `Slide ${editor.slideIndex + 1}`,
+    instruction: slide.instruction,
+    repeat: slide.repeat,
+    repeatCounter: Number(slide.repeatCount) > 0 ? { count: 0, target: Number(slide.repeatCount) } : null,
+    reference: slide.reference,
+    arabic: slide.arabic,
+    transliteration: slide.transliteration,
+    english: slide.english,
+    note: slide.note,
+    blanked: false
+  };
+}
+
+function postEditorPreview() {
+  window.clearTimeout(previewTimer);
+  previewTimer = null;
+
+  if (!editor.event || !els.editorPreview.contentWindow) {
+    return;
+  }
+
+  els.editorPreview.contentWindow.postMessage(
+    {
+      type: 'preview',
+      config: brandConfig,
+      theme: getPreviewTheme(),
+      fonts: fontLibrary,
+      content: buildPreviewContent()
+    },
+    window.location.origin
+  );
+}
+
+function schedulePreview() {
+  window.clearTimeout(previewTimer);
+  previewTimer = window.setTimeout(postEditorPreview, 150);
+}
+
+function renderEditorSlideFields() {
+  const slide = getEditorSlide();
+  els.editorSlideFields.forEach((input) => {
+    input.value = slide ? slide[input.dataset.slideField] || '' : '';
+    input.disabled = !slide;
+  });
+  schedulePreview();
+}
+
+function renderEditorSlides() {
+  const section = getEditorSection();
+  renderEditorList(els.editorSlideList, section?.slides || [], editor.slideIndex, describeEditorSlide);
+  els.editorSectionTitle.value = section?.title || '';
+  els.editorSectionId.value = section?.id || '';
+  els.editorSectionTitle.disabled = !section;
+  els.editorSectionId.disabled = !section;
+  els.editorAddSlideBtn.disabled = !section;
+  renderEditorSlideFields();
+}
+
+function renderEditor() {
+  els.editorWorkspace.classList.toggle('hidden', !editor.event);
+  if (!editor.event) {
+    return;
+  }
+
+  els.editorEventId.textContent = editor.isNew
+    ? `New event, saved as data/events/${editor.event.id}.json`
+    : `Editing ${editor.event.id}`;
+  els.editorEventTitle.value = editor.event.title;
+  fillThemeSelect(els.editorEventTheme, 'None (keep the live theme)', editor.event.theme || '');
+  renderEditorList(
+    els.editorSectionList,
+    editor.event.sections,
+    editor.sectionIndex,
+    describeEditorSection
+  );
+  renderEditorSlides();
+}
+
+function loadEditorEvent(event, isNew) {
+  editor = {
+    event,
+    isNew,
+    dirty: isNew,
+    sectionIndex: 0,
+    slideIndex: 0
+  };
+  renderEditor();
+}
+
+async function openEditorEvent() {
+  const eventId = els.editorEventSelect.value;
+  if (!eventId || !confirmDiscardEditorChanges()) {
+    return;
+  }
+
+  setEditorStatus('Loading...');
+  try {
+    const response = await fetch(`/api/admin/editor/events/${encodeURIComponent(eventId)}`, { cache: 'no-store' });
+    const body = await response.json().catch(() => ({}));
+
+    if (response.status === 401) {
+      showLogin(body.error);
+      return;
+    }
+
+    if (!response.ok) {
+      setEditorStatus(body.error || 'Could not open the event.');
+      return;
+    }
+
+    loadEditorEvent(body.event, false);
+    setEditorStatus(`Opened ${body.event.title}.`);
+  } catch (_error) {
+    setEditorStatus('Server unreachable. Try again.');
+  }
+}
+
+function startNewEditorEvent() {
+  const id = els.editorNewId.value.trim().toLowerCase();
+  const title = els.editorNewTitle.value.trim();
+
+  if (!/^[a-z0-9][a-z0-9-]*$/.test(id) || !title) {
+    setEditorStatus('Enter an id (lowercase letters, numbers and dashes) and a title for the new event.');
+    return;
+  }
+
+  if (catalog.events.some((event) => event.id === id)) {
+    setEditorStatus(`An event with id "${id}" already exists. Open it instead.`);
+    return;
+  }
+
+  if (!confirmDiscardEditorChanges()) {
+    return;
+  }
+
+  loadEditorEvent({ id, title, sections: [createEmptySection(0)] }, true);
+  els.editorNewId.value = '';
+  els.editorNewTitle.value = '';
+  setEditorStatus('New event. Add sections and slides, then save.');
+}
+
+function moveItem(items, index, offset) {
+  const target = index + offset;
+  if (target < 0 || target >= items.length) {
+    return index;
+  }
+
+  [items[index], items[target]] = [items[target], items[index]];
+  return target;
+}
+
+function uniqueSectionId(baseId) {
+  const ids = new Set(editor.event.sections.map((section) => section.id));
+  let candidate = `${baseId}-copy`;
+  let counter = 2;
+  while (ids.has(candidate)) {
+    candidate = `${baseId}-copy-${counter}`;
+    counter += 1;
+  }
+  return candidate;
+}
+
+function handleSectionListClick(event) {
+  const item = event.target.closest('li[data-index]');
+  if (!item || !editor.event) {
+    return;
+  }
+
+  const index = Number(item.dataset.index);
+  const sections = editor.event.sections;
+  const action = event.target.closest('button')?.dataset.action;
+
+  if (action === 'up' || action === 'down') {
+    editor.sectionIndex = moveItem(sections, index, action === 'up' ? -1 : 1);
+  } else if (action === 'duplicate') {
+    const copy = JSON.parse(JSON.stringify(sections[index]));
+    copy.id = uniqueSectionId(copy.id);
+    copy.title = `${copy.title} (copy)`;
+    sections.splice(index + 1, 0, copy);
+    editor.sectionIndex = index + 1;
+  } else if (action === 'delete') {
+    if (!window.confirm(`Delete the section "${sections[index].title}" and its ${sections[index].slides.length} slide(s)?`)) {
+      return;
+    }
+    sections.splice(index, 1);
+    editor.sectionIndex = Math.min(index, Math.max(0, sections.length - 1));
+  } else {
+    editor.sectionIndex = index;
+    editor.slideIndex = 0;
+    renderEditor();
+    return;
+  }
+
+  editor.slideIndex = 0;
+  markEditorDirty();
+  renderEditor();
+}
+
+function handleSlideListClick(event) {
+  const item = event.target.closest('li[data-index]');
+  const section = getEditorSection();
+  if (!item || !section) {
+    return;
+  }
+
+  const index = Number(item.dataset.index);
+  const action = event.target.closest('button')?.dataset.action;
+
+  if (action === 'up' || action === 'down') {
+    editor.slideIndex = moveItem(section.slides, index, action === 'up' ? -1 : 1);
+  } else if (action === 'duplicate') {
+    section.slides.splice(index + 1, 0, { ...section.slides[index] });
+    editor.slideIndex = index + 1;
+  } else if (action === 'delete') {
+    section.slides.splice(index, 1);
+    editor.slideIndex = Math.min(index, Math.max(0, section.slides.length - 1));
+  } else {
+    editor.slideIndex = index;
+    renderEditorSlides();
+    return;
+  }
+
+  markEditorDirty();
+  renderEditorSlides();
+  refreshEditorListLabel(els.editorSectionList, editor.sectionIndex, describeEditorSection(section, editor.sectionIndex));
+}
+
+function addEditorSection() {
+  if (!editor.event) {
+    return;
+  }
+
+  const sections = editor.event.sections;
+  const section = createEmptySection(sections.length);
+  while (sections.some((entry) => entry.id === section.id)) {
+    section.id = `${section.id}-new`;
+  }
+
+  sections.splice(editor.sectionIndex + 1, 0, section);
+  editor.sectionIndex = Math.min(editor.sectionIndex + 1, sections.length - 1);
+  editor.slideIndex = 0;
+  markEditorDirty();
+  renderEditor();
+}
+
+function addEditorSlide() {
+  const section = getEditorSection();
+  if (!section) {
+    return;
+  }
+
+  const insertAt = section.slides.length === 0 ? 0 : editor.slideIndex + 1;
+  section.slides.splice(insertAt, 0, createEmptySlide());
+  editor.slideIndex = insertAt;
+  markEditorDirty();
+  renderEditorSlides();
+  refreshEditorListLabel(els.editorSectionList, editor.sectionIndex, describeEditorSection(section, editor.sectionIndex));
+}
+
+function handleSlideFieldInput(event) {
+  const slide = getEditorSlide();
+  if (!slide) {
+    return;
+  }
+
+  slide[event.target.dataset.slideField] = event.target.value;
+  markEditorDirty();
+  refreshEditorListLabel(els.editorSlideList, editor.slideIndex, describeEditorSlide(slide, editor.slideIndex));
+  schedulePreview();
+}
+
+function handleSectionFieldInput() {
+  const section = getEditorSection();
+  if (!section) {
+    return;
+  }
+
+  section.title = els.editorSectionTitle.value;
+  section.id = els.editorSectionId.value;
+  markEditorDirty();
+  refreshEditorListLabel(els.editorSectionList, editor.sectionIndex, describeEditorSection(section, editor.sectionIndex));
+  schedulePreview();
+}
+
+function describeCatalogReload(reloadError) {
+  return reloadError
+    ? `The live catalog could not be reloaded (${reloadError}). Use Reload content to try again.`
+    : 'The live catalog was reloaded.';
+}
+
+async function saveEditorEvent() {
+  if (!editor.event) {
+    return;
+  }
+
+  const eventId = editor.event.id;
+  els.editorSaveBtn.disabled = true;
+  setEditorStatus('Saving...');
+
+  try {
+    const response = await fetch(
+      editor.isNew ? '/api/admin/editor/events' : `/api/admin/editor/events/${encodeURIComponent(eventId)}`,
+      {
+        method: editor.isNew ? 'POST' : 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(editor.event)
+      }
+    );
+    const body = await response.json().catch(() => ({}));
+
+    if (response.status === 401) {
+      showLogin(body.error);
+      return;
+    }
+
+    if (!response.ok) {
+      setEditorStatus(body.error || 'Save failed.', body.issues || []);
+      return;
+    }
+
+    editor.event = body.event;
+    editor.isNew = false;
+    editor.dirty = false;
+    els.editorEventSelect.value = eventId;
+    renderEditor();
+
+    const warnings = body.issues?.length || 0;
+    setEditorStatus(
+      `Saved data/events/${eventId}.json${warnings > 0 ? ` with ${warnings} warning(s)` : ''}. ${describeCatalogReload(body.reloadError)}`,
+      body.issues || []
+    );
+  } catch (_error) {
+    setEditorStatus('Server unreachable. Your changes are still here, try again.');
+  } finally {
+    els.editorSaveBtn.disabled = false;
+  }
+}
+
+function discardEditorChanges() {
+  if (!editor.event || !confirmDiscardEditorChanges()) {
+    return;
+  }
+
+  if (editor.isNew) {
+    editor = { event: null, isNew: false, dirty: false, sectionIndex: 0, slideIndex: 0 };
+    renderEditor();
+    setEditorStatus('');
+    return;
+  }
+
+  editor.dirty = false;
+  els.editorEventSelect.value = editor.event.id;
+  openEditorEvent();
+}
+
+function populateDuaEditorSelect() {
+  const selectedId = els.duaEditorSelect.value || duaEditor.dua?.id || '';
+  els.duaEditorSelect.innerHTML = '';
+
+  catalog.duas.forEach((dua) => {
+    const option = document.createElement('option');
+    option.value = dua.id;
+    option.textContent = `${dua.title} (${dua.id})`;
+    els.duaEditorSelect.appendChild(option);
+  });
+
+  if (catalog.duas.some((dua) => dua.id === selectedId)) {
+    els.duaEditorSelect.value = selectedId;
+  }
+  els.duaOpenBtn.disabled = catalog.duas.length === 0;
+}
+
+function renderIssueList(list, issues, describe) {
+  list.innerHTML = '';
+
+  issues.forEach((issue) => {
+    const item = document.createElement('li');
+    item.className = issue.level === 'error' ? 'is-error' : 'is-warning';
+    item.textContent = describe(issue);
+    if (issue.line) {
+      item.dataset.line = String(issue.line);
+    }
+    list.appendChild(item);
+  });
+}
+
+function setDuaEditorStatus(text, issues = []) {
+  els.duaEditorStatus.textContent = text;
+  renderIssueList(els.duaEditorIssues, issues, (issue) => `${issue.path}: ${issue.message}`);
+}
+
+function markDuaEditorDirty() {
+  if (!duaEditor.dirty) {
+    duaEditor.dirty = true;
+    setDuaEditorStatus('Unsaved changes.');
+  }
+}
+
+function confirmDiscardDuaChanges() {
+  return !duaEditor.dirty || window.confirm('Discard the unsaved changes in the dua editor?');
+}
+
+function createDuaLineField(tagName, field, value) {
+  const input = document.createElement(tagName);
+  input.dataset.lineField = field;
+  input.value = value;
+  input.placeholder = DUA_LINE_PLACEHOLDERS[field];
+
+  if (tagName === 'textarea') {
+    input.rows = 2;
+  } else {
+    input.type = 'text';
+  }
+
+  if (field === 'arabic') {
+    input.dir = 'rtl';
+    input.lang = 'ar';
+    input.className = 'arabic-input';
+  }
+
+  return input;
+}
+
+function renderDuaLines() {
+  const lines = duaEditor.dua?.lines || [];
+  els.duaLineList.innerHTML = '';
+
+  lines.forEach((line, index) => {
+    const item = document.createElement('li');
+    item.dataset.index = String(index);
+    item.classList.toggle('has-issue', duaEditor.flaggedLines.has(line));
+
+    const head = document.createElement('div');
+    head.className = 'dua-line-head';
+    const label = document.createElement('span');
+    label.textContent = `Line ${index + 1}`;
+    const actions = document.createElement('div');
+    actions.className = 'controller-actions';
+    actions.append(
+      createListButton('Up', 'up'),
+      createListButton('Down', 'down'),
+      createListButton('Insert after', 'insert'),
+      createListButton('Delete', 'delete')
+    );
+    head.append(label, actions);
+
+    item.append(
+      head,
+      createDuaLineField('input', 'section', line.section || ''),
+      createDuaLineField('textarea', 'arabic', line.arabic),
+      createDuaLineField('input', 'transliteration', line.transliteration),
+      createDuaLineField('input', 'english', line.english)
+    );
+    els.duaLineList.appendChild(item);
+  });
+}
+
+function renderDuaEditor() {
+  els.duaWorkspace.classList.toggle('hidden', !duaEditor.dua);
+  if (!duaEditor.dua) {
+    return;
+  }
+
+  els.duaEditorId.textContent = duaEditor.isNew
+    ? `New dua, saved as data/duas/${duaEditor.dua.id}.json`
+    : `Editing ${duaEditor.dua.id}`;
+  els.duaEditorTitle.value = duaEditor.dua.title;
+  renderDuaLines();
+}
+
+function loadDuaEditor(dua, isNew, importResult) {
+  duaEditor = {
+    dua,
+    isNew,
+    dirty: isNew,
+    flaggedLines: new WeakSet()
+  };
+
+  const issues = importResult?.issues || [];
+  issues.forEach((issue) => {
+    const line = dua.lines[issue.line - 1];
+    if (line) {
+      duaEditor.flaggedLines.add(line);
+    }
+  });
+
+  els.duaImportSummary.textContent = importResult
+    ? `${dua.lines.length} line(s) from ${importResult.rawLineCount} non-blank pasted line(s). ` +
+      (issues.length > 0 ? `${issues.length} to review, marked below.` : 'Every line has Arabic, transliteration and English.')
+    : '';
+  renderIssueList(
+    els.duaImportIssues,
+    issues,
+    (issue) => `Line ${issue.line} (pasted line ${issue.sourceLine}): ${issue.message}`
+  );
+  renderDuaEditor();
+}
+
+async function openDua() {
+  const duaId = els.duaEditorSelect.value;
+  if (!duaId || !confirmDiscardDuaChanges()) {
+    return;
+  }
+
+  setDuaEditorStatus('Loading...');
+  try {
+    const response = await fetch(`/api/admin/editor/duas/${encodeURIComponent(duaId)}`, { cache: 'no-store' });
+    const body = await response.json().catch(() => ({}));
+
+    if (response.status === 401) {
+      showLogin(body.error);
+      return;
+    }
+
+    if (!response.ok) {
+      setDuaEditorStatus(body.error || 'Could not open the dua.');
+      return;
+    }
+
+    loadDuaEditor(body.dua, false, null);
+    setDuaEditorStatus(`Opened ${body.dua.title}.`);
+  } catch (_error) {
+    setDuaEditorStatus('Server unreachable. Try again.');
+  }
+}
+
+async function importDuaText() {
+  const id = els.duaNewId.value.trim().toLowerCase();
+  const title = els.duaNewTitle.value.trim();
+
+  if (!/^[a-z0-9][a-z0-9-]*$/.test(id) || !title) {
+    setDuaEditorStatus('Enter an id (lowercase letters, numbers and dashes) and a title for the new dua.');
+    els.duaWorkspace.classList.remove('hidden');
+    return;
+  }
+
+  if (catalog.duas.some((dua) => dua.id === id)) {
+    setDuaEditorStatus(`A dua with id "${id}" already exists. Open it instead.`);
+    els.duaWorkspace.classList.remove('hidden');
+    return;
+  }
+
+  if (!els.duaImportText.value.trim() || !confirmDiscardDuaChanges()) {
+    return;
+  }
+
+  els.duaImportBtn.disabled = true;
+  try {
+    const response = await fetch('/api/admin/editor/duas/parse', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ text: els.duaImportText.value })
+    });
+    const body = await response.json().catch(() => ({}));
+
+    if (response.status === 401) {
+      showLogin(body.error);
+      return;
+    }
+
+    if (!response.ok) {
+      setDuaEditorStatus(body.error || 'Could not split the text.');
+      return;
+    }
+
+    loadDuaEditor({ id, title, lines: body.lines }, true, body);
+    setDuaEditorStatus('Review the lines, then save.');
+  } catch (_error) {
+    setDuaEditorStatus('Server unreachable. Try again.');
+  } finally {
+    els.duaImportBtn.disabled = false;
+  }
+}
+
+function createEmptyDuaLine() {
+  return { arabic: '', transliteration: '', english: '' };
+}
+
+function handleDuaLineClick(event) {
+  const action = event.target.closest('button')?.dataset.action;
+  const item = event.target.closest('li[data-index]');
+  if (!action || !item || !duaEditor.dua) {
+    return;
+  }
+
+  const lines = duaEditor.dua.lines;
+  const index = Number(item.dataset.index);
+
+  if (action === 'up' || action === 'down') {
+    moveItem(lines, index, action === 'up' ? -1 : 1);
+  } else if (action === 'insert') {
+    lines.splice(index + 1, 0, createEmptyDuaLine());
+  } else if (action === 'delete') {
+    lines.splice(index, 1);
+  }
+
+  markDuaEditorDirty();
+  renderDuaLines();
+}
+
+function handleDuaLineInput(event) {
+  const field = event.target.dataset.lineField;
+  const item = event.target.closest('li[data-index]');
+  const line = item ? duaEditor.dua?.lines[Number(item.dataset.index)] : null;
+  if (!field || !line) {
+    return;
+  }
+
+  line[field] = event.target.value;
+  markDuaEditorDirty();
+}
+
+function scrollToDuaLine(event) {
+  const lineNumber = Number(event.target.closest('li[data-line]')?.dataset.line);
+  const row = els.duaLineList.children[lineNumber - 1];
+  if (row) {
+    row.scrollIntoView({ block: 'nearest', behavior: 'smooth' });
+    row.querySelector('textarea, input')?.focus({ preventScroll: true });
+  }
+}
+
+function addDuaLine() {
+  if (!duaEditor.dua) {
+    return;
+  }
+
+  duaEditor.dua.lines.push(createEmptyDuaLine());
+  markDuaEditorDirty();
+  renderDuaLines();
+  els.duaLineList.lastElementChild?.scrollIntoView({ block: 'nearest' });
+}
+
+async function saveDua() {
+  if (!duaEditor.dua) {
+    return;
+  }
+
+  const duaId = duaEditor.dua.id;
+  els.duaSaveBtn.disabled = true;
+  setDuaEditorStatus('Saving...');
+
+  try {
+    const response = await fetch(
+      duaEditor.isNew ? '/api/admin/editor/duas' : `/api/admin/editor/duas/${encodeURIComponent(duaId)}`,
+      {
+        method: duaEditor.isNew ? 'POST' : 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(duaEditor.dua)
+      }
+    );
+    const body = await response.json().catch(() => ({}));
+
+    if (response.status === 401) {
+      showLogin(body.error);
+      return;
+    }
+
+    if (!response.ok) {
+      setDuaEditorStatus(body.error || 'Save failed.', body.issues || []);
+      return;
+    }
+
+    const wasNew = duaEditor.isNew;
+    duaEditor.dua = body.dua;
+    duaEditor.isNew = false;
+    duaEditor.dirty = false;
+    duaEditor.flaggedLines = new WeakSet();
+    els.duaEditorSelect.value = duaId;
+    if (wasNew) {
+      els.duaImportText.value = '';
+      els.duaNewId.value = '';
+      els.duaNewTitle.value = '';
+    }
+    renderDuaEditor();
+
+    const warnings = body.issues?.length || 0;
+    setDuaEditorStatus(
+      `Saved data/duas/${duaId}.json${warnings > 0 ? ` with ${warnings} warning(s)` : ''}. ${describeCatalogReload(body.reloadError)}`,
+      body.issues || []
+    );
+  } catch (_error) {
+    setDuaEditorStatus('Server unreachable. Your changes are still here, try again.');
+  } finally {
+    els.duaSaveBtn.disabled = false;
+  }
+}
+
+function discardDuaChanges() {
+  if (!duaEditor.dua || !confirmDiscardDuaChanges()) {
+    return;
+  }
+
+  if (duaEditor.isNew) {
+    loadDuaEditor(null, false, null);
+    setDuaEditorStatus('');
+    return;
+  }
+
+  duaEditor.dirty = false;
+  els.duaEditorSelect.value = duaEditor.dua.id;
+  openDua();
+}
+
 function attachEvents() {
   els.modeButtons.forEach((button) => {
     button.addEventListener('click', () => {
       send({
         type: 'admin_set_mode',
         sessionType: button.dataset.mode,
-        selectedEventId: els.eventSelect.value
+        selectedEventId: els.eventSelect.value,
+        selectedProgrammeId: els.programmeSelect.value
       });
     });
   });
@@ -325,29 +2116,156 @@ function attachEvents() {
     });
   });
 
+  els.quranRangeBtn.addEventListener('click', () => {
+    send({
+      type: 'admin_set_quran_range',
+      range: els.quranRangeInput.value
+    });
+  });
+
+  els.quranGroupSelect.addEventListener('change', () => {
+    send({
+      type: 'admin_set_quran_group',
+      quranGroup: els.quranGroupSelect.value === 'auto' ? 'auto' : Number(els.quranGroupSelect.value)
+    });
+  });
+
+  els.translationList.addEventListener('click', handleTranslationListClick);
+  els.autoToggleBtn.addEventListener('click', () => {
+    const command = autoAdvance.status === 'running' ? 'pause' : autoAdvance.status === 'paused' ? 'resume' : 'start';
+    send({ type: 'auto_advance', command });
+  });
+  els.autoStopBtn.addEventListener('click', () => send({ type: 'auto_advance', command: 'stop' }));
+  els.autoPaceMode.addEventListener('change', renderAutoPaceInput);
+  els.autoPaceBtn.addEventListener('click', sendAutoPace);
+  els.autoPaceValue.addEventListener('keydown', (event) => {
+    if (event.key === 'Enter') {
+      event.preventDefault();
+      els.autoPaceBtn.click();
+    }
+  });
+  els.audioPlayBtn.addEventListener('click', () => send({ type: 'audio', command: 'play' }));
+  els.audioPauseBtn.addEventListener('click', () => send({ type: 'audio', command: 'pause' }));
+  els.audioStopBtn.addEventListener('click', () => send({ type: 'audio', command: 'stop' }));
+  els.audioBackBtn.addEventListener('click', () => seekAudio(-10));
+  els.audioForwardBtn.addEventListener('click', () => seekAudio(10));
+  els.audioReciterSelect.addEventListener('change', () => {
+    send({ type: 'admin_set_audio_reciter', reciterId: els.audioReciterSelect.value });
+  });
+  els.audioOutputSelect.addEventListener('change', () => {
+    send({ type: 'admin_set_audio_output', outputId: els.audioOutputSelect.value || null });
+  });
+  els.screenProfileSelect.addEventListener('change', () => {
+    fillScreenForm();
+    renderScreenControls();
+  });
+  els.screenIdInput.addEventListener('input', renderScreenUrl);
+  els.screenSaveBtn.addEventListener('click', saveScreenProfile);
+  els.screenDeleteBtn.addEventListener('click', () => {
+    const profile = getSelectedScreenProfile();
+    if (profile && window.confirm(`Remove the ${profile.name} screen profile? Its screen goes back to the default layout.`)) {
+      send({ type: 'admin_delete_display_profile', id: profile.id });
+    }
+  });
+  els.transliterationSelect.addEventListener('change', () => {
+    sendQuranLanguages({ transliteration: els.transliterationSelect.value || null });
+  });
+
+  els.quranRangeInput.addEventListener('keydown', (event) => {
+    if (event.key === 'Enter') {
+      event.preventDefault();
+      els.quranRangeBtn.click();
+    }
+  });
+
+  els.programmeSelect.addEventListener('change', () => {
+    send({
+      type: 'admin_select_programme',
+      selectedProgrammeId: els.programmeSelect.value
+    });
+  });
+
   els.prevBtn.addEventListener('click', () => send({ type: 'step', direction: 'prev' }));
   els.nextBtn.addEventListener('click', () => send({ type: 'step', direction: 'next' }));
   els.jumpBtn.addEventListener('click', handleJump);
+
+  els.divisionSelect.addEventListener('change', () => {
+    syncDivisionInput(currentContent?.quran?.divisions?.[els.divisionSelect.value]);
+  });
+
+  els.divisionInput.addEventListener('change', () => {
+    syncDivisionInput(els.divisionInput.value);
+  });
+
+  els.divisionJumpBtn.addEventListener('click', () => {
+    const kind = els.divisionSelect.value;
+    const value = syncDivisionInput(els.divisionInput.value);
+    send({ type: `jump_${kind}`, [`${kind}Number`]: value });
+  });
   els.jumpInput.addEventListener('change', clampJumpInputValue);
   els.restartBtn.addEventListener('click', () => send({ type: 'admin_restart_session' }));
   els.resetBtn.addEventListener('click', () => send({ type: 'admin_reset_position' }));
   els.blankBtn.addEventListener('click', () => send({ type: 'admin_toggle_blank' }));
+  els.reloadBtn.addEventListener('click', () => send({ type: 'admin_reload_content' }));
+  els.themeSelect.addEventListener('change', () => send({ type: 'admin_set_theme', themeId: els.themeSelect.value }));
+  els.rotateCodeBtn.addEventListener('click', () => send({ type: 'admin_rotate_pairing_code' }));
+  els.lockToggleBtn.addEventListener('click', () => {
+    send({ type: 'admin_set_control_lock', enabled: !lockState.enabled });
+  });
+  els.loginForm.addEventListener('submit', handleLogin);
+  els.logoutBtn.addEventListener('click', handleLogout);
+  els.editorOpenBtn.addEventListener('click', openEditorEvent);
+  els.editorNewBtn.addEventListener('click', startNewEditorEvent);
+  els.editorSectionList.addEventListener('click', handleSectionListClick);
+  els.editorSlideList.addEventListener('click', handleSlideListClick);
+  els.editorAddSectionBtn.addEventListener('click', addEditorSection);
+  els.editorAddSlideBtn.addEventListener('click', addEditorSlide);
+  els.editorSectionTitle.addEventListener('input', handleSectionFieldInput);
+  els.editorSectionId.addEventListener('input', handleSectionFieldInput);
+  els.editorSlideFields.forEach((input) => input.addEventListener('input', handleSlideFieldInput));
+  els.editorEventTitle.addEventListener('input', () => {
+    if (editor.event) {
+      editor.event.title = els.editorEventTitle.value;
+      markEditorDirty();
+      schedulePreview();
+    }
+  });
+  els.editorEventTheme.addEventListener('change', () => {
+    if (editor.event) {
+      editor.event.theme = els.editorEventTheme.value;
+      markEditorDirty();
+      schedulePreview();
+    }
+  });
+  els.editorSaveBtn.addEventListener('click', saveEditorEvent);
+  els.editorDiscardBtn.addEventListener('click', discardEditorChanges);
+  els.editorPreview.addEventListener('load', postEditorPreview);
+  els.duaOpenBtn.addEventListener('click', openDua);
+  els.duaImportBtn.addEventListener('click', importDuaText);
+  els.duaLineList.addEventListener('click', handleDuaLineClick);
+  els.duaLineList.addEventListener('input', handleDuaLineInput);
+  els.duaImportIssues.addEventListener('click', scrollToDuaLine);
+  els.duaAddLineBtn.addEventListener('click', addDuaLine);
+  els.duaEditorTitle.addEventListener('input', () => {
+    if (duaEditor.dua) {
+      duaEditor.dua.title = els.duaEditorTitle.value;
+      markDuaEditorDirty();
+    }
+  });
+  els.duaSaveBtn.addEventListener('click', saveDua);
+  els.duaDiscardBtn.addEventListener('click', discardDuaChanges);
+  window.addEventListener('beforeunload', (event) => {
+    if (editor.dirty || duaEditor.dirty) {
+      event.preventDefault();
+      event.returnValue = '';
+    }
+  });
 }
 
 async function init() {
   attachEvents();
   renderStatus();
-
-  try {
-    const response = await fetch('/api/bootstrap?role=admin', { cache: 'no-store' });
-    if (response.ok) {
-      applyBootstrap(await response.json());
-    }
-  } catch (_error) {
-    // websocket bootstrap will recover
-  }
-
-  connectSocket();
+  await startAdminSession();
 }
 
 init();
@@ -0,0 +1,66 @@
+// Shared by /display and /admin: either page can be picked on /admin as the
+// browser that plays the recitation. The server keeps the playback clock, so
+// this only follows its transport and reports where the audio really is.
+// The server tells each page whether it is the one picked, so there is no id
+// to keep here.
+const AUDIO_DRIFT_LIMIT_SEC = 0.5;
+const AUDIO_REPORT_INTERVAL_MS = 1000;
+
+function createAudioOutput(send) {
+  const audio = new Audio();
+  audio.preload = 'auto';
+  let active = false;
+  let reportTimer = null;
+
+  function report() {
+    if (active && !audio.paused) {
+      send({ type: 'audio_position', positionSec: audio.currentTime });
+    }
+  }
+
+  function seekTo(positionSec) {
+    if (Math.abs(audio.currentTime - positionSec) > AUDIO_DRIFT_LIMIT_SEC) {
+      audio.currentTime = positionSec;
+    }
+  }
+
+  function apply(snapshot) {
+    active = Boolean(snapshot && snapshot.isOutput && snapshot.status !== 'stopped' && snapshot.url);
+    if (!active) {
+      audio.pause();
+      window.clearInterval(reportTimer);
+      reportTimer = null;
+      return;
+    }
+
+    const src = new URL(snapshot.url, window.location.href).href;
+    if (audio.src !== src) {
+      audio.src = src;
+    }
+    seekTo(snapshot.positionSec);
+
+    if (snapshot.status === 'paused') {
+      audio.pause();
+      return;
+    }
+
+    audio.play().catch((error) => {
+      if (error?.name === 'NotAllowedError') {
+        send({ type: 'audio_blocked' });
+      }
+    });
+    if (!reportTimer) {
+      reportTimer = window.setInterval(report, AUDIO_REPORT_INTERVAL_MS);
+    }
+  }
+
+  audio.addEventListener('ended', () => {
+    if (active) {
+      send({ type: 'audio_position', positionSec: audio.currentTime, ended: true });
+    }
+  });
+
+  return {
+    apply
+  };
+}
@@ -5,22 +5,60 @@ const els = {
   lockMessage: document.getElementById('lockMessage'),
   lockedTitle: document.getElementById('lockedTitle'),
   lockedDescription: document.getElementById('lockedDescription'),
+  pairingPanel: document.getElementById('pairingPanel'),
+  pairingMessage: document.getElementById('pairingMessage'),
+  pairingForm: document.getElementById('pairingForm'),
+  pairingInput: document.getElementById('pairingInput'),
+  pairingBtn: document.getElementById('pairingBtn'),
+  lockPanel: document.getElementById('lockPanel'),
+  lockStatus: document.getElementById('lockStatus'),
+  requestControlBtn: document.getElementById('requestControlBtn'),
+  lockRequests: document.getElementById('lockRequests'),
+  searchPanel: document.getElementById('searchPanel'),
+  searchForm: document.getElementById('searchForm'),
+  searchInput: document.getElementById('searchInput'),
+  searchBtn: document.getElementById('searchBtn'),
+  searchStatus: document.getElementById('searchStatus'),
+  searchResults: document.getElementById('searchResults'),
+  programmePanel: document.getElementById('programmePanel'),
+  programmeTitle: document.getElementById('programmeTitle'),
+  segmentStatus: document.getElementById('segmentStatus'),
+  segmentButtons: document.getElementById('segmentButtons'),
   quranPanel: document.getElementById('quranPanel'),
   surahSelect: document.getElementById('surahSelect'),
   ayahInput: document.getElementById('ayahInput'),
   ayahJumpBtn: document.getElementById('ayahJumpBtn'),
   ayahHint: document.getElementById('ayahHint'),
+  divisionJump: document.getElementById('divisionJump'),
+  divisionSelect: document.getElementById('divisionSelect'),
+  divisionInput: document.getElementById('divisionInput'),
+  divisionJumpBtn: document.getElementById('divisionJumpBtn'),
+  divisionHint: document.getElementById('divisionHint'),
   duaPanel: document.getElementById('duaPanel'),
   duaTitle: document.getElementById('duaTitle'),
   lineInput: document.getElementById('lineInput'),
   lineJumpBtn: document.getElementById('lineJumpBtn'),
   lineHint: document.getElementById('lineHint'),
+  duaSections: document.getElementById('duaSections'),
+  duaSectionStatus: document.getElementById('duaSectionStatus'),
+  duaSectionButtons: document.getElementById('duaSectionButtons'),
   guidedPanel: document.getElementById('guidedPanel'),
   eventTitle: document.getElementById('eventTitle'),
   sectionStatus: document.getElementById('sectionStatus'),
+  repeatCounter: document.getElementById('repeatCounter'),
+  repeatTapBtn: document.getElementById('repeatTapBtn'),
+  repeatResetBtn: document.getElementById('repeatResetBtn'),
   sectionButtons: document.getElementById('sectionButtons'),
   prevBtn: document.getElementById('prevBtn'),
   nextBtn: document.getElementById('nextBtn'),
+  autoPanel: document.getElementById('autoPanel'),
+  autoStatus: document.getElementById('autoStatus'),
+  autoToggleBtn: document.getElementById('autoToggleBtn'),
+  autoStopBtn: document.getElementById('autoStopBtn'),
+  audioPanel: document.getElementById('audioPanel'),
+  audioStatus: document.getElementById('audioStatus'),
+  audioPlayBtn: document.getElementById('audioPlayBtn'),
+  audioPauseBtn: document.getElementById('audioPauseBtn'),
   preview: {
     title: document.getElementById('previewTitle'),
     instruction: document.getElementById('previewInstruction'),
@@ -30,16 +68,58 @@ const els = {
     transliteration: document.getElementById('previewTransliteration'),
     english: document.getElementById('previewEnglish'),
     note: document.getElementById('previewNote')
+  },
+  nextRef: document.getElementById('nextRef'),
+  next: {
+    title: document.getElementById('nextTitle'),
+    instruction: document.getElementById('nextInstruction'),
+    repeat: document.getElementById('nextRepeat'),
+    reference: document.getElementById('nextReference'),
+    arabic: document.getElementById('nextArabic'),
+    transliteration: document.getElementById('nextTransliteration'),
+    english: document.getElementById('nextEnglish'),
+    note: document.getElementById('nextNote')
   }
 };
 
 let ws = null;
 let reconnectTimer = null;
+let heartbeatTimer = null;
+let heartbeatIntervalMs = 10000;
+let controllerTimeoutMs = 30000;
+let lastServerMessageAt = 0;
+let pairingCode = new URLSearchParams(window.location.search).get('code') || '';
+let paired = false;
+let pairingMessage = '';
+let controllerId = null;
+let lockState = {
+  enabled: false,
+  holderId: null,
+  requests: []
+};
 let surahs = [];
 const surahByNumber = new Map();
+let surahOptionsKey = '';
+let quranDivisions = {};
+let searchTimer = null;
+let searchScopeKey = '';
 
 let currentSession = null;
 let currentContent = null;
+let nextContent = null;
+let presenterOnlyFields = [];
+let autoAdvance = {
+  status: 'off',
+  pace: null,
+  remainingMs: 0
+};
+let autoAdvanceReceivedAt = 0;
+let autoAdvanceTimer = null;
+let audio = {
+  status: 'stopped',
+  reciterId: null,
+  reciters: []
+};
 let controllerStatus = {
   connected: false,
   controllerCount: 0
@@ -50,10 +130,40 @@ function wsUrl() {
   return `${protocol}//${window.location.host}/ws`;
 }
 
-function controlsEnabled() {
+const CONTROLLER_TOKEN_KEY = 'qurancontrol.controllerToken';
+
+function socketOpen() {
   return Boolean(ws && ws.readyState === WebSocket.OPEN);
 }
 
+function holdsControl() {
+  return !lockState.enabled || (Boolean(controllerId) && lockState.holderId === controllerId);
+}
+
+function controlsEnabled() {
+  return socketOpen() && paired && holdsControl();
+}
+
+function readControllerToken() {
+  try {
+    return window.localStorage.getItem(CONTROLLER_TOKEN_KEY) || '';
+  } catch (_error) {
+    return '';
+  }
+}
+
+function writeControllerToken(token) {
+  try {
+    if (token) {
+      window.localStorage.setItem(CONTROLLER_TOKEN_KEY, token);
+    } else {
+      window.localStorage.removeItem(CONTROLLER_TOKEN_KEY);
+    }
+  } catch (_error) {
+    // private browsing can block storage; pairing then lasts for this page only
+  }
+}
+
 function setFieldText(element, value) {
   const text = String(value || '').trim();
   element.textContent = text;
@@ -64,18 +174,30 @@ function getAyahMax(surahNumber) {
   return surahByNumber.get(Number(surahNumber))?.ayahCount || 1;
 }
 
+function getAyahBounds(surahNumber) {
+  const range = currentSession?.quranRange;
+  return {
+    min: range?.start.surahNumber === Number(surahNumber) ? range.start.ayahNumber : 1,
+    max: range?.end.surahNumber === Number(surahNumber) ? range.end.ayahNumber : getAyahMax(surahNumber)
+  };
+}
+
 function clampAyah(surahNumber, ayahNumber) {
-  const max = getAyahMax(surahNumber);
-  const numericValue = Number(ayahNumber) || 1;
-  return Math.max(1, Math.min(max, numericValue));
+  const { min, max } = getAyahBounds(surahNumber);
+  const numericValue = Number(ayahNumber) || min;
+  return Math.max(min, Math.min(max, numericValue));
 }
 
 function syncAyahInput(surahNumber, ayahNumber) {
-  const max = getAyahMax(surahNumber);
+  const { min, max } = getAyahBounds(surahNumber);
+  const range = currentSession?.quranRange;
   const clamped = clampAyah(surahNumber, ayahNumber);
+  els.ayahInput.min = String(min);
   els.ayahInput.max = String(max);
   els.ayahInput.value = String(clamped);
-  els.ayahHint.textContent = `Max ayah: ${max}`;
+  els.ayahHint.textContent = range
+    ? `${range.title}: ayah ${range.position} of ${range.total}`
+    : `Max ayah: ${max}`;
   return clamped;
 }
 
@@ -89,17 +211,85 @@ function syncLineInput(lineIndex, totalLines) {
 }
 
 function populateSurahSelect() {
+  const range = currentSession?.quranRange;
+  const key = range ? `${range.start.surahNumber}-${range.end.surahNumber}:${surahs.length}` : `all:${surahs.length}`;
   const selected = String(currentSession?.quran?.surahNumber || 1);
+
+  if (key === surahOptionsKey) {
+    els.surahSelect.value = selected;
+    return;
+  }
+
+  surahOptionsKey = key;
   els.surahSelect.innerHTML = '';
 
-  surahs.forEach((surah) => {
+  surahs
+    .filter((surah) => !range || (surah.number >= range.start.surahNumber && surah.number <= range.end.surahNumber))
+    .forEach((surah) => {
+      const option = document.createElement('option');
+      option.value = String(surah.number);
+      option.textContent = `${surah.number}. ${surah.nameEnglish}`;
+      els.surahSelect.appendChild(option);
+    });
+
+  els.surahSelect.value = selected;
+}
+
+const DIVISION_LABELS = {
+  juz: 'Juz',
+  hizb: 'Hizb',
+  ruku: 'Ruku',
+  page: 'Page'
+};
+
+function populateDivisionSelect() {
+  const kinds = Object.keys(DIVISION_LABELS).filter((kind) => Number(quranDivisions[kind]) > 0);
+  els.divisionSelect.innerHTML = '';
+  els.divisionJump.classList.toggle('hidden', kinds.length === 0);
+
+  kinds.forEach((kind) => {
     const option = document.createElement('option');
-    option.value = String(surah.number);
-    option.textContent = `${surah.number}. ${surah.nameEnglish}`;
-    els.surahSelect.appendChild(option);
+    option.value = kind;
+    option.textContent = DIVISION_LABELS[kind];
+    els.divisionSelect.appendChild(option);
   });
+}
 
-  els.surahSelect.value = selected;
+function syncDivisionInput(value) {
+  const kind = els.divisionSelect.value;
+  const max = Number(quranDivisions[kind]) || 1;
+  const current = currentContent?.quran?.divisions || {};
+  const clamped = Math.max(1, Math.min(max, Number(value) || current[kind] || 1));
+  els.divisionInput.max = String(max);
+  els.divisionInput.value = String(clamped);
+  els.divisionHint.textContent = Object.keys(DIVISION_LABELS)
+    .filter((entry) => current[entry])
+    .map((entry) => `${DIVISION_LABELS[entry]} ${current[entry]}`)
+    .join(' · ');
+  return clamped;
+}
+
+function renderDuaSections() {
+  const sections = currentSession?.lockedDua?.sections || [];
+  const currentIndex = currentContent?.dua?.sectionIndex ?? null;
+  const currentSection = sections[currentIndex];
+
+  els.duaSections.classList.toggle('hidden', sections.length === 0);
+  els.duaSectionStatus.textContent = currentSection
+    ? `${currentSection.title} - Lines ${currentSection.startLine}-${currentSection.endLine}`
+    : 'Before the first section';
+  els.duaSectionButtons.innerHTML = '';
+
+  sections.forEach((section) => {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'section-btn';
+    button.textContent = `${section.index + 1}. ${section.title} · Line ${section.startLine}`;
+    button.disabled = !controlsEnabled();
+    button.classList.toggle('active', section.index === currentIndex);
+    button.addEventListener('click', () => send({ type: 'jump_dua_section', sectionIndex: section.index }));
+    els.duaSectionButtons.appendChild(button);
+  });
 }
 
 function renderGuidedSections() {
@@ -120,36 +310,117 @@ function renderGuidedSections() {
   });
 }
 
+function renderRepeatCounter() {
+  const counter = currentContent?.mode === 'guided_event' ? currentContent.repeatCounter : null;
+  els.repeatCounter.classList.toggle('hidden', !counter);
+  if (counter) {
+    els.repeatTapBtn.textContent = `Count ${counter.count} / ${counter.target}`;
+  }
+}
+
+function getActiveSessionType() {
+  return currentSession?.activeSessionType || currentSession?.sessionType || 'quran';
+}
+
+function renderSegmentButtons() {
+  els.segmentButtons.innerHTML = '';
+
+  const segments = currentSession?.lockedProgramme?.segments || [];
+  const currentIndex = Number(currentSession?.programme?.segmentIndex) || 0;
+
+  segments.forEach((segment) => {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'section-btn';
+    button.textContent = `${segment.index + 1}. ${segment.title}`;
+    button.disabled = !controlsEnabled();
+    button.classList.toggle('active', segment.index === currentIndex);
+    button.addEventListener('click', () => send({ type: 'jump_segment', segmentIndex: segment.index }));
+    els.segmentButtons.appendChild(button);
+  });
+}
+
+function describeLockedSession(sessionType) {
+  if (currentSession?.sessionType === 'programme') {
+    return {
+      title: currentSession.lockedProgramme?.title || 'Programme',
+      description:
+        'This page can move through the running order. Next at the end of a segment continues into the next one.'
+    };
+  }
+
+  if (sessionType === 'quran' && currentSession?.quranRange) {
+    return {
+      title: `Quran Mode · ${currentSession.quranRange.title}`,
+      description: 'This page can move through the ayahs of this range only. Surahs and ayahs outside it are not offered.'
+    };
+  }
+
+  if (sessionType === 'quran') {
+    return {
+      title: 'Quran Mode',
+      description: 'This page can choose the surah, jump to an ayah, and move to the previous or next ayah.'
+    };
+  }
+
+  if (sessionType === 'dua') {
+    return {
+      title: currentSession?.lockedDua?.title || 'Dua Mode',
+      description: 'This page can move through the selected dua line by line and jump directly to a line.'
+    };
+  }
+
+  return {
+    title: currentSession?.lockedEvent?.title || 'Guided Event Mode',
+    description: 'This page can move through slides and jump to a section in the current guided event.'
+  };
+}
+
 function renderSessionPanels() {
-  const sessionType = currentSession?.sessionType || 'quran';
+  const sessionType = getActiveSessionType();
+  const locked = describeLockedSession(sessionType);
 
+  els.programmePanel.classList.toggle('hidden', currentSession?.sessionType !== 'programme');
   els.quranPanel.classList.toggle('hidden', sessionType !== 'quran');
   els.duaPanel.classList.toggle('hidden', sessionType !== 'dua');
   els.guidedPanel.classList.toggle('hidden', sessionType !== 'guided_event');
+  els.lockedTitle.textContent = locked.title;
+  els.lockedDescription.textContent = locked.description;
 
   if (sessionType === 'quran') {
     els.prevBtn.textContent = 'Previous Ayah';
     els.nextBtn.textContent = 'Next Ayah';
-    els.lockedTitle.textContent = 'Quran Mode';
-    els.lockedDescription.textContent =
-      'This page can choose the surah, jump to an ayah, and move to the previous or next ayah.';
     return;
   }
 
   if (sessionType === 'dua') {
     els.prevBtn.textContent = 'Previous Line';
     els.nextBtn.textContent = 'Next Line';
-    els.lockedTitle.textContent = currentSession?.lockedDua?.title || 'Dua Mode';
-    els.lockedDescription.textContent =
-      'This page can move through the selected dua line by line and jump directly to a line.';
     return;
   }
 
   els.prevBtn.textContent = 'Previous Slide';
   els.nextBtn.textContent = 'Next Slide';
-  els.lockedTitle.textContent = currentSession?.lockedEvent?.title || 'Guided Event Mode';
-  els.lockedDescription.textContent =
-    'This page can move through slides and jump to a section in the current guided event.';
+}
+
+function renderSlideFields(fields, content) {
+  setFieldText(fields.title, content?.title);
+  setFieldText(fields.instruction, content?.instruction);
+  setFieldText(fields.repeat, content?.repeat);
+  setFieldText(fields.reference, content?.reference);
+  setFieldText(fields.arabic, content?.arabic);
+  setFieldText(fields.transliteration, content?.transliteration);
+  setFieldText(fields.english, content?.english);
+  fields.english.dir = content?.translations?.[0]?.direction || 'ltr';
+  setFieldText(fields.note, content?.note);
+
+  ['instruction', 'note'].forEach((field) => {
+    if (content?.mode === 'guided_event') {
+      fields[field].dataset.presenterTag = presenterOnlyFields.includes(field) ? 'Presenter only' : 'Also on display';
+    } else {
+      delete fields[field].dataset.presenterTag;
+    }
+  });
 }
 
 function renderPreview(content) {
@@ -159,14 +430,88 @@ function renderPreview(content) {
 
   els.modeLabel.textContent = content.modeLabel || currentSession?.modeLabel || 'Presenter';
   els.currentRef.textContent = content.header || '';
-  setFieldText(els.preview.title, content.title);
-  setFieldText(els.preview.instruction, content.instruction);
-  setFieldText(els.preview.repeat, content.repeat);
-  setFieldText(els.preview.reference, content.reference);
-  setFieldText(els.preview.arabic, content.arabic);
-  setFieldText(els.preview.transliteration, content.transliteration);
-  setFieldText(els.preview.english, content.english);
-  setFieldText(els.preview.note, content.note);
+  renderSlideFields(els.preview, content);
+}
+
+// The line or slide one tap of Next brings up, so helpers can follow the
+// reciter and tap on time.
+function renderNext(next) {
+  els.nextRef.textContent = next ? next.header || '' : 'End of the session. Next does nothing from here.';
+  renderSlideFields(els.next, next);
+}
+
+function getSearchScopeKey(session) {
+  if (!session) {
+    return '';
+  }
+
+  if (session.sessionType === 'programme') {
+    return `programme:${session.selectedProgrammeId}`;
+  }
+
+  const range = session.quranRange;
+  return [
+    session.sessionType,
+    session.selectedDuaId,
+    session.selectedEventId,
+    range ? `${range.start.surahNumber}:${range.start.ayahNumber}-${range.end.surahNumber}:${range.end.ayahNumber}` : ''
+  ].join('|');
+}
+
+function runSearch() {
+  window.clearTimeout(searchTimer);
+  const query = els.searchInput.value.trim();
+
+  if (query.length < 2) {
+    els.searchResults.innerHTML = '';
+    setFieldText(els.searchStatus, '');
+    return;
+  }
+
+  send({ type: 'search', query });
+}
+
+function renderSearchResults(message) {
+  if (message.query.trim() !== els.searchInput.value.trim()) {
+    return;
+  }
+
+  els.searchResults.innerHTML = '';
+  message.results.forEach((result) => {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'section-btn search-result';
+    button.disabled = !controlsEnabled();
+
+    const label = document.createElement('span');
+    label.textContent = result.label;
+    const snippet = document.createElement('span');
+    snippet.className = 'search-snippet';
+    snippet.textContent = result.snippet;
+
+    button.append(label, snippet);
+    button.addEventListener('click', () => send({ type: 'jump_to', target: result.target }));
+    els.searchResults.appendChild(button);
+  });
+
+  setFieldText(
+    els.searchStatus,
+    message.total === 0
+      ? 'No matches in the locked session.'
+      : message.total > message.results.length
+        ? `Showing ${message.results.length} of ${message.total} matches. Add another word to narrow it down.`
+        : `${message.total} ${message.total === 1 ? 'match' : 'matches'}.`
+  );
+}
+
+// Results only cover the locked content, so they are refreshed when the admin
+// switches to a different dua, event, programme or range.
+function refreshSearchScope() {
+  const nextKey = getSearchScopeKey(currentSession);
+  if (nextKey !== searchScopeKey) {
+    searchScopeKey = nextKey;
+    runSearch();
+  }
 }
 
 function renderSessionState() {
@@ -176,57 +521,262 @@ function renderSessionState() {
 
   renderSessionPanels();
 
-  if (currentSession.sessionType === 'quran') {
-    els.surahSelect.value = String(currentSession.quran?.surahNumber || 1);
+  if (currentSession.sessionType === 'programme') {
+    const lockedProgramme = currentSession.lockedProgramme;
+    const segmentIndex = Number(currentSession.programme?.segmentIndex) || 0;
+    const segment = lockedProgramme?.segments?.[segmentIndex];
+
+    els.programmeTitle.textContent = lockedProgramme?.title || 'Programme';
+    els.segmentStatus.textContent = `Segment ${segmentIndex + 1} of ${lockedProgramme?.segments?.length || 1}: ${segment?.title || ''}`;
+    renderSegmentButtons();
+  }
+
+  const sessionType = getActiveSessionType();
+
+  if (sessionType === 'quran') {
+    populateSurahSelect();
+    syncDivisionInput(currentContent?.quran?.divisions?.[els.divisionSelect.value]);
     syncAyahInput(currentSession.quran?.surahNumber || 1, currentSession.quran?.ayahNumber || 1);
   }
 
-  if (currentSession.sessionType === 'dua') {
+  if (sessionType === 'dua') {
     const lockedDua = currentSession.lockedDua;
     els.duaTitle.textContent = lockedDua?.title || 'Dua';
     syncLineInput(currentSession.dua?.lineIndex || 1, lockedDua?.totalLines || 1);
+    renderDuaSections();
   }
 
-  if (currentSession.sessionType === 'guided_event') {
+  if (sessionType === 'guided_event') {
     const lockedEvent = currentSession.lockedEvent;
     const guidedEvent = currentSession.guidedEvent || { sectionIndex: 0, slideIndex: 0 };
     const currentSection = lockedEvent?.sections?.[guidedEvent.sectionIndex];
 
     els.eventTitle.textContent = lockedEvent?.title || 'Guided Event';
     els.sectionStatus.textContent = `${currentSection?.title || 'Section'} - Slide ${(guidedEvent.slideIndex || 0) + 1} of ${currentContent?.guidedEvent?.totalSlides || currentSection?.totalSlides || 1}`;
+    renderRepeatCounter();
     renderGuidedSections();
   }
 }
 
+function describeAutoPace(pace) {
+  if (!pace) {
+    return '';
+  }
+
+  return pace.mode === 'text'
+    ? `${pace.charactersPerSecond} characters per second`
+    : `${pace.seconds} seconds per line or slide`;
+}
+
+function renderAutoAdvance() {
+  const sessionType = getActiveSessionType();
+  const available = sessionType === 'dua' || sessionType === 'guided_event';
+  els.autoPanel.classList.toggle('hidden', !paired || (!available && autoAdvance.status === 'off'));
+
+  const secondsLeft = Math.max(
+    0,
+    Math.ceil((autoAdvance.remainingMs - (autoAdvance.status === 'running' ? Date.now() - autoAdvanceReceivedAt : 0)) / 1000)
+  );
+  const pace = describeAutoPace(autoAdvance.pace);
+
+  if (autoAdvance.status === 'running') {
+    els.autoStatus.textContent = `Running at ${pace}. Next step in ${secondsLeft}s.`;
+  } else if (autoAdvance.status === 'paused') {
+    els.autoStatus.textContent = `Paused with ${secondsLeft}s left on this ${sessionType === 'dua' ? 'line' : 'slide'}.`;
+  } else {
+    els.autoStatus.textContent = `Off. Pace: ${pace}.`;
+  }
+
+  els.autoToggleBtn.textContent =
+    autoAdvance.status === 'running' ? 'Pause' : autoAdvance.status === 'paused' ? 'Resume' : 'Start';
+  els.autoToggleBtn.disabled = !controlsEnabled() || (!available && autoAdvance.status !== 'running');
+  els.autoStopBtn.disabled = !controlsEnabled() || autoAdvance.status === 'off';
+}
+
+// The server sends the time left, not a clock time, so a phone with a wrong
+// clock still counts down correctly.
+function applyAutoAdvance(snapshot) {
+  if (!snapshot) {
+    return;
+  }
+
+  autoAdvance = snapshot;
+  autoAdvanceReceivedAt = Date.now();
+  window.clearInterval(autoAdvanceTimer);
+  autoAdvanceTimer = snapshot.status === 'running' ? window.setInterval(renderAutoAdvance, 1000) : null;
+  renderAutoAdvance();
+}
+
+function toggleAutoAdvance() {
+  const command = autoAdvance.status === 'running' ? 'pause' : autoAdvance.status === 'paused' ? 'resume' : 'start';
+  send({ type: 'auto_advance', command });
+}
+
+function getAudioReciter() {
+  return audio.reciters.find((reciter) => reciter.id === audio.reciterId) || null;
+}
+
+function renderAudio() {
+  const surahNumber = getActiveSessionType() === 'quran' ? currentContent?.quran?.surahNumber : null;
+  const reciter = getAudioReciter();
+  const available = Boolean(reciter && surahNumber && reciter.surahNumbers.includes(surahNumber));
+  els.audioPanel.classList.toggle('hidden', !paired || (!available && audio.status === 'stopped'));
+
+  if (audio.status === 'playing') {
+    els.audioStatus.textContent = `Playing ${reciter?.name || ''} from Surah ${audio.surahNumber}. The display follows each ayah.`;
+  } else if (audio.status === 'paused') {
+    els.audioStatus.textContent = `Paused in Surah ${audio.surahNumber}${audio.ayahNumber ? `, ayah ${audio.ayahNumber}` : ''}.`;
+  } else {
+    els.audioStatus.textContent = `Stopped. ${reciter?.name || ''} can recite this surah from the ayah on screen.`;
+  }
+
+  els.audioPlayBtn.disabled = !controlsEnabled() || audio.status === 'playing' || (!available && audio.status === 'stopped');
+  els.audioPauseBtn.disabled = !controlsEnabled() || audio.status !== 'playing';
+}
+
+function applyAudio(snapshot) {
+  if (!snapshot) {
+    return;
+  }
+
+  audio = snapshot;
+  renderAudio();
+}
+
+function renderLockRequests() {
+  els.lockRequests.innerHTML = '';
+
+  if (!holdsControl()) {
+    return;
+  }
+
+  lockState.requests.forEach((request) => {
+    const row = document.createElement('div');
+    row.className = 'lock-request';
+
+    const label = document.createElement('p');
+    label.textContent = `Controller ${request.controllerId} is asking for control.`;
+
+    const approveButton = document.createElement('button');
+    approveButton.type = 'button';
+    approveButton.className = 'primary';
+    approveButton.textContent = 'Hand over';
+    approveButton.addEventListener('click', () => {
+      send({ type: 'approve_control', controllerId: request.controllerId });
+    });
+
+    const declineButton = document.createElement('button');
+    declineButton.type = 'button';
+    declineButton.className = 'secondary';
+    declineButton.textContent = 'Decline';
+    declineButton.addEventListener('click', () => {
+      send({ type: 'decline_control', controllerId: request.controllerId });
+    });
+
+    row.append(label, approveButton, declineButton);
+    els.lockRequests.appendChild(row);
+  });
+}
+
+function renderLockPanel() {
+  const visible = socketOpen() && paired && lockState.enabled;
+  els.lockPanel.classList.toggle('hidden', !visible);
+  if (!visible) {
+    return;
+  }
+
+  const requested = lockState.requests.some((request) => request.controllerId === controllerId);
+
+  if (holdsControl()) {
+    els.lockStatus.textContent = 'This phone holds control. Other phones are read-only until you hand over.';
+    els.requestControlBtn.classList.add('hidden');
+  } else {
+    els.lockStatus.textContent = lockState.holderId
+      ? `Controller ${lockState.holderId} holds control. This phone is read-only.`
+      : 'No phone holds control right now. This phone is read-only.';
+    els.requestControlBtn.classList.remove('hidden');
+    els.requestControlBtn.textContent = requested ? 'Cancel request' : 'Request control';
+  }
+
+  renderLockRequests();
+}
+
 function updateUiStatus() {
   const enabled = controlsEnabled();
   const controlElements = [
     els.surahSelect,
     els.ayahInput,
     els.ayahJumpBtn,
+    els.divisionSelect,
+    els.divisionInput,
+    els.divisionJumpBtn,
     els.lineInput,
     els.lineJumpBtn,
     els.prevBtn,
-    els.nextBtn
+    els.nextBtn,
+    els.repeatTapBtn,
+    els.repeatResetBtn
   ];
 
   controlElements.forEach((element) => {
     element.disabled = !enabled;
   });
 
-  const sectionButtons = els.sectionButtons.querySelectorAll('button');
-  sectionButtons.forEach((button) => {
+  els.searchPanel.classList.toggle('hidden', !paired);
+  els.searchInput.disabled = !socketOpen();
+  els.searchBtn.disabled = !socketOpen();
+
+  const jumpButtons = [
+    ...els.sectionButtons.querySelectorAll('button'),
+    ...els.duaSectionButtons.querySelectorAll('button'),
+    ...els.segmentButtons.querySelectorAll('button'),
+    ...els.searchResults.querySelectorAll('button')
+  ];
+  jumpButtons.forEach((button) => {
     button.disabled = !enabled;
   });
 
-  if (!enabled) {
+  renderLockPanel();
+  renderAutoAdvance();
+  renderAudio();
+  els.pairingPanel.classList.toggle('hidden', paired || !socketOpen());
+  els.pairingMessage.textContent = pairingMessage;
+  els.pairingInput.disabled = !socketOpen();
+  els.pairingBtn.disabled = !socketOpen();
+
+  if (!socketOpen()) {
     els.lockMessage.textContent = 'Disconnected. Reconnecting...';
     return;
   }
 
+  if (!paired) {
+    els.lockMessage.textContent = 'This phone is not paired yet. It can follow along but cannot navigate.';
+    return;
+  }
+
   const count = controllerStatus.controllerCount || 0;
   const noun = count === 1 ? 'controller' : 'controllers';
-  els.lockMessage.textContent = `${count} ${noun} connected. Any connected controller can navigate.`;
+
+  if (!lockState.enabled) {
+    els.lockMessage.textContent = `${count} ${noun} connected. Any connected controller can navigate.`;
+    return;
+  }
+
+  els.lockMessage.textContent = holdsControl()
+    ? `${count} ${noun} connected. You hold control.`
+    : `${count} ${noun} connected. Read-only while ${lockState.holderId || 'no one'} holds control.`;
+}
+
+function applyLockState(lock) {
+  if (!lock) {
+    return;
+  }
+
+  lockState = {
+    enabled: Boolean(lock.enabled),
+    holderId: lock.holderId || null,
+    requests: Array.isArray(lock.requests) ? lock.requests : []
+  };
 }
 
 function applyBootstrap(message) {
@@ -253,28 +803,57 @@ function applyBootstrap(message) {
     populateSurahSelect();
   }
 
+  if (message.quranDivisions) {
+    quranDivisions = message.quranDivisions;
+    populateDivisionSelect();
+  }
+
   currentSession = message.session || currentSession;
   currentContent = message.content || currentContent;
+  nextContent = message.next || null;
+  presenterOnlyFields = message.config?.presenterOnlyFields || presenterOnlyFields;
   controllerStatus = {
     connected: Boolean(message.connection?.controllerConnected),
     controllerCount: Number(message.connection?.controllerCount) || 0
   };
+  applyLockState(message.lock);
+  applyAutoAdvance(message.autoAdvance);
+  applyAudio(message.audio);
+
+  const serverHeartbeatMs = Number(message.connection?.heartbeatIntervalMs);
+  if (serverHeartbeatMs > 0 && serverHeartbeatMs !== heartbeatIntervalMs) {
+    heartbeatIntervalMs = serverHeartbeatMs;
+    // The timer started on 'open' with the old interval, before the server
+    // said how often it expects to hear from us.
+    if (heartbeatTimer) {
+      startHeartbeat();
+    }
+  }
+
+  if (Number(message.connection?.controllerTimeoutMs) > 0) {
+    controllerTimeoutMs = Number(message.connection.controllerTimeoutMs);
+  }
 
   renderSessionState();
   renderPreview(currentContent);
+  renderNext(nextContent);
   updateUiStatus();
+  refreshSearchScope();
 }
 
 function applyStateUpdate(message) {
   currentSession = message.session || currentSession;
   currentContent = message.content || currentContent;
+  nextContent = message.next || null;
   renderSessionState();
   renderPreview(currentContent);
+  renderNext(nextContent);
   updateUiStatus();
+  refreshSearchScope();
 }
 
 function send(payload) {
-  if (!controlsEnabled()) {
+  if (!socketOpen() || !paired) {
     return;
   }
 
@@ -292,8 +871,49 @@ function scheduleReconnect() {
   }, 1500);
 }
 
+function stopHeartbeat() {
+  if (heartbeatTimer) {
+    window.clearInterval(heartbeatTimer);
+    heartbeatTimer = null;
+  }
+}
+
+function sendHello() {
+  ws.send(
+    JSON.stringify({
+      type: 'hello',
+      role: 'control',
+      pairingCode,
+      controllerToken: readControllerToken()
+    })
+  );
+}
+
+function sendHeartbeat() {
+  if (!socketOpen()) {
+    return;
+  }
+
+  // A socket that stayed open while the phone dropped off the Wi-Fi never fires
+  // 'close', so treat a silent server as gone and reconnect.
+  if (Date.now() - lastServerMessageAt > controllerTimeoutMs) {
+    ws.close();
+    return;
+  }
+
+  ws.send(JSON.stringify({ type: 'heartbeat' }));
+}
+
+function startHeartbeat() {
+  stopHeartbeat();
+  lastServerMessageAt = Date.now();
+  heartbeatTimer = window.setInterval(sendHeartbeat, heartbeatIntervalMs);
+}
+
 function handleSocketMessage(message) {
   if (message.type === 'bootstrap') {
+    paired = message.socketRole === 'control';
+    controllerId = message.controllerId || null;
     applyBootstrap(message);
     return;
   }
@@ -303,6 +923,21 @@ function handleSocketMessage(message) {
     return;
   }
 
+  if (message.type === 'search_results') {
+    renderSearchResults(message);
+    return;
+  }
+
+  if (message.type === 'auto_advance_update') {
+    applyAutoAdvance(message.autoAdvance);
+    return;
+  }
+
+  if (message.type === 'audio_update') {
+    applyAudio(message.audio);
+    return;
+  }
+
   if (message.type === 'controller_status') {
     controllerStatus = {
       connected: Boolean(message.controllerConnected),
@@ -312,6 +947,36 @@ function handleSocketMessage(message) {
     return;
   }
 
+  if (message.type === 'lock_update') {
+    applyLockState(message.lock);
+    renderSessionState();
+    updateUiStatus();
+    return;
+  }
+
+  if (message.type === 'paired') {
+    paired = true;
+    controllerId = message.controllerId || null;
+    pairingCode = '';
+    pairingMessage = '';
+    writeControllerToken(message.controllerToken);
+    window.history.replaceState(null, '', window.location.pathname);
+    renderSessionState();
+    updateUiStatus();
+    return;
+  }
+
+  if (message.type === 'pairing_required' || message.type === 'pairing_revoked') {
+    paired = false;
+    pairingCode = '';
+    pairingMessage = message.message || 'Enter the pairing code to control the display.';
+    if (message.type === 'pairing_revoked') {
+      writeControllerToken('');
+    }
+    updateUiStatus();
+    return;
+  }
+
   if (message.type === 'error') {
     els.lockMessage.textContent = message.message || 'Action rejected by server.';
   }
@@ -321,11 +986,14 @@ function connectSocket() {
   ws = new WebSocket(wsUrl());
 
   ws.addEventListener('open', () => {
-    ws.send(JSON.stringify({ type: 'hello', role: 'control' }));
+    sendHello();
+    startHeartbeat();
     updateUiStatus();
   });
 
   ws.addEventListener('message', (event) => {
+    lastServerMessageAt = Date.now();
+
     try {
       handleSocketMessage(JSON.parse(event.data));
     } catch (_error) {
@@ -334,6 +1002,8 @@ function connectSocket() {
   });
 
   ws.addEventListener('close', () => {
+    stopHeartbeat();
+    paired = false;
     controllerStatus = {
       connected: false,
       controllerCount: 0
@@ -347,7 +1017,40 @@ function connectSocket() {
   });
 }
 
+function handleVisibilityChange() {
+  if (document.visibilityState !== 'visible') {
+    return;
+  }
+
+  if (!ws || ws.readyState === WebSocket.CLOSED) {
+    window.clearTimeout(reconnectTimer);
+    reconnectTimer = null;
+    connectSocket();
+    return;
+  }
+
+  sendHeartbeat();
+}
+
+function handlePairingSubmit(event) {
+  event.preventDefault();
+  pairingCode = els.pairingInput.value.trim().toUpperCase();
+  if (!pairingCode || !socketOpen()) {
+    return;
+  }
+
+  els.pairingInput.value = '';
+  sendHello();
+}
+
 function attachEvents() {
+  document.addEventListener('visibilitychange', handleVisibilityChange);
+  els.pairingForm.addEventListener('submit', handlePairingSubmit);
+  els.requestControlBtn.addEventListener('click', () => {
+    const requested = lockState.requests.some((request) => request.controllerId === controllerId);
+    send({ type: requested ? 'cancel_control_request' : 'request_control' });
+  });
+
   els.surahSelect.addEventListener('change', () => {
     const surahNumber = Number(els.surahSelect.value || 1);
     syncAyahInput(surahNumber, 1);
@@ -365,6 +1068,20 @@ function attachEvents() {
     send({ type: 'jump_ayah', ayahNumber });
   });
 
+  els.divisionSelect.addEventListener('change', () => {
+    syncDivisionInput(currentContent?.quran?.divisions?.[els.divisionSelect.value]);
+  });
+
+  els.divisionInput.addEventListener('change', () => {
+    syncDivisionInput(els.divisionInput.value);
+  });
+
+  els.divisionJumpBtn.addEventListener('click', () => {
+    const kind = els.divisionSelect.value;
+    const value = syncDivisionInput(els.divisionInput.value);
+    send({ type: `jump_${kind}`, [`${kind}Number`]: value });
+  });
+
   els.lineInput.addEventListener('change', () => {
     const max = Number(els.lineInput.max || 1);
     syncLineInput(Number(els.lineInput.value || 1), max);
@@ -376,8 +1093,23 @@ function attachEvents() {
     send({ type: 'jump_line', lineIndex });
   });
 
+  els.searchForm.addEventListener('submit', (event) => {
+    event.preventDefault();
+    runSearch();
+  });
+  els.searchInput.addEventListener('input', () => {
+    window.clearTimeout(searchTimer);
+    searchTimer = window.setTimeout(runSearch, 300);
+  });
+
   els.prevBtn.addEventListener('click', () => send({ type: 'step', direction: 'prev' }));
   els.nextBtn.addEventListener('click', () => send({ type: 'step', direction: 'next' }));
+  els.repeatTapBtn.addEventListener('click', () => send({ type: 'count_repeat' }));
+  els.autoToggleBtn.addEventListener('click', toggleAutoAdvance);
+  els.autoStopBtn.addEventListener('click', () => send({ type: 'auto_advance', command: 'stop' }));
+  els.audioPlayBtn.addEventListener('click', () => send({ type: 'audio', command: 'play' }));
+  els.audioPauseBtn.addEventListener('click', () => send({ type: 'audio', command: 'pause' }));
+  els.repeatResetBtn.addEventListener('click', () => send({ type: 'reset_repeat' }));
 }
 
 async function init() {
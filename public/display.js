@@ -1,4 +1,6 @@
 const els = {
+  screenRoot: document.getElementById('screenRoot'),
+  brandContainer: document.getElementById('brandContainer'),
   brandLogo: document.getElementById('brandLogo'),
   brandText: document.getElementById('brandText'),
   clock: document.getElementById('clock'),
@@ -6,6 +8,7 @@ const els = {
   contentBody: document.querySelector('.content-body'),
   contentStack: document.getElementById('contentStack'),
   readingContent: document.getElementById('readingContent'),
+  translations: document.getElementById('slideTranslations'),
   qrOverlay: document.getElementById('qrOverlay'),
   qrImage: document.getElementById('qrImage'),
   qrUrl: document.getElementById('qrUrl'),
@@ -14,6 +17,7 @@ const els = {
     lineNumber: document.getElementById('slideLineNumber'),
     instruction: document.getElementById('slideInstruction'),
     repeat: document.getElementById('slideRepeat'),
+    repeatCounter: document.getElementById('slideRepeatCounter'),
     reference: document.getElementById('slideReference'),
     arabic: document.getElementById('slideArabic'),
     transliteration: document.getElementById('slideTransliteration'),
@@ -28,6 +32,34 @@ let controllerConnected = false;
 let currentContentKey = '';
 let fadeOutTimer = null;
 let fadeInTimer = null;
+let showRepeatCounter = true;
+let presenterOnlyFields = [];
+let fontScale = 1;
+let brandAccentColor = '#718272';
+let brandFonts = {};
+let bundledFonts = [];
+let fontsReady = Promise.resolve();
+
+const searchParams = new URLSearchParams(window.location.search);
+const isPreview = searchParams.has('preview');
+const screenId = (searchParams.get('screen') || '').trim().toLowerCase();
+// /overlay serves this page as a transparent lower third for OBS.
+const isOverlay = window.location.pathname.replace(/\/+$/, '') === '/overlay';
+// The band is a fraction of the screen, so its text starts and stays smaller.
+const FIT_SCALE_RANGE = isOverlay ? { min: 0.3, max: 1.6 } : { min: 0.8, max: 4.4 };
+const audioOutput = isPreview ? null : createAudioOutput(send);
+
+const THEME_COLOR_PROPERTIES = {
+  background: '--bg-primary',
+  panel: '--bg-panel',
+  text: '--text-primary',
+  secondary: '--text-secondary',
+  muted: '--text-muted'
+};
+
+const THEME_FONT_KEYS = ['arabic', 'quran', 'dua', 'latin', 'transliteration', 'english'];
+// A missing or broken font file must not keep the text hidden for long.
+const FONT_LOAD_TIMEOUT_MS = 3000;
 
 const FADE_OUT_MS = 90;
 const FADE_IN_MS = 110;
@@ -53,7 +85,11 @@ function applyBrandConfig(config) {
   }
 
   els.brandText.textContent = config.brandText || 'Al Zahraa Centre';
-  document.documentElement.style.setProperty('--accent', config.accentColor || '#718272');
+  showRepeatCounter = config.showRepeatCounter !== false;
+  presenterOnlyFields = config.presenterOnlyFields || [];
+  brandAccentColor = config.accentColor || '#718272';
+  brandFonts = config.fonts || {};
+  document.documentElement.style.setProperty('--accent', brandAccentColor);
   document.documentElement.style.setProperty('--safe-margin', config.safeMargin || '4vw');
 
   if (config.logoPath) {
@@ -65,6 +101,112 @@ function applyBrandConfig(config) {
   }
 }
 
+function getProfileElements() {
+  return {
+    ...els.fields,
+    brand: els.brandContainer,
+    clock: els.clock,
+    translations: els.translations
+  };
+}
+
+// Each /display?screen=<id> gets its own profile from data/config.json, so the
+// livestream and the hall TV can show the same session differently.
+function applyDisplayProfile(profile) {
+  if (!profile) {
+    return;
+  }
+
+  fontScale = Number(profile.fontScale) || 1;
+  document.documentElement.style.setProperty('--safe-margin', profile.safeMargin || '4vw');
+  document.documentElement.style.setProperty('--band-height', `${Number(profile.bandHeight) || 28}vh`);
+  document.documentElement.dataset.bandPosition = profile.bandPosition || 'bottom';
+  for (const [field, element] of Object.entries(getProfileElements())) {
+    element.classList.toggle('profile-hidden', (profile.hiddenFields || []).includes(field));
+  }
+  debouncedFitContent();
+}
+
+// The server lists the files in public/assets/fonts/; each becomes a face the
+// theme fonts can name.
+function registerBundledFonts(fonts) {
+  if (!Array.isArray(fonts)) {
+    return;
+  }
+
+  bundledFonts = fonts;
+  let style = document.getElementById('bundledFonts');
+  if (!style) {
+    style = document.createElement('style');
+    style.id = 'bundledFonts';
+    document.head.appendChild(style);
+  }
+  style.textContent = fonts
+    .map(
+      (font) => `@font-face {
+  font-family: ${JSON.stringify(font.family)};
+  src: url(${JSON.stringify(font.url)}) format(${JSON.stringify(font.format)});
+  font-weight: ${font.weight};
+  font-style: ${font.style};
+  font-display: block;
+}`
+    )
+    .join('\n');
+}
+
+// Fonts only download once text uses them, so the first fit would measure
+// the fallback font and jump when the real one arrives. Load the bundled
+// faces the font stacks name up front instead, including theme.css defaults.
+function waitForFonts() {
+  if (!document.fonts) {
+    return Promise.resolve();
+  }
+
+  const rootStyle = window.getComputedStyle(document.documentElement);
+  const fontStacks = [...THEME_FONT_KEYS, 'ui', 'copy'].map((key) => rootStyle.getPropertyValue(`--font-${key}`));
+  const faces = bundledFonts.filter((font) => fontStacks.some((stack) => stack.includes(font.family)));
+  const loaded = Promise.all(
+    faces.map((font) => document.fonts.load(`${font.style} ${font.weight} 1em ${JSON.stringify(font.family)}`).catch(() => []))
+  ).then(() => document.fonts.ready);
+  const timeout = new Promise((resolve) => {
+    window.setTimeout(resolve, FONT_LOAD_TIMEOUT_MS);
+  });
+  return Promise.race([loaded, timeout]);
+}
+
+function setThemeProperty(name, value) {
+  if (value) {
+    document.documentElement.style.setProperty(name, value);
+  } else {
+    document.documentElement.style.removeProperty(name);
+  }
+}
+
+// Themes from data/themes only override what they set; the rest falls back to
+// theme.css, and the accent to the one in config.json.
+function applyTheme(theme) {
+  const colors = theme?.colors || {};
+  for (const [key, property] of Object.entries(THEME_COLOR_PROPERTIES)) {
+    setThemeProperty(property, colors[key]);
+  }
+  document.documentElement.style.setProperty('--accent', colors.accent || brandAccentColor);
+  setThemeProperty('--bg-image', theme?.backgroundImage ? `url("${encodeURI(theme.backgroundImage)}")` : '');
+  // Theme fonts win over the ones in config.json, key by key.
+  const fonts = { ...brandFonts, ...theme?.fonts };
+  for (const key of THEME_FONT_KEYS) {
+    setThemeProperty(`--font-${key}`, fonts[key]);
+  }
+  fontsReady = waitForFonts();
+
+  for (const field of Object.keys(els.fields)) {
+    const style = theme?.fields?.[field] || {};
+    setThemeProperty(`--field-${field}-size`, style.size ? String(style.size) : '');
+    setThemeProperty(`--field-${field}-weight`, style.weight ? String(style.weight) : '');
+    setThemeProperty(`--field-${field}-color`, style.color);
+  }
+  debouncedFitContent();
+}
+
 function fitsContent() {
   return (
     els.contentStack.scrollHeight <= els.contentBody.clientHeight + 1 &&
@@ -77,8 +219,10 @@ function fitContent() {
     return;
   }
 
-  let low = 0.8;
-  let high = 4.4;
+  // The profile's font scale sets how large short text may grow, and shrinks
+  // long text by the same amount when it is below 1.
+  let low = FIT_SCALE_RANGE.min * Math.min(1, fontScale);
+  let high = FIT_SCALE_RANGE.max * fontScale;
   let best = low;
 
   for (let index = 0; index < 22; index += 1) {
@@ -97,7 +241,12 @@ function fitContent() {
 }
 
 const debouncedFitContent = debounce(() => {
-  window.requestAnimationFrame(() => fitContent());
+  fontsReady.then(() => {
+    window.requestAnimationFrame(() => {
+      fitContent();
+      els.contentViewport.classList.remove('is-loading-fonts');
+    });
+  });
 }, 80);
 
 function setFieldText(element, value) {
@@ -118,7 +267,8 @@ function getContentKey(content) {
   }
 
   if (content.mode === 'quran' && content.quran) {
-    return `quran:${content.quran.surahNumber}:${content.quran.ayahNumber}:${content.blanked ? 1 : 0}`;
+    const { translations = [], transliteration = '' } = content.quran.languages || {};
+    return `quran:${content.quran.surahNumber}:${content.quran.ayahNumber}-${content.quran.lastAyahNumber}:${translations.join(',')}:${transliteration || ''}:${content.blanked ? 1 : 0}`;
   }
 
   if (content.mode === 'dua' && content.dua) {
@@ -134,6 +284,8 @@ function getContentKey(content) {
 
 function updateBlankState(blanked) {
   els.contentViewport.classList.toggle('blanked', Boolean(blanked));
+  // The overlay hides its whole band, not just the text.
+  els.screenRoot.classList.toggle('is-blanked', Boolean(blanked));
 }
 
 function clearReadingFadeState() {
@@ -150,20 +302,53 @@ function clearReadingFadeState() {
   els.readingContent.classList.remove('is-fading-out', 'is-pre-fade-in', 'is-fading-in');
 }
 
+// Guided-event fields kept for the presenter on /control.
+function getPublicText(content, field) {
+  return content.mode === 'guided_event' && presenterOnlyFields.includes(field) ? '' : content[field];
+}
+
 function updateStaticFields(content) {
   setFieldText(els.fields.title, content.displayTitle);
   setFieldText(els.fields.lineNumber, content.lineLabel);
-  setFieldText(els.fields.instruction, content.instruction);
+  setFieldText(els.fields.instruction, getPublicText(content, 'instruction'));
   setFieldText(els.fields.repeat, content.repeat);
   setFieldText(els.fields.reference, content.reference);
   updateBlankState(content.blanked);
 }
 
+function setFieldLanguage(element, language) {
+  element.dir = language?.direction || 'ltr';
+  element.lang = language?.code || 'en';
+  element.classList.toggle('rtl-translation', element.dir === 'rtl');
+}
+
+// The first translation uses the English line; any others are added under it
+// in the order the admin picked.
+function updateTranslations(content) {
+  const [first, ...others] = content.translations || [];
+  setFieldLanguage(els.fields.english, first);
+  setFieldText(els.fields.english, content.english);
+
+  els.translations.replaceChildren(
+    ...others
+      .filter((translation) => translation.text)
+      .map((translation) => {
+        const element = document.createElement('p');
+        element.className = 'content-field english';
+        setFieldLanguage(element, translation);
+        element.textContent = translation.text;
+        return element;
+      })
+  );
+}
+
 function updateReadingFields(content) {
+  // Quran text and dua or event Arabic can use different fonts.
+  els.fields.arabic.dataset.script = content.mode === 'quran' ? 'quran' : 'dua';
   setFieldText(els.fields.arabic, content.arabic);
   setFieldText(els.fields.transliteration, content.transliteration);
-  setFieldText(els.fields.english, content.english);
-  setFieldText(els.fields.note, content.note);
+  updateTranslations(content);
+  setFieldText(els.fields.note, getPublicText(content, 'note'));
   debouncedFitContent();
 }
 
@@ -201,11 +386,19 @@ function updateContentFields(content, animateDynamic = true) {
   fadeReadingContent(content);
 }
 
+// Counter taps keep the slide in place, so the count is drawn outside the
+// content key and never fades the reading text.
+function updateRepeatCounter(content) {
+  const counter = showRepeatCounter ? content.repeatCounter : null;
+  setFieldText(els.fields.repeatCounter, counter ? `${counter.count} / ${counter.target}` : '');
+}
+
 function renderContent(content, animate = true) {
   if (!content) {
     return;
   }
 
+  updateRepeatCounter(content);
   const nextKey = getContentKey(content);
   if (nextKey === currentContentKey && !content.forceRefresh) {
     return;
@@ -215,6 +408,12 @@ function renderContent(content, animate = true) {
   updateContentFields(content, animate);
 }
 
+function send(payload) {
+  if (ws && ws.readyState === WebSocket.OPEN) {
+    ws.send(JSON.stringify(payload));
+  }
+}
+
 function setConnectionState(isConnected) {
   controllerConnected = Boolean(isConnected);
   const hasQr = Boolean(els.qrImage.getAttribute('src'));
@@ -222,15 +421,22 @@ function setConnectionState(isConnected) {
 }
 
 function applyBootstrap(payload) {
+  registerBundledFonts(payload.fonts);
   applyBrandConfig(payload.config);
+  applyDisplayProfile(payload.display);
+  applyTheme(payload.theme);
 
   if (payload.connection?.qrCodeDataUrl) {
     els.qrImage.src = payload.connection.qrCodeDataUrl;
   }
 
   els.qrUrl.textContent = payload.connection?.controlUrl || '';
+  // A bootstrap can follow a content reload, where the position is unchanged
+  // but the text is not, so always repaint.
+  currentContentKey = '';
   renderContent(payload.content, false);
   setConnectionState(payload.connection?.controllerConnected);
+  audioOutput?.apply(payload.audio);
 }
 
 function wsUrl() {
@@ -260,8 +466,34 @@ function handleSocketMessage(message) {
     return;
   }
 
+  if (message.type === 'audio_update') {
+    audioOutput?.apply(message.audio);
+    return;
+  }
+
+  if (message.type === 'display_profile') {
+    applyDisplayProfile(message.display);
+    applyTheme(message.theme);
+    return;
+  }
+
+  if (message.type === 'config_update') {
+    applyBrandConfig(message.config);
+    applyTheme(message.theme);
+    return;
+  }
+
   if (message.type === 'controller_status') {
     setConnectionState(message.controllerConnected);
+    return;
+  }
+
+  if (message.type === 'connection_update') {
+    if (message.qrCodeDataUrl) {
+      els.qrImage.src = message.qrCodeDataUrl;
+    }
+    els.qrUrl.textContent = message.controlUrl || '';
+    setConnectionState(controllerConnected);
   }
 }
 
@@ -269,7 +501,7 @@ function connectSocket() {
   ws = new WebSocket(wsUrl());
 
   ws.addEventListener('open', () => {
-    ws.send(JSON.stringify({ type: 'hello', role: 'display' }));
+    ws.send(JSON.stringify({ type: 'hello', role: 'display', screen: screenId, audioOutput: Boolean(audioOutput) }));
   });
 
   ws.addEventListener('message', (event) => {
@@ -290,12 +522,43 @@ function connectSocket() {
   });
 }
 
+// The admin event editor embeds /display?preview=1 and posts draft slides,
+// so the preview uses the same renderer without joining the live session.
+function handlePreviewMessage(event) {
+  if (event.origin !== window.location.origin || event.data?.type !== 'preview') {
+    return;
+  }
+
+  registerBundledFonts(event.data.fonts);
+  applyBrandConfig(event.data.config);
+  applyTheme(event.data.theme);
+  currentContentKey = '';
+  renderContent(event.data.content, false);
+}
+
+function startPreview() {
+  els.qrOverlay.classList.add('hidden');
+  window.addEventListener('message', handlePreviewMessage);
+}
+
 async function init() {
+  document.documentElement.dataset.layout = isOverlay ? 'overlay' : 'full';
+  els.contentViewport.classList.add('is-loading-fonts');
   setClock();
   window.setInterval(setClock, 1000);
 
+  const resizeObserver = new ResizeObserver(() => debouncedFitContent());
+  resizeObserver.observe(els.contentViewport);
+  resizeObserver.observe(els.contentBody);
+  window.addEventListener('resize', debouncedFitContent);
+
+  if (isPreview) {
+    startPreview();
+    return;
+  }
+
   try {
-    const response = await fetch('/api/bootstrap?role=display', { cache: 'no-store' });
+    const response = await fetch(`/api/bootstrap?role=display&screen=${encodeURIComponent(screenId)}`, { cache: 'no-store' });
     if (response.ok) {
       applyBootstrap(await response.json());
     }
@@ -303,11 +566,6 @@ async function init() {
     // websocket bootstrap will recover
   }
 
-  const resizeObserver = new ResizeObserver(() => debouncedFitContent());
-  resizeObserver.observe(els.contentViewport);
-  resizeObserver.observe(els.contentBody);
-  window.addEventListener('resize', debouncedFitContent);
-
   connectSocket();
   debouncedFitContent();
 }
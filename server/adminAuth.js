@@ -0,0 +1,134 @@
+const crypto = require('crypto');
+
+const COOKIE_NAME = 'qc_admin';
+const SESSION_MAX_AGE_MS = 12 * 60 * 60 * 1000;
+const MAX_FAILED_ATTEMPTS = 5;
+const LOCKOUT_MS = 60 * 1000;
+
+function digest(value) {
+  return crypto.createHash('sha256').update(String(value)).digest();
+}
+
+function parseCookieHeader(header) {
+  const cookies = {};
+
+  for (const part of String(header || '').split(';')) {
+    const separatorIndex = part.indexOf('=');
+    if (separatorIndex === -1) {
+      continue;
+    }
+
+    const name = part.slice(0, separatorIndex).trim();
+    const value = part.slice(separatorIndex + 1).trim();
+    if (name) {
+      try {
+        cookies[name] = decodeURIComponent(value);
+      } catch (_error) {
+        cookies[name] = value;
+      }
+    }
+  }
+
+  return cookies;
+}
+
+function generatePin() {
+  return String(crypto.randomInt(0, 1000000)).padStart(6, '0');
+}
+
+function createAdminAuth({ pin, secret }) {
+  const sessionSecret = String(secret || '').trim() || crypto.randomBytes(32).toString('hex');
+  const failuresByIp = new Map();
+  let adminPin = String(pin || '').trim();
+
+  function sign(payload) {
+    return crypto.createHmac('sha256', sessionSecret).update(payload).digest('base64url');
+  }
+
+  function hasPin() {
+    return adminPin.length > 0;
+  }
+
+  function setPin(nextPin) {
+    adminPin = String(nextPin || '').trim();
+  }
+
+  function isLockedOut(ip, now = Date.now()) {
+    const entry = failuresByIp.get(ip);
+    return Boolean(entry && entry.count >= MAX_FAILED_ATTEMPTS && now - entry.lastFailedAt < LOCKOUT_MS);
+  }
+
+  function recordFailure(ip, now = Date.now()) {
+    const entry = failuresByIp.get(ip);
+    const expired = !entry || now - entry.lastFailedAt >= LOCKOUT_MS;
+    failuresByIp.set(ip, {
+      count: expired ? 1 : entry.count + 1,
+      lastFailedAt: now
+    });
+  }
+
+  function checkPin(candidate, ip = 'unknown') {
+    if (!hasPin() || isLockedOut(ip)) {
+      return false;
+    }
+
+    const matches = crypto.timingSafeEqual(digest(String(candidate || '').trim()), digest(adminPin));
+    if (matches) {
+      failuresByIp.delete(ip);
+    } else {
+      recordFailure(ip);
+    }
+
+    return matches;
+  }
+
+  function issueSessionToken(now = Date.now()) {
+    const payload = `${now + SESSION_MAX_AGE_MS}.${crypto.randomBytes(12).toString('base64url')}`;
+    return `${payload}.${sign(payload)}`;
+  }
+
+  function verifySessionToken(token, now = Date.now()) {
+    const parts = String(token || '').split('.');
+    if (parts.length !== 3) {
+      return false;
+    }
+
+    const payload = `${parts[0]}.${parts[1]}`;
+    const expected = Buffer.from(sign(payload));
+    const actual = Buffer.from(parts[2]);
+    if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+      return false;
+    }
+
+    return Number(parts[0]) > now;
+  }
+
+  function isAuthenticatedRequest(req) {
+    return verifySessionToken(parseCookieHeader(req?.headers?.cookie)[COOKIE_NAME]);
+  }
+
+  function buildSessionCookie(token) {
+    return `${COOKIE_NAME}=${encodeURIComponent(token)}; Path=/; HttpOnly; SameSite=Strict; Max-Age=${Math.floor(SESSION_MAX_AGE_MS / 1000)}`;
+  }
+
+  function buildClearedCookie() {
+    return `${COOKIE_NAME}=; Path=/; HttpOnly; SameSite=Strict; Max-Age=0`;
+  }
+
+  return {
+    buildClearedCookie,
+    buildSessionCookie,
+    checkPin,
+    hasPin,
+    isAuthenticatedRequest,
+    isLockedOut,
+    issueSessionToken,
+    setPin
+  };
+}
+
+module.exports = {
+  createAdminAuth,
+  generatePin,
+  parseCookieHeader
+};
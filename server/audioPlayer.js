@@ -0,0 +1,202 @@
+// Small slack so an ayah that starts exactly at the current position counts
+// as started despite floating point timings.
+const TIMING_SLACK_SEC = 0.001;
+
+function getAyahStartSec(track, ayahNumber) {
+  const timing = track.timings.filter((entry) => entry.number <= ayahNumber).pop() || track.timings[0];
+  return timing.start;
+}
+
+function findAyahAt(track, positionSec) {
+  let found = null;
+  for (const timing of track.timings) {
+    if (timing.start > positionSec + TIMING_SLACK_SEC) {
+      break;
+    }
+    found = timing;
+  }
+  return found;
+}
+
+function formatAudioPosition(positionSec) {
+  const totalSeconds = Math.max(0, Math.floor(positionSec));
+  return `${Math.floor(totalSeconds / 60)}:${String(totalSeconds % 60).padStart(2, '0')}`;
+}
+
+// Keeps the playback clock for one surah recitation. The clock runs on the
+// server so the display follows along even when no browser plays the sound;
+// the browser that does play it reports its position through `sync`, which
+// keeps the clock on the real audio when it buffers or drifts.
+function createAudioPlayer({ onAyah, onEnded }) {
+  let status = 'stopped';
+  let track = null;
+  let anchorSec = 0;
+  let anchoredAt = 0;
+  let currentAyahNumber = null;
+  let timer = null;
+  // Bumped on every re-anchor so a tick can tell that `onAyah` already moved
+  // the clock and scheduled the next tick itself.
+  let anchorVersion = 0;
+
+  function getPositionSec() {
+    return status === 'playing' ? anchorSec + (Date.now() - anchoredAt) / 1000 : anchorSec;
+  }
+
+  function anchor(positionSec) {
+    anchorSec = Math.max(0, positionSec);
+    anchoredAt = Date.now();
+    anchorVersion += 1;
+  }
+
+  function finish() {
+    clearTimeout(timer);
+    timer = null;
+    const finishedTrack = track;
+    status = 'stopped';
+    track = null;
+    currentAyahNumber = null;
+    anchor(0);
+    onEnded(finishedTrack);
+  }
+
+  // Reports the ayah under the clock when it changes and sleeps until the
+  // next one starts.
+  function tick() {
+    clearTimeout(timer);
+    timer = null;
+    if (status !== 'playing') {
+      return;
+    }
+
+    const positionSec = getPositionSec();
+    const ayah = findAyahAt(track, positionSec);
+    if (ayah && ayah.number !== currentAyahNumber) {
+      const version = anchorVersion;
+      currentAyahNumber = ayah.number;
+      onAyah(ayah.number);
+      if (status !== 'playing' || version !== anchorVersion) {
+        return;
+      }
+    }
+
+    const nextAyah = track.timings.find((timing) => timing.start > positionSec + TIMING_SLACK_SEC);
+    const lastEnd = track.timings[track.timings.length - 1].end;
+    if (nextAyah) {
+      timer = setTimeout(tick, (nextAyah.start - positionSec) * 1000);
+    } else if (lastEnd !== null) {
+      timer = setTimeout(finish, Math.max(0, lastEnd - positionSec) * 1000);
+    }
+  }
+
+  function getStatus() {
+    return status;
+  }
+
+  function getTrack() {
+    return track;
+  }
+
+  // Swaps in a new surah at the start of `ayahNumber` and keeps playing or
+  // paused as before.
+  function load(nextTrack, ayahNumber) {
+    track = nextTrack;
+    currentAyahNumber = null;
+    anchor(getAyahStartSec(track, ayahNumber));
+    if (status === 'stopped') {
+      status = 'paused';
+    }
+    tick();
+  }
+
+  function play() {
+    if (!track || status === 'playing') {
+      return false;
+    }
+
+    status = 'playing';
+    anchor(anchorSec);
+    tick();
+    return true;
+  }
+
+  function pause() {
+    if (status !== 'playing') {
+      return false;
+    }
+
+    anchor(getPositionSec());
+    status = 'paused';
+    clearTimeout(timer);
+    timer = null;
+    return true;
+  }
+
+  function stop() {
+    if (status === 'stopped') {
+      return false;
+    }
+
+    clearTimeout(timer);
+    timer = null;
+    status = 'stopped';
+    track = null;
+    currentAyahNumber = null;
+    anchor(0);
+    return true;
+  }
+
+  function seek(positionSec) {
+    if (!track) {
+      return false;
+    }
+
+    currentAyahNumber = null;
+    anchor(positionSec);
+    tick();
+    return true;
+  }
+
+  function seekToAyah(ayahNumber) {
+    return Boolean(track) && seek(getAyahStartSec(track, ayahNumber));
+  }
+
+  function sync(positionSec) {
+    if (status !== 'playing' || !Number.isFinite(positionSec)) {
+      return;
+    }
+
+    anchor(positionSec);
+    tick();
+  }
+
+  function getSnapshot() {
+    const positionSec = getPositionSec();
+    return {
+      status,
+      reciterId: track?.reciterId || null,
+      surahNumber: track?.surahNumber || null,
+      url: track?.url || null,
+      ayahNumber: track ? findAyahAt(track, positionSec)?.number || null : null,
+      positionSec: Math.round(positionSec * 1000) / 1000
+    };
+  }
+
+  return {
+    finish,
+    getSnapshot,
+    getStatus,
+    getTrack,
+    load,
+    pause,
+    play,
+    seek,
+    seekToAyah,
+    stop,
+    sync
+  };
+}
+
+module.exports = {
+  createAudioPlayer,
+  formatAudioPosition
+};
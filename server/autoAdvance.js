@@ -0,0 +1,175 @@
+const PACE_MODES = ['fixed', 'text'];
+const DEFAULT_PACE = {
+  mode: 'fixed',
+  seconds: 15,
+  charactersPerSecond: 12
+};
+const PACE_LIMITS = {
+  seconds: { min: 3, max: 600 },
+  charactersPerSecond: { min: 2, max: 60 }
+};
+// Text pacing still leaves short lines, like a single name, on screen long
+// enough to read.
+const MIN_TEXT_DURATION_MS = 4000;
+const MIN_REMAINING_MS = 1000;
+
+function clampPaceValue(value, limits, fallbackValue) {
+  const numericValue = Number(value);
+  if (!Number.isFinite(numericValue)) {
+    return fallbackValue;
+  }
+
+  return Math.max(limits.min, Math.min(limits.max, Math.round(numericValue)));
+}
+
+function clampPace(candidatePace, fallbackPace = DEFAULT_PACE) {
+  return {
+    mode: PACE_MODES.includes(candidatePace?.mode) ? candidatePace.mode : fallbackPace.mode,
+    seconds: clampPaceValue(candidatePace?.seconds, PACE_LIMITS.seconds, fallbackPace.seconds),
+    charactersPerSecond: clampPaceValue(
+      candidatePace?.charactersPerSecond,
+      PACE_LIMITS.charactersPerSecond,
+      fallbackPace.charactersPerSecond
+    )
+  };
+}
+
+function describePace(pace) {
+  return pace.mode === 'text'
+    ? `${pace.charactersPerSecond} characters per second`
+    : `${pace.seconds} seconds per line or slide`;
+}
+
+// The timer only knows how long the current line or slide should stay up and
+// calls `onStep` when that time is over. What a step means, and whether there
+// is anything left to step to, stays with the session code in index.js.
+function createAutoAdvance({ onStep }) {
+  let status = 'off';
+  let pace = { ...DEFAULT_PACE };
+  let timer = null;
+  let itemDurationMs = 0;
+  let itemStartedAt = 0;
+  let pausedElapsedMs = 0;
+
+  function getDurationMs(content) {
+    if (pace.mode !== 'text') {
+      return pace.seconds * 1000;
+    }
+
+    // Arabic is what is recited, so it sets the pace when the slide has any.
+    const text = String(content?.arabic || content?.transliteration || content?.english || '').replace(/\s+/g, ' ');
+    const repeats = content?.repeatCounter?.target || 1;
+    return Math.max(MIN_TEXT_DURATION_MS, Math.round(((text.length * repeats) / pace.charactersPerSecond) * 1000));
+  }
+
+  function clearTimer() {
+    clearTimeout(timer);
+    timer = null;
+  }
+
+  function run(elapsedMs) {
+    clearTimer();
+    itemStartedAt = Date.now() - elapsedMs;
+    timer = setTimeout(() => {
+      timer = null;
+      onStep();
+    }, Math.max(MIN_REMAINING_MS, itemDurationMs - elapsedMs));
+  }
+
+  function getStatus() {
+    return status;
+  }
+
+  function start(content) {
+    if (status !== 'off') {
+      return false;
+    }
+
+    status = 'running';
+    itemDurationMs = getDurationMs(content);
+    run(0);
+    return true;
+  }
+
+  function pause() {
+    if (status !== 'running') {
+      return false;
+    }
+
+    status = 'paused';
+    pausedElapsedMs = Math.min(itemDurationMs, Date.now() - itemStartedAt);
+    clearTimer();
+    return true;
+  }
+
+  function resume() {
+    if (status !== 'paused') {
+      return false;
+    }
+
+    status = 'running';
+    run(pausedElapsedMs);
+    return true;
+  }
+
+  function stop() {
+    if (status === 'off') {
+      return false;
+    }
+
+    status = 'off';
+    clearTimer();
+    return true;
+  }
+
+  // A new line or slide, whether stepped by the timer or by hand, gets its
+  // full time again.
+  function restart(content) {
+    if (status === 'off') {
+      return;
+    }
+
+    itemDurationMs = getDurationMs(content);
+    if (status === 'running') {
+      run(0);
+    } else {
+      pausedElapsedMs = 0;
+    }
+  }
+
+  // Time already spent on the current item counts towards the new pace.
+  function setPace(candidatePace, content) {
+    pace = clampPace(candidatePace, pace);
+    itemDurationMs = getDurationMs(content);
+    if (status === 'running') {
+      run(Date.now() - itemStartedAt);
+    }
+    return pace;
+  }
+
+  function getSnapshot() {
+    const elapsedMs = status === 'running' ? Date.now() - itemStartedAt : pausedElapsedMs;
+    return {
+      status,
+      pace,
+      durationMs: status === 'off' ? 0 : itemDurationMs,
+      remainingMs: status === 'off' ? 0 : Math.max(0, itemDurationMs - elapsedMs)
+    };
+  }
+
+  return {
+    getSnapshot,
+    getStatus,
+    pause,
+    restart,
+    resume,
+    setPace,
+    start,
+    stop
+  };
+}
+
+module.exports = {
+  createAutoAdvance,
+  describePace
+};
@@ -12,15 +12,274 @@ async function askChoice(rl, prompt, allowedChoices) {
   }
 }
 
-async function promptForStartupSession({ sessionManager, savedState }) {
-  if (!stdin.isTTY || !stdout.isTTY) {
-    return savedState ? sessionManager.clampState(savedState) : sessionManager.createNewSession('quran');
+const PAGE_SIZE = 9;
+
+const MODE_ALIASES = {
+  quran: 'quran',
+  dua: 'dua',
+  event: 'guided_event',
+  guided_event: 'guided_event',
+  'guided-event': 'guided_event',
+  programme: 'programme'
+};
+
+function parseStartupArgs(argv = []) {
+  const args = {
+    mode: null,
+    duaId: null,
+    eventId: null,
+    programmeId: null,
+    range: null,
+    resume: false,
+    fresh: false
+  };
+
+  for (let index = 0; index < argv.length; index += 1) {
+    const [flag, inlineValue] = String(argv[index]).split(/=(.*)/s);
+    const readValue = () => {
+      if (inlineValue !== undefined) {
+        return inlineValue;
+      }
+      index += 1;
+      return argv[index];
+    };
+
+    if (flag === '--resume') {
+      args.resume = true;
+    } else if (flag === '--new') {
+      args.fresh = true;
+    } else if (flag === '--mode') {
+      const value = String(readValue() || '').trim().toLowerCase();
+      if (!MODE_ALIASES[value]) {
+        throw new Error(`Unknown --mode "${value}". Use quran, dua, event or programme.`);
+      }
+      args.mode = MODE_ALIASES[value];
+    } else if (flag === '--dua') {
+      args.duaId = String(readValue() || '').trim().toLowerCase();
+    } else if (flag === '--event') {
+      args.eventId = String(readValue() || '').trim().toLowerCase();
+    } else if (flag === '--programme') {
+      args.programmeId = String(readValue() || '').trim().toLowerCase();
+    } else if (flag === '--range') {
+      args.range = String(readValue() || '').trim();
+    }
+  }
+
+  if (!args.mode && args.duaId) {
+    args.mode = 'dua';
+  }
+
+  if (!args.mode && args.eventId) {
+    args.mode = 'guided_event';
+  }
+
+  if (!args.mode && args.programmeId) {
+    args.mode = 'programme';
+  }
+
+  if (!args.mode && args.range) {
+    args.mode = 'quran';
+  }
+
+  return args;
+}
+
+function resolveCatalogId(entries, requestedId, label) {
+  if (entries.some((entry) => entry.id === requestedId)) {
+    return requestedId;
+  }
+
+  const available = entries.map((entry) => entry.id).join(', ') || 'none';
+  throw new Error(`Unknown ${label} "${requestedId}". Available: ${available}`);
+}
+
+async function askFromList(rl, title, entries) {
+  let filter = '';
+  let page = 0;
+
+  while (true) {
+    const needle = filter.toLowerCase();
+    const matches = entries.filter(
+      (entry) => !needle || entry.label.toLowerCase().includes(needle) || entry.id.includes(needle)
+    );
+    const pageCount = Math.max(1, Math.ceil(matches.length / PAGE_SIZE));
+    page = Math.max(0, Math.min(pageCount - 1, page));
+
+    const visible = matches.slice(page * PAGE_SIZE, (page + 1) * PAGE_SIZE);
+    const lines = [filter ? `${title} (filter: "${filter}")` : title];
+
+    if (visible.length === 0) {
+      lines.push('  No matches. Press Enter to clear the filter.');
+    } else {
+      visible.forEach((entry, index) => {
+        lines.push(`${index + 1}) ${entry.label}`);
+      });
+    }
+
+    const hints = ['type a listed number to pick, anything else to filter'];
+    if (pageCount > 1) {
+      hints.unshift(`page ${page + 1}/${pageCount}`, 'n/p to change page');
+    }
+    lines.push(`(${hints.join(' · ')})`);
+
+    const answer = String(await rl.question(`${lines.join('\n')}\n> `)).trim();
+    const choice = Number(answer);
+
+    if (/^\d+$/.test(answer) && choice >= 1 && choice <= visible.length) {
+      return visible[choice - 1].id;
+    }
+
+    // A number that is not one of the listed options is more likely part of
+    // a title (a surah or juz number), so it filters like any other text.
+    if (answer.toLowerCase() === 'n' && pageCount > 1) {
+      page = (page + 1) % pageCount;
+    } else if (answer.toLowerCase() === 'p' && pageCount > 1) {
+      page = (page - 1 + pageCount) % pageCount;
+    } else {
+      filter = answer;
+      page = 0;
+    }
+  }
+}
+
+function toMenuEntries(entries, describe) {
+  return entries.map((entry) => ({
+    id: entry.id,
+    label: `${entry.title} — ${describe(entry)}`
+  }));
+}
+
+async function chooseDua(rl, sessionManager) {
+  const duas = sessionManager.listDuas();
+  if (duas.length === 0) {
+    throw new Error('No duas are loaded. Add a dua JSON file in data/duas.');
+  }
+
+  return askFromList(
+    rl,
+    'Select dua:',
+    toMenuEntries(duas, (dua) => `${dua.totalLines} lines`)
+  );
+}
+
+async function chooseEvent(rl, sessionManager) {
+  const events = sessionManager.listEvents();
+  if (events.length === 0) {
+    throw new Error('No guided events are loaded. Add an event JSON file in data/events.');
+  }
+
+  return askFromList(
+    rl,
+    'Select guided event:',
+    toMenuEntries(events, (event) => `${event.totalSections} sections`)
+  );
+}
+
+async function chooseProgramme(rl, sessionManager) {
+  const programmes = sessionManager.listProgrammes();
+  if (programmes.length === 0) {
+    throw new Error('No programmes are loaded. Add a programme JSON file in data/programmes.');
+  }
+
+  return askFromList(
+    rl,
+    'Select programme:',
+    toMenuEntries(programmes, (programme) => `${programme.totalSegments} segments`)
+  );
+}
+
+const RANGE_EXAMPLES = '67, 67:1-67:30, 2:255-257 or juz 30';
+
+function resolveQuranRange(sessionManager, rangeText) {
+  const quranRange = sessionManager.parseQuranRange(rangeText);
+  if (!quranRange) {
+    throw new Error(
+      `Unknown --range "${rangeText}". ${sessionManager.explainQuranRange(rangeText)} Use a surah, ayah range or juz, for example ${RANGE_EXAMPLES}.`
+    );
+  }
+  return quranRange;
+}
+
+async function chooseQuranRange(rl, sessionManager) {
+  while (true) {
+    const answer = String(
+      await rl.question(`Quran range (blank for the whole Quran, for example ${RANGE_EXAMPLES}):\n> `)
+    ).trim();
+
+    if (!answer) {
+      return null;
+    }
+
+    const quranRange = sessionManager.parseQuranRange(answer);
+    if (quranRange) {
+      return quranRange;
+    }
+
+    console.log(`${sessionManager.explainQuranRange(answer)} Try a surah, ayah range or juz, for example ${RANGE_EXAMPLES}.`);
+  }
+}
+
+async function createSessionFromArgs({ sessionManager, args, rl }) {
+  if (args.mode === 'dua') {
+    const selectedDuaId = args.duaId
+      ? resolveCatalogId(sessionManager.listDuas(), args.duaId, 'dua')
+      : rl
+        ? await chooseDua(rl, sessionManager)
+        : sessionManager.getDefaultDuaId();
+    return sessionManager.createNewSession('dua', { selectedDuaId });
+  }
+
+  if (args.mode === 'guided_event') {
+    const selectedEventId = args.eventId
+      ? resolveCatalogId(sessionManager.listEvents(), args.eventId, 'event')
+      : rl
+        ? await chooseEvent(rl, sessionManager)
+        : sessionManager.getDefaultEventId();
+    return sessionManager.createNewSession('guided_event', { selectedEventId });
+  }
+
+  if (args.mode === 'programme') {
+    const selectedProgrammeId = args.programmeId
+      ? resolveCatalogId(sessionManager.listProgrammes(), args.programmeId, 'programme')
+      : rl
+        ? await chooseProgramme(rl, sessionManager)
+        : sessionManager.getDefaultProgrammeId();
+    return sessionManager.createNewSession('programme', { selectedProgrammeId });
+  }
+
+  const quranRange = args.range
+    ? resolveQuranRange(sessionManager, args.range)
+    : rl
+      ? await chooseQuranRange(rl, sessionManager)
+      : null;
+  return sessionManager.createNewSession('quran', { quranRange });
+}
+
+async function promptForStartupSession({ sessionManager, savedState, args = {} }) {
+  const interactive = stdin.isTTY && stdout.isTTY;
+
+  if (args.resume && savedState) {
+    return sessionManager.clampState(savedState);
+  }
+
+  if (args.mode && !interactive) {
+    return createSessionFromArgs({ sessionManager, args, rl: null });
+  }
+
+  if (!interactive) {
+    return savedState && !args.fresh
+      ? sessionManager.clampState(savedState)
+      : sessionManager.createNewSession('quran');
   }
 
   const rl = readline.createInterface({ input: stdin, output: stdout });
 
   try {
-    if (savedState) {
+    if (args.mode) {
+      return await createSessionFromArgs({ sessionManager, args, rl });
+    }
+
+    if (savedState && !args.fresh) {
       const summary = sessionManager.summarizeSession(savedState);
       const resumeChoice = await askChoice(
         rl,
@@ -33,44 +292,50 @@ async function promptForStartupSession({ sessionManager, savedState }) {
       }
     }
 
+    const modes = ['quran', 'dua', 'guided_event'];
+    if (sessionManager.listProgrammes().length > 0) {
+      modes.push('programme');
+    }
+
     const sessionChoice = await askChoice(
       rl,
-      'Select session type:\n1) Quran\n2) Dua\n3) Guided Event',
-      ['1', '2', '3']
+      `Select session type:\n${modes.map((mode, index) => `${index + 1}) ${sessionManager.getModeLabel(mode)}`).join('\n')}`,
+      modes.map((_mode, index) => String(index + 1))
     );
 
-    if (sessionChoice === '1') {
-      return sessionManager.createNewSession('quran');
-    }
+    const mode = modes[Number(sessionChoice) - 1];
+    return await createSessionFromArgs({ sessionManager, args: { ...args, mode }, rl });
+  } finally {
+    rl.close();
+  }
+}
 
-    if (sessionChoice === '2') {
-      const duaChoice = await askChoice(
-        rl,
-        'Select dua:\n1) Dua Iftitah\n2) Dua Kumayl',
-        ['1', '2']
-      );
-      const selectedDuaId = duaChoice === '2' ? 'kumayl' : 'iftitah';
-      return sessionManager.createNewSession('dua', { selectedDuaId });
-    }
+async function promptForAdminPin() {
+  if (!stdin.isTTY || !stdout.isTTY) {
+    return '';
+  }
 
-    const eventChoice = await askChoice(
-      rl,
-      'Select guided event:\n1) Laylat al-Qadr — 2026',
-      ['1']
-    );
+  const rl = readline.createInterface({ input: stdin, output: stdout });
 
-    if (eventChoice === '1') {
-      return sessionManager.createNewSession('guided_event', {
-        selectedEventId: 'laylat-al-qadr-2026'
-      });
-    }
+  try {
+    while (true) {
+      const answer = String(
+        await rl.question(
+          'Choose an admin PIN or passphrase for /admin (at least 4 characters, blank to generate one):\n> '
+        )
+      ).trim();
 
-    return sessionManager.createNewSession('quran');
+      if (!answer || answer.length >= 4) {
+        return answer;
+      }
+    }
   } finally {
     rl.close();
   }
 }
 
 module.exports = {
+  parseStartupArgs,
+  promptForAdminPin,
   promptForStartupSession
 };
@@ -0,0 +1,73 @@
+const fs = require('fs');
+
+function createContentWatcher({ directories, debounceMs = 400, onChange }) {
+  const watchers = [];
+  const changedFiles = new Set();
+  const ignoredUntilByFile = new Map();
+  let debounceTimer = null;
+
+  function flush() {
+    debounceTimer = null;
+    const files = [...changedFiles];
+    changedFiles.clear();
+    onChange(files);
+  }
+
+  function handleEvent(directory, fileName) {
+    // Editors save through temp files, so wait for the burst of events to settle
+    // and only react to JSON files.
+    if (fileName && !String(fileName).endsWith('.json')) {
+      return;
+    }
+
+    if (fileName && ignoredUntilByFile.get(String(fileName)) > Date.now()) {
+      return;
+    }
+
+    changedFiles.add(fileName ? String(fileName) : directory);
+    clearTimeout(debounceTimer);
+    debounceTimer = setTimeout(flush, debounceMs);
+  }
+
+  // The server reloads by itself after writing a file, so skip the echo from
+  // the watcher for that file.
+  function ignore(fileName, ms = 2000) {
+    ignoredUntilByFile.set(fileName, Date.now() + ms);
+  }
+
+  function start() {
+    for (const directory of directories) {
+      if (!fs.existsSync(directory)) {
+        continue;
+      }
+
+      try {
+        const watcher = fs.watch(directory, (_eventType, fileName) => handleEvent(directory, fileName));
+        watcher.on('error', (error) => {
+          console.warn(`[warn] Stopped watching ${directory}: ${error.message}`);
+        });
+        watchers.push(watcher);
+      } catch (error) {
+        console.warn(`[warn] Failed to watch ${directory}: ${error.message}`);
+      }
+    }
+  }
+
+  function stop() {
+    clearTimeout(debounceTimer);
+    debounceTimer = null;
+    while (watchers.length > 0) {
+      watchers.pop().close();
+    }
+  }
+
+  return {
+    ignore,
+    start,
+    stop
+  };
+}
+
+module.exports = {
+  createContentWatcher
+};
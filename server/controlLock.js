@@ -0,0 +1,97 @@
+function createControlLock({ enabled = false } = {}) {
+  const requestedAtById = new Map();
+  let lockEnabled = Boolean(enabled);
+  let holderId = null;
+
+  function isEnabled() {
+    return lockEnabled;
+  }
+
+  function setEnabled(nextEnabled) {
+    lockEnabled = Boolean(nextEnabled);
+    if (!lockEnabled) {
+      holderId = null;
+      requestedAtById.clear();
+    }
+  }
+
+  function getHolderId() {
+    return holderId;
+  }
+
+  function canNavigate(controllerId) {
+    return !lockEnabled || (Boolean(holderId) && holderId === controllerId);
+  }
+
+  function assign(controllerId) {
+    holderId = controllerId || null;
+    if (holderId) {
+      requestedAtById.delete(holderId);
+    }
+  }
+
+  function forget(controllerId) {
+    requestedAtById.delete(controllerId);
+    if (holderId === controllerId) {
+      holderId = null;
+      return true;
+    }
+    return false;
+  }
+
+  function request(controllerId) {
+    if (!lockEnabled || !controllerId || holderId === controllerId || requestedAtById.has(controllerId)) {
+      return false;
+    }
+
+    requestedAtById.set(controllerId, Date.now());
+    return true;
+  }
+
+  function cancelRequest(controllerId) {
+    return requestedAtById.delete(controllerId);
+  }
+
+  function hasRequest(controllerId) {
+    return requestedAtById.has(controllerId);
+  }
+
+  function listRequests() {
+    return [...requestedAtById.entries()]
+      .sort((a, b) => a[1] - b[1])
+      .map(([controllerId, requestedAt]) => ({ controllerId, requestedAt }));
+  }
+
+  // Waiting requesters go first, otherwise the longest-paired connected phone.
+  function pickNextHolder(connectedControllerIds) {
+    const connected = new Set(connectedControllerIds);
+    const requester = listRequests().find((entry) => connected.has(entry.controllerId));
+    return requester?.controllerId || connectedControllerIds[0] || null;
+  }
+
+  function getSnapshot() {
+    return {
+      enabled: lockEnabled,
+      holderId,
+      requests: listRequests()
+    };
+  }
+
+  return {
+    assign,
+    canNavigate,
+    cancelRequest,
+    forget,
+    getHolderId,
+    getSnapshot,
+    hasRequest,
+    isEnabled,
+    pickNextHolder,
+    request,
+    setEnabled
+  };
+}
+
+module.exports = {
+  createControlLock
+};
@@ -16,6 +16,12 @@ function createDashboard() {
       'Controller URL:',
       snapshot.controllerUrl,
       '',
+      'Admin URL:',
+      snapshot.adminUrl,
+      snapshot.adminPinNotice,
+      '',
+      snapshot.contentChecks,
+      '',
       'Controller access:',
       '- Scan the QR code on the display',
       '- Or open the Controller URL manually on the phone',
@@ -0,0 +1,111 @@
+const { normalizeDuaLine } = require('./loaders');
+
+const ARABIC_PATTERN = /[؀-ۿݐ-ݿࢠ-ࣿﭐ-﷿ﹰ-﻿]/;
+const ENGLISH_WORD_PATTERN = /\b(the|and|you|your|who|which|with|have|all|from|that|is|are|me|my|him|his|by|for)\b/gi;
+
+function isArabicLine(text) {
+  return ARABIC_PATTERN.test(text);
+}
+
+function looksLikeEnglish(text) {
+  return (text.match(ENGLISH_WORD_PATTERN) || []).length >= 2;
+}
+
+const SECTION_PATTERN = /^#+\s*(.*)$/;
+
+function createGroup(arabic, sourceLine, section) {
+  return {
+    arabic,
+    latin: [],
+    sourceLine,
+    section
+  };
+}
+
+// Splits pasted text into Arabic / transliteration / English lines. Every line
+// with Arabic script starts a new entry and the Latin lines after it fill the
+// transliteration, then the English. A line such as "# Ya Rabbi" names the
+// section that starts with the next entry. Anything that does not fit that
+// shape is kept and reported instead of failing the whole paste.
+function parseDuaText(raw) {
+  const rows = String(raw || '')
+    .split(/\r?\n/)
+    .map((text, index) => ({ text: text.trim(), sourceLine: index + 1 }))
+    .filter((row) => row.text.length > 0);
+
+  const groups = [];
+  const issues = [];
+  let current = null;
+  let pendingSection = '';
+
+  for (const row of rows) {
+    const sectionMatch = row.text.match(SECTION_PATTERN);
+    if (sectionMatch) {
+      pendingSection = sectionMatch[1].trim();
+      current = null;
+      continue;
+    }
+
+    if (isArabicLine(row.text)) {
+      current = createGroup(row.text, row.sourceLine, pendingSection);
+      pendingSection = '';
+      groups.push(current);
+      continue;
+    }
+
+    if (!current) {
+      current = createGroup('', row.sourceLine, pendingSection);
+      pendingSection = '';
+      groups.push(current);
+    }
+
+    current.latin.push(row);
+  }
+
+  const lines = groups.map((group, index) => {
+    const lineNumber = index + 1;
+    const report = (message) => issues.push({ line: lineNumber, sourceLine: group.sourceLine, message });
+    let [transliteration, english, ...extra] = group.latin.map((row) => row.text);
+
+    if (!group.arabic) {
+      report('No Arabic line before this text');
+    }
+
+    if (group.latin.length === 0) {
+      report('Missing transliteration and English');
+    } else if (group.latin.length === 1) {
+      if (looksLikeEnglish(transliteration)) {
+        english = transliteration;
+        transliteration = '';
+        report('Missing transliteration');
+      } else {
+        report('Missing English');
+      }
+    } else if (extra.length > 0) {
+      english = [english, ...extra].join(' ');
+      report(`${extra.length} extra line(s) joined to the English (raw line ${group.latin[2].sourceLine})`);
+    }
+
+    return normalizeDuaLine({ section: group.section, arabic: group.arabic, transliteration, english });
+  });
+
+  return {
+    lines,
+    issues,
+    rawLineCount: rows.length
+  };
+}
+
+function toDuaId(value) {
+  return String(value || '')
+    .trim()
+    .toLowerCase()
+    .replace(/\.raw$/, '')
+    .replace(/[^a-z0-9-]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+}
+
+module.exports = {
+  parseDuaText,
+  toDuaId
+};
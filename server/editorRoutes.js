@@ -0,0 +1,228 @@
+const fs = require('fs');
+const path = require('path');
+const express = require('express');
+
+const { parseDuaText } = require('./duaParser');
+const { normalizeDuaLine, normalizeSlide, readJsonFile, writeJsonFile } = require('./loaders');
+const { summarizeIssues, validateDuaData, validateEventData } = require('./validation');
+
+const CONTENT_ID_PATTERN = /^[a-z0-9][a-z0-9-]*$/;
+// The bundled Laylat al-Qadr event alone is close to 400 KB.
+const EDITOR_BODY_LIMIT = '5mb';
+
+function normalizeContentId(value) {
+  return String(value || '').trim().toLowerCase();
+}
+
+function normalizeEditedEvent(id, data) {
+  const theme = normalizeContentId(data?.theme);
+  const event = {
+    id,
+    title: String(data?.title || '').trim(),
+    ...(theme ? { theme } : {}),
+    sections: Array.isArray(data?.sections)
+      ? data.sections.map((section, sectionIndex) => ({
+          id: normalizeContentId(section?.id) || `section-${sectionIndex + 1}`,
+          title: String(section?.title || '').trim(),
+          slides: Array.isArray(section?.slides) ? section.slides.map(normalizeSlide) : []
+        }))
+      : []
+  };
+
+  const todo = String(data?._todo || '').trim();
+  if (todo) {
+    event._todo = todo;
+  }
+
+  return event;
+}
+
+function normalizeEditedDua(id, data) {
+  return {
+    id,
+    title: String(data?.title || '').trim(),
+    lines: Array.isArray(data?.lines) ? data.lines.map(normalizeDuaLine) : []
+  };
+}
+
+function createEditorRouter({
+  rootDir,
+  duaDir,
+  eventsDir,
+  isAuthenticated,
+  resolveDuaFile,
+  resolveEventFile,
+  onSaved
+}) {
+  const router = express.Router();
+
+  function findEventFile(id) {
+    return resolveEventFile(id) || path.join(eventsDir, `${id}.json`);
+  }
+
+  function findDuaFile(id) {
+    return resolveDuaFile(id) || path.join(duaDir, `${id}.json`);
+  }
+
+  function writeContent(res, { id, filePath, key, value, issues }) {
+    const { errors } = summarizeIssues(issues);
+
+    if (errors > 0) {
+      res.status(422).json({ error: `The ${key} has ${errors} error(s) and was not saved.`, issues });
+      return;
+    }
+
+    try {
+      writeJsonFile(filePath, value);
+    } catch (error) {
+      console.warn(`[warn] Failed to write ${filePath}: ${error.message}`);
+      res.status(500).json({ error: `Could not write ${path.basename(filePath)}.` });
+      return;
+    }
+
+    // The file is already written, so a failed reload is reported alongside
+    // the successful save rather than as an error.
+    const reloadError = onSaved({ id, filePath });
+    res.json({ ok: true, [key]: value, issues, reloadError: reloadError || null });
+  }
+
+  function saveEvent(res, id, filePath, body) {
+    const event = normalizeEditedEvent(id, body);
+    const issues = validateEventData(event, path.relative(rootDir, filePath));
+    writeContent(res, { id, filePath, key: 'event', value: event, issues });
+  }
+
+  function saveDua(res, id, filePath, body) {
+    const dua = normalizeEditedDua(id, body);
+    const issues = validateDuaData(dua, path.relative(rootDir, filePath));
+    writeContent(res, { id, filePath, key: 'dua', value: dua, issues });
+  }
+
+  function readNewId(req, res, directory, resolveFile, label) {
+    const id = normalizeContentId(req.body?.id);
+    if (!CONTENT_ID_PATTERN.test(id)) {
+      res.status(400).json({ error: `Use lowercase letters, numbers and dashes for the ${label} id.` });
+      return null;
+    }
+
+    const filePath = path.join(directory, `${id}.json`);
+    if (resolveFile(id) || fs.existsSync(filePath)) {
+      res.status(409).json({ error: `The ${label} id "${id}" is already used.` });
+      return null;
+    }
+
+    return { id, filePath };
+  }
+
+  // The id in the URL becomes a file name when it is not a loaded item, so
+  // it has to match the id pattern or it could point outside the folder.
+  function readExistingId(req, res, resolveFile, label) {
+    const id = normalizeContentId(req.params.id);
+    if (!resolveFile(id) && !CONTENT_ID_PATTERN.test(id)) {
+      res.status(400).json({ error: `Use lowercase letters, numbers and dashes for the ${label} id.` });
+      return null;
+    }
+
+    return id;
+  }
+
+  router.use((req, res, next) => {
+    if (!isAuthenticated(req)) {
+      res.status(401).json({ error: 'Admin login required.' });
+      return;
+    }
+
+    next();
+  });
+  router.use(express.json({ limit: EDITOR_BODY_LIMIT }));
+
+  router.get('/events/:id', (req, res) => {
+    const id = readExistingId(req, res, resolveEventFile, 'event');
+    if (!id) {
+      return;
+    }
+
+    const filePath = findEventFile(id);
+    const data = fs.existsSync(filePath) ? readJsonFile(filePath, null) : null;
+
+    if (!data) {
+      res.status(404).json({ error: `Event "${id}" was not found in data/events.` });
+      return;
+    }
+
+    res.json({ event: normalizeEditedEvent(id, data) });
+  });
+
+  router.post('/events', (req, res) => {
+    const target = readNewId(req, res, eventsDir, resolveEventFile, 'event');
+    if (target) {
+      saveEvent(res, target.id, target.filePath, req.body);
+    }
+  });
+
+  router.put('/events/:id', (req, res) => {
+    const id = readExistingId(req, res, resolveEventFile, 'event');
+    if (!id) {
+      return;
+    }
+
+    const filePath = findEventFile(id);
+
+    if (!fs.existsSync(filePath)) {
+      res.status(404).json({ error: `Event "${id}" was not found in data/events.` });
+      return;
+    }
+
+    saveEvent(res, id, filePath, req.body);
+  });
+
+  router.post('/duas/parse', (req, res) => {
+    res.json(parseDuaText(req.body?.text));
+  });
+
+  router.get('/duas/:id', (req, res) => {
+    const id = readExistingId(req, res, resolveDuaFile, 'dua');
+    if (!id) {
+      return;
+    }
+
+    const filePath = findDuaFile(id);
+    const data = fs.existsSync(filePath) ? readJsonFile(filePath, null) : null;
+
+    if (!data) {
+      res.status(404).json({ error: `Dua "${id}" was not found in data/duas.` });
+      return;
+    }
+
+    res.json({ dua: normalizeEditedDua(id, data) });
+  });
+
+  router.post('/duas', (req, res) => {
+    const target = readNewId(req, res, duaDir, resolveDuaFile, 'dua');
+    if (target) {
+      saveDua(res, target.id, target.filePath, req.body);
+    }
+  });
+
+  router.put('/duas/:id', (req, res) => {
+    const id = readExistingId(req, res, resolveDuaFile, 'dua');
+    if (!id) {
+      return;
+    }
+
+    const filePath = findDuaFile(id);
+
+    if (!fs.existsSync(filePath)) {
+      res.status(404).json({ error: `Dua "${id}" was not found in data/duas.` });
+      return;
+    }
+
+    saveDua(res, id, filePath, req.body);
+  });
+
+  return router;
+}
+
+module.exports = {
+  createEditorRouter
+};
@@ -1,3 +1,5 @@
+const crypto = require('crypto');
+const fs = require('fs');
 const path = require('path');
 const http = require('http');
 const express = require('express');
@@ -5,57 +7,135 @@ const WebSocket = require('ws');
 const QRCode = require('qrcode');
 const dotenv = require('dotenv');
 
-const { promptForStartupSession } = require('./cli');
+const { createAdminAuth, generatePin } = require('./adminAuth');
+const { createAudioPlayer, formatAudioPosition } = require('./audioPlayer');
+const { createAutoAdvance, describePace } = require('./autoAdvance');
+const { parseStartupArgs, promptForAdminPin, promptForStartupSession } = require('./cli');
+const { createContentWatcher } = require('./contentWatcher');
+const { createControlLock } = require('./controlLock');
 const { createDashboard } = require('./dashboard');
+const { createEditorRouter } = require('./editorRoutes');
 const {
+  DISPLAY_PROFILE_ID_PATTERN,
   getLanIPv4,
+  loadAudioLibrary,
   loadConfig,
   loadDuas,
+  loadFontLibrary,
   loadGuidedEvents,
+  loadProgrammes,
   loadQuranDataset,
-  loadSurahMetadata
+  loadQuranDivisions,
+  loadSurahMetadata,
+  loadThemes,
+  normalizeDisplayProfile,
+  readJsonFile,
+  writeJsonFile
 } = require('./loaders');
 const { createLogBuffer } = require('./logBuffer');
-const { createSessionManager } = require('./session');
+const { createPairingManager } = require('./pairing');
+const { createSearchIndex } = require('./search');
+const { QURAN_JUMP_ACTIONS, createSessionManager } = require('./session');
 const { createSessionStore } = require('./sessionStore');
+const { summarizeIssues, validateContent } = require('./validation');
 
 dotenv.config();
 
+function readPositiveNumber(value, fallbackValue) {
+  const numericValue = Number(value);
+  return Number.isFinite(numericValue) && numericValue > 0 ? numericValue : fallbackValue;
+}
+
+function readBoolean(value) {
+  return ['1', 'true', 'yes', 'on'].includes(String(value || '').trim().toLowerCase());
+}
+
+function loadContent() {
+  return {
+    quranDataset: loadQuranDataset(ROOT_DIR, DATA_DIR),
+    duasById: loadDuas(DUA_DIR),
+    eventsById: loadGuidedEvents(EVENTS_DIR),
+    programmesById: loadProgrammes(PROGRAMMES_DIR)
+  };
+}
+
 const ROOT_DIR = path.resolve(__dirname, '..');
 const DATA_DIR = path.join(ROOT_DIR, 'data');
 const PUBLIC_DIR = path.join(ROOT_DIR, 'public');
 const DUA_DIR = path.join(DATA_DIR, 'duas');
 const EVENTS_DIR = path.join(DATA_DIR, 'events');
+const PROGRAMMES_DIR = path.join(DATA_DIR, 'programmes');
+const AUDIO_DIR = path.join(DATA_DIR, 'audio');
+const THEMES_DIR = path.join(DATA_DIR, 'themes');
+const FONTS_DIR = path.join(PUBLIC_DIR, 'assets', 'fonts');
+const CONFIG_PATH = path.join(DATA_DIR, 'config.json');
 
 const PORT = Number(process.env.PORT || 5173);
+const CONTROLLER_TIMEOUT_MS = readPositiveNumber(process.env.CONTROLLER_TIMEOUT_MS, 30000);
+const HEARTBEAT_INTERVAL_MS = Math.min(
+  readPositiveNumber(process.env.HEARTBEAT_INTERVAL_MS, 10000),
+  CONTROLLER_TIMEOUT_MS
+);
 
 const config = loadConfig(DATA_DIR);
-const metadata = loadSurahMetadata(DATA_DIR);
-const quranDataset = loadQuranDataset(ROOT_DIR, DATA_DIR);
-const duasById = loadDuas(DUA_DIR);
-const eventsById = loadGuidedEvents(EVENTS_DIR);
+const metadata = {
+  ...loadSurahMetadata(DATA_DIR),
+  divisions: loadQuranDivisions(DATA_DIR)
+};
 const sessionManager = createSessionManager({
   metadata,
-  quranDataset,
-  duasById,
-  eventsById
+  ...loadContent()
 });
+let searchIndex = createSearchIndex({ metadata, ...sessionManager.getContent() });
 const sessionStore = createSessionStore(ROOT_DIR);
 const logBuffer = createLogBuffer(20);
 const dashboard = createDashboard();
+const adminAuth = createAdminAuth({
+  pin: process.env.ADMIN_PIN,
+  secret: process.env.ADMIN_SESSION_SECRET
+});
+const pairing = createPairingManager();
+const controlLock = createControlLock({ enabled: readBoolean(process.env.EXCLUSIVE_CONTROLLER) });
+const autoAdvance = createAutoAdvance({ onStep: advanceAutomatically });
+const audioPlayer = createAudioPlayer({ onAyah: followAudioAyah, onEnded: handleAudioEnded });
+let audioLibrary = loadAudioLibrary(AUDIO_DIR);
+let audioReciterId = audioLibrary.keys().next().value || null;
+// The connection picked on /admin to play the sound. Held by connection, not
+// by an id the browser sends, so no other client can take over the clock.
+let audioOutputSocket = null;
+let themesById = loadThemes(THEMES_DIR);
+let fontLibrary = loadFontLibrary(FONTS_DIR);
+// Set from /admin; null lets the running event or config.json pick the theme.
+let liveThemeId = null;
+let activeThemeId = '';
 
 const lanIp = getLanIPv4();
 const displayUrl = `http://localhost:${PORT}/display`;
+const overlayUrl = `http://localhost:${PORT}/overlay`;
 const controlUrl = `http://${lanIp}:${PORT}/control`;
 const adminUrl = `http://${lanIp}:${PORT}/admin`;
 
 let qrCodeDataUrl = '';
 let currentState = null;
+let heartbeatTimer = null;
+let autoAdvanceItemKey = '';
+let adminPinNotice = 'Admin PIN: set in .env (ADMIN_PIN)';
+let validationIssues = [];
 
 const app = express();
 app.disable('x-powered-by');
-app.use(express.json({ limit: '100kb' }));
+const parseJsonBody = express.json({ limit: '100kb' });
+app.use((req, res, next) => {
+  // The editor routes parse their own, larger bodies once the admin cookie is checked.
+  if (req.path.startsWith('/api/admin/editor/')) {
+    next();
+    return;
+  }
+
+  parseJsonBody(req, res, next);
+});
 app.use(express.static(PUBLIC_DIR));
+app.use('/audio', express.static(AUDIO_DIR));
 
 const server = http.createServer(app);
 const wss = new WebSocket.Server({ server, path: '/ws' });
@@ -66,11 +146,16 @@ function stateKey(state) {
   return JSON.stringify(state);
 }
 
+function isSocketFresh(info, now = Date.now()) {
+  return now - info.lastSeenAt <= CONTROLLER_TIMEOUT_MS;
+}
+
 function getControllerCount() {
   let total = 0;
+  const now = Date.now();
 
   for (const [ws, info] of socketInfoByWs.entries()) {
-    if (ws.readyState === WebSocket.OPEN && info.role === 'control') {
+    if (ws.readyState === WebSocket.OPEN && info.role === 'control' && isSocketFresh(info, now)) {
       total += 1;
     }
   }
@@ -89,17 +174,46 @@ function normalizeIp(address) {
   return String(address).replace('::ffff:', '');
 }
 
+function getPairingUrl() {
+  return `${controlUrl}?code=${pairing.getCode()}`;
+}
+
+// The pairing code lets anyone pair a phone, so only the admin and the screens
+// that show the QR code get it. A phone that failed to pair falls back to the
+// display role and must not see the next code.
+function canSeePairingCode(socketInfo) {
+  return socketInfo?.role === 'admin' || (socketInfo?.role === 'display' && !socketInfo.pairingDenied);
+}
+
+function getConnectionCode(socketInfo) {
+  return canSeePairingCode(socketInfo)
+    ? { controlUrl: getPairingUrl(), qrCodeDataUrl }
+    : { controlUrl: '', qrCodeDataUrl: '' };
+}
+
 function getRecentActivityLines(limit = 3) {
   const entries = logBuffer.list(limit);
   return entries.length > 0 ? entries : ['[--:--:--] WAITING - No controller activity yet'];
 }
 
+function describeValidation() {
+  const { errors, warnings } = summarizeIssues(validationIssues);
+  if (errors === 0 && warnings === 0) {
+    return 'Content checks: all files valid';
+  }
+
+  return `Content checks: ${errors} error(s), ${warnings} warning(s) - see /admin or run npm run validate`;
+}
+
 function renderDashboard() {
   dashboard.render({
     modeLabel: sessionManager.getModeLabel(currentState.sessionType),
     selectedContent: sessionManager.describeSelectedContent(currentState),
     displayUrl,
-    controllerUrl: controlUrl,
+    controllerUrl: getPairingUrl(),
+    adminUrl,
+    adminPinNotice,
+    contentChecks: describeValidation(),
     recentActivity: getRecentActivityLines(3)
   });
 }
@@ -138,12 +252,266 @@ function pushActivity(action, detail) {
   broadcastActivityUpdate();
 }
 
+function isPairedControllerConnected(controllerId) {
+  for (const [ws, info] of socketInfoByWs.entries()) {
+    if (ws.readyState === WebSocket.OPEN && info.role === 'control' && info.controllerId === controllerId) {
+      return true;
+    }
+  }
+
+  return false;
+}
+
+function getPairingPayload() {
+  return {
+    code: pairing.getCode(),
+    pairingUrl: getPairingUrl(),
+    controllers: pairing.listControllers().map((controller) => ({
+      ...controller,
+      connected: isPairedControllerConnected(controller.id)
+    }))
+  };
+}
+
+function broadcastPairingUpdate() {
+  broadcast(
+    {
+      type: 'pairing_update',
+      pairing: getPairingPayload()
+    },
+    'admin'
+  );
+}
+
+function getConnectedControllerIds() {
+  return pairing
+    .listControllers()
+    .map((controller) => controller.id)
+    .filter((controllerId) => isPairedControllerConnected(controllerId));
+}
+
+function syncControlLock() {
+  if (!controlLock.isEnabled()) {
+    return;
+  }
+
+  for (const { controllerId } of controlLock.getSnapshot().requests) {
+    if (!isPairedControllerConnected(controllerId)) {
+      controlLock.cancelRequest(controllerId);
+    }
+  }
+
+  const previousHolderId = controlLock.getHolderId();
+  if (previousHolderId && isPairedControllerConnected(previousHolderId)) {
+    return;
+  }
+
+  const nextHolderId = controlLock.pickNextHolder(getConnectedControllerIds());
+  controlLock.assign(nextHolderId);
+
+  const reason = previousHolderId ? ` (${previousHolderId} left)` : '';
+  if (nextHolderId) {
+    pushActivity('LOCK', `Controller ${nextHolderId} now holds control${reason}`);
+  } else if (previousHolderId) {
+    pushActivity('LOCK', `Control released${reason}`);
+  }
+}
+
+function broadcastLockUpdate() {
+  const payload = {
+    type: 'lock_update',
+    lock: controlLock.getSnapshot()
+  };
+
+  broadcast(payload, 'control');
+  broadcast(payload, 'admin');
+}
+
 function broadcastControllerStatus() {
+  syncControlLock();
   broadcast({
     type: 'controller_status',
     controllerConnected: isControllerConnected(),
     controllerCount: getControllerCount()
   });
+  broadcastPairingUpdate();
+  broadcastLockUpdate();
+}
+
+async function refreshQrCode() {
+  try {
+    qrCodeDataUrl = await QRCode.toDataURL(getPairingUrl(), {
+      margin: 1,
+      width: 220,
+      color: {
+        dark: '#F4F1E8',
+        light: '#14171c'
+      }
+    });
+  } catch (error) {
+    console.warn(`[warn] Failed to generate QR code: ${error.message}`);
+    qrCodeDataUrl = '';
+  }
+}
+
+async function announcePairingCodeChange() {
+  await refreshQrCode();
+  for (const [ws, info] of socketInfoByWs.entries()) {
+    if (canSeePairingCode(info)) {
+      sendMessage(ws, {
+        type: 'connection_update',
+        controlUrl: getPairingUrl(),
+        qrCodeDataUrl
+      });
+    }
+  }
+  broadcastPairingUpdate();
+  renderDashboard();
+}
+
+function runValidation() {
+  validationIssues = validateContent({
+    rootDir: ROOT_DIR,
+    dataDir: DATA_DIR,
+    duaDir: DUA_DIR,
+    eventsDir: EVENTS_DIR,
+    programmesDir: PROGRAMMES_DIR,
+    quranDataPath: sessionManager.getQuranDataset().path,
+    audioDir: AUDIO_DIR,
+    themesDir: THEMES_DIR
+  });
+}
+
+function getValidationPayload() {
+  return {
+    ...summarizeIssues(validationIssues),
+    issues: validationIssues
+  };
+}
+
+function normalizeScreenId(value) {
+  const id = String(value || '').trim().toLowerCase();
+  return DISPLAY_PROFILE_ID_PATTERN.test(id) ? id.slice(0, 40) : '';
+}
+
+// /display without ?screen= and screens without a saved profile use the
+// top-level config as they did before profiles existed.
+function getDisplayProfile(screenId) {
+  return config.displays[screenId] || normalizeDisplayProfile(screenId, { name: screenId || 'Default' }, config);
+}
+
+function getScreensPayload() {
+  const connected = [];
+  for (const [ws, info] of socketInfoByWs.entries()) {
+    if (ws.readyState === WebSocket.OPEN && info.role === 'display') {
+      connected.push({
+        screen: info.screen,
+        name: getDisplayProfile(info.screen).name,
+        hasProfile: Boolean(config.displays[info.screen]),
+        ip: info.ip
+      });
+    }
+  }
+
+  return {
+    profiles: Object.values(config.displays),
+    connected
+  };
+}
+
+// The admin's pick wins, then the default theme of the event on screen, then
+// config.json.
+function getLiveThemeId() {
+  const eventId = sessionManager.getCurrentContentPayload(currentState).guidedEvent?.eventId;
+  const candidates = [liveThemeId, sessionManager.getEvent(eventId)?.theme, config.theme, 'default'];
+  return candidates.find((id) => id && themesById.has(id)) || '';
+}
+
+function getThemeForScreen(screenId) {
+  const pinnedTheme = themesById.get(getDisplayProfile(screenId).theme);
+  return pinnedTheme || themesById.get(activeThemeId) || null;
+}
+
+function getThemesPayload() {
+  return {
+    themes: [...themesById.values()],
+    liveThemeId,
+    activeThemeId,
+    defaultThemeId: config.theme
+  };
+}
+
+function sendConfigUpdates() {
+  for (const [ws, info] of socketInfoByWs.entries()) {
+    sendMessage(ws, {
+      type: 'config_update',
+      config,
+      theme: getThemeForScreen(info.screen),
+      themes: info.role === 'admin' ? getThemesPayload() : null
+    });
+  }
+}
+
+function syncTheme() {
+  const nextThemeId = getLiveThemeId();
+  if (nextThemeId === activeThemeId) {
+    return;
+  }
+
+  activeThemeId = nextThemeId;
+  sendConfigUpdates();
+}
+
+function broadcastScreensUpdate() {
+  broadcast(
+    {
+      type: 'screens_update',
+      screens: getScreensPayload()
+    },
+    'admin'
+  );
+}
+
+function sendDisplayProfiles() {
+  for (const [ws, info] of socketInfoByWs.entries()) {
+    if (info.role === 'display') {
+      sendMessage(ws, {
+        type: 'display_profile',
+        display: getDisplayProfile(info.screen),
+        theme: getThemeForScreen(info.screen)
+      });
+    }
+  }
+}
+
+// Only the "displays" entry is rewritten, so hand edits to the rest of
+// config.json survive.
+function saveDisplayProfiles(displays) {
+  const rawConfig = readJsonFile(CONFIG_PATH, {});
+  rawConfig.displays = Object.fromEntries(
+    Object.values(displays).map(({ id, ...profile }) => [id, profile])
+  );
+  writeJsonFile(CONFIG_PATH, rawConfig);
+  config.displays = displays;
+  sendDisplayProfiles();
+  broadcastScreensUpdate();
+}
+
+// Presenter-only fields are meant for paired phones and /admin, so screens
+// and unpaired clients never receive them, not just never draw them.
+function canSeePresenterFields(socketInfo) {
+  return socketInfo?.role === 'admin' || (socketInfo?.role === 'control' && Boolean(socketInfo.controllerId));
+}
+
+function getContentForViewer(content, socketInfo) {
+  if (content?.mode !== 'guided_event' || canSeePresenterFields(socketInfo)) {
+    return content;
+  }
+
+  return {
+    ...content,
+    ...Object.fromEntries(config.presenterOnlyFields.map((field) => [field, '']))
+  };
 }
 
 function getBootstrapPayload(socketInfo) {
@@ -152,16 +520,22 @@ function getBootstrapPayload(socketInfo) {
     config,
     session: sessionManager.getPublicSessionData(currentState),
     state: currentState,
-    content: sessionManager.getCurrentContentPayload(currentState),
+    content: getContentForViewer(sessionManager.getCurrentContentPayload(currentState), socketInfo),
+    next: getContentForViewer(sessionManager.getNextContentPayload(currentState), socketInfo),
     surahs: metadata.surahs || [],
+    quranDivisions: Object.fromEntries(
+      Object.entries(metadata.divisions).map(([kind, entries]) => [kind, entries.length])
+    ),
     connection: {
       controllerConnected: isControllerConnected(),
       controllerCount: getControllerCount(),
-      controlUrl,
-      qrCodeDataUrl
+      ...getConnectionCode(socketInfo),
+      heartbeatIntervalMs: HEARTBEAT_INTERVAL_MS,
+      controllerTimeoutMs: CONTROLLER_TIMEOUT_MS
     },
     system: {
       displayUrl,
+      overlayUrl,
       controllerUrl: controlUrl,
       adminUrl
     },
@@ -170,13 +544,26 @@ function getBootstrapPayload(socketInfo) {
     },
     catalog: {
       duas: sessionManager.listDuas(),
-      events: sessionManager.listEvents()
+      events: sessionManager.listEvents(),
+      programmes: sessionManager.listProgrammes()
     },
     dataset: {
-      path: path.relative(ROOT_DIR, quranDataset.path),
-      type: quranDataset.meta.type,
-      description: quranDataset.meta.description
+      path: path.relative(ROOT_DIR, sessionManager.getQuranDataset().path),
+      type: sessionManager.getQuranDataset().meta.type,
+      description: sessionManager.getQuranDataset().meta.description,
+      languages: sessionManager.getQuranDataset().languages
     },
+    pairing: socketInfo?.role === 'admin' ? getPairingPayload() : null,
+    validation: socketInfo?.role === 'admin' ? getValidationPayload() : null,
+    lock: controlLock.getSnapshot(),
+    autoAdvance: autoAdvance.getSnapshot(),
+    audio: getAudioPayload(socketInfo),
+    display: socketInfo?.role === 'admin' || socketInfo?.role === 'control' ? null : getDisplayProfile(socketInfo?.screen || ''),
+    screens: socketInfo?.role === 'admin' ? getScreensPayload() : null,
+    theme: getThemeForScreen(socketInfo?.screen || ''),
+    fonts: fontLibrary,
+    themes: socketInfo?.role === 'admin' ? getThemesPayload() : null,
+    controllerId: socketInfo?.role === 'control' ? socketInfo.controllerId : null,
     socketRole: socketInfo?.role || 'display'
   };
 }
@@ -186,117 +573,763 @@ function sendBootstrap(ws) {
   sendMessage(ws, getBootstrapPayload(socketInfo));
 }
 
-function persistState() {
-  sessionStore.save(currentState);
-}
+function persistState() {
+  sessionStore.save(currentState);
+}
+
+function broadcastStateUpdate() {
+  const session = sessionManager.getPublicSessionData(currentState);
+  const content = sessionManager.getCurrentContentPayload(currentState);
+  const next = sessionManager.getNextContentPayload(currentState);
+
+  for (const [ws, info] of socketInfoByWs.entries()) {
+    sendMessage(ws, {
+      type: 'state_update',
+      session,
+      state: currentState,
+      content: getContentForViewer(content, info),
+      next: getContentForViewer(next, info)
+    });
+  }
+}
+
+function setCurrentState(nextState, activity) {
+  const clamped = sessionManager.clampState(nextState);
+  if (stateKey(clamped) === stateKey(currentState)) {
+    return false;
+  }
+
+  currentState = clamped;
+  persistState();
+  broadcastStateUpdate();
+  if (activity) {
+    pushActivity(activity.action, activity.detail);
+  } else {
+    renderDashboard();
+  }
+  syncAutoAdvance();
+  syncAudio();
+  syncTheme();
+  return true;
+}
+
+function canAutoAdvance(state) {
+  return ['dua', 'guided_event'].includes(sessionManager.getActiveSessionType(state));
+}
+
+// Repeat-counter taps and blanking leave the same line or slide on screen, so
+// they do not restart its time.
+function getAutoAdvanceItemKey(state) {
+  return stateKey({ ...state, blanked: false, guidedEvent: { ...state.guidedEvent, count: 0 } });
+}
+
+function broadcastAutoAdvanceUpdate() {
+  const payload = {
+    type: 'auto_advance_update',
+    autoAdvance: autoAdvance.getSnapshot()
+  };
+
+  broadcast(payload, 'control');
+  broadcast(payload, 'admin');
+}
+
+function stopAutoAdvance(detail) {
+  if (autoAdvance.stop()) {
+    pushActivity('AUTO', detail);
+    broadcastAutoAdvanceUpdate();
+  }
+}
+
+function syncAutoAdvance() {
+  const itemKey = getAutoAdvanceItemKey(currentState);
+  if (itemKey === autoAdvanceItemKey) {
+    return;
+  }
+
+  autoAdvanceItemKey = itemKey;
+  if (autoAdvance.getStatus() === 'off') {
+    return;
+  }
+
+  if (!canAutoAdvance(currentState)) {
+    stopAutoAdvance(`Stopped - ${sessionManager.describeSelectedContent(currentState)} is not stepped automatically`);
+    return;
+  }
+
+  autoAdvance.restart(sessionManager.getCurrentContentPayload(currentState));
+  broadcastAutoAdvanceUpdate();
+}
+
+// Runs when the current line or slide has had its time. A blanked display
+// holds the position until it is restored.
+function advanceAutomatically() {
+  if (currentState.blanked) {
+    autoAdvance.restart(sessionManager.getCurrentContentPayload(currentState));
+    broadcastAutoAdvanceUpdate();
+    return;
+  }
+
+  const transition = sessionManager.transition(currentState, { type: 'step', direction: 'next' });
+  if (!transition.changed) {
+    stopAutoAdvance(`Stopped at the end of ${sessionManager.describeSelectedContent(currentState)}`);
+    return;
+  }
+
+  setCurrentState(transition.state, {
+    action: 'NEXT',
+    detail: `Auto-advance - ${transition.activity.detail}`
+  });
+}
+
+function handleAutoAdvanceCommand(ws, socketInfo, command) {
+  if ((command === 'start' || command === 'resume') && !canAutoAdvance(currentState)) {
+    sendMessage(ws, {
+      type: 'error',
+      message: 'Auto-advance only steps through dua lines and guided event slides.'
+    });
+    return;
+  }
+
+  const content = sessionManager.getCurrentContentPayload(currentState);
+  const commands = {
+    start: { label: 'Started', run: () => autoAdvance.start(content) },
+    pause: { label: 'Paused', run: () => autoAdvance.pause() },
+    resume: { label: 'Resumed', run: () => autoAdvance.resume() },
+    stop: { label: 'Stopped', run: () => autoAdvance.stop() }
+  };
+
+  if (!commands[command]?.run()) {
+    return;
+  }
+
+  autoAdvanceItemKey = getAutoAdvanceItemKey(currentState);
+  pushActivity(
+    'AUTO',
+    `${formatActor(socketInfo)} - ${commands[command].label} auto-advance (${describePace(autoAdvance.getSnapshot().pace)})`
+  );
+  broadcastAutoAdvanceUpdate();
+}
+
+function getActiveQuranPosition(state) {
+  return sessionManager.getActiveSessionType(state) === 'quran'
+    ? sessionManager.getCurrentContentPayload(state).quran
+    : null;
+}
+
+function getAudioTrack(state, reciterId = audioReciterId) {
+  const position = getActiveQuranPosition(state);
+  const surah = position && audioLibrary.get(reciterId)?.surahs.get(position.surahNumber);
+  return surah
+    ? {
+        reciterId,
+        surahNumber: position.surahNumber,
+        url: surah.url,
+        timings: surah.timings
+      }
+    : null;
+}
+
+function listAudioOutputs(viewer) {
+  const outputs = [];
+  for (const [ws, info] of socketInfoByWs.entries()) {
+    if (ws.readyState === WebSocket.OPEN && info.audioOutputKey && ['display', 'admin'].includes(info.role)) {
+      outputs.push({
+        id: info.audioOutputKey,
+        label: `${info.role === 'admin' ? 'Admin' : info.screen ? getDisplayProfile(info.screen).name : 'Display'} ${info.audioOutputKey.slice(0, 4)} (${info.ip})`,
+        isViewer: info === viewer
+      });
+    }
+  }
+  return outputs;
+}
+
+// Output keys and IP addresses only go to /admin; every other page just
+// learns whether it is the one playing.
+function getAudioPayload(socketInfo) {
+  const isAdmin = socketInfo?.role === 'admin';
+  return {
+    ...audioPlayer.getSnapshot(),
+    reciterId: audioReciterId,
+    isOutput: Boolean(socketInfo) && socketInfo === audioOutputSocket,
+    outputId: isAdmin ? audioOutputSocket?.audioOutputKey || null : null,
+    reciters: [...audioLibrary.values()].map((reciter) => ({
+      id: reciter.id,
+      name: reciter.name,
+      surahNumbers: [...reciter.surahs.keys()]
+    })),
+    outputs: isAdmin ? listAudioOutputs(socketInfo) : []
+  };
+}
+
+function broadcastAudioUpdate() {
+  for (const [ws, info] of socketInfoByWs.entries()) {
+    sendMessage(ws, {
+      type: 'audio_update',
+      audio: getAudioPayload(info)
+    });
+  }
+}
+
+function describeAudioTrack() {
+  const snapshot = audioPlayer.getSnapshot();
+  const reciterName = audioLibrary.get(snapshot.reciterId)?.name || snapshot.reciterId;
+  return `${reciterName}, Surah ${snapshot.surahNumber} at ${formatAudioPosition(snapshot.positionSec)}`;
+}
+
+function stopAudio(detail) {
+  if (audioPlayer.stop()) {
+    pushActivity('AUDIO', detail);
+    broadcastAudioUpdate();
+  }
+}
+
+// Moves the recitation to whatever the operator put on screen: another surah
+// loads its own file, and an ayah outside the shown group seeks to its start.
+function syncAudio() {
+  if (audioPlayer.getStatus() === 'stopped') {
+    return;
+  }
+
+  const track = getAudioTrack(currentState);
+  if (!track) {
+    stopAudio(`Stopped - no recitation for ${sessionManager.describeSelectedContent(currentState)}`);
+    return;
+  }
+
+  const position = getActiveQuranPosition(currentState);
+  if (track.url !== audioPlayer.getTrack().url) {
+    audioPlayer.load(track, position.ayahNumber);
+    broadcastAudioUpdate();
+    return;
+  }
+
+  const { ayahNumber } = audioPlayer.getSnapshot();
+  if (ayahNumber === null || ayahNumber < position.ayahNumber || ayahNumber > position.lastAyahNumber) {
+    audioPlayer.seekToAyah(position.ayahNumber);
+    broadcastAudioUpdate();
+  }
+}
+
+// Runs when the recitation reaches a new ayah. The jump keeps a blanked
+// display blanked, and is not logged so the activity list stays readable.
+function followAudioAyah(ayahNumber) {
+  const position = getActiveQuranPosition(currentState);
+  if (!position || (ayahNumber >= position.ayahNumber && ayahNumber <= position.lastAyahNumber)) {
+    return;
+  }
+
+  const transition = sessionManager.transition(currentState, { type: 'jump_ayah', ayahNumber });
+  const nextPosition = getActiveQuranPosition(transition.state);
+  if (!nextPosition || ayahNumber < nextPosition.ayahNumber || ayahNumber > nextPosition.lastAyahNumber) {
+    stopAudio(`Stopped at the end of ${sessionManager.describeSelectedContent(currentState)}`);
+    return;
+  }
+
+  setCurrentState({ ...transition.state, blanked: currentState.blanked }, null);
+}
+
+function handleAudioEnded(track) {
+  const reciterName = audioLibrary.get(track.reciterId)?.name || track.reciterId;
+  pushActivity('AUDIO', `Finished ${reciterName}, Surah ${track.surahNumber}`);
+  broadcastAudioUpdate();
+}
+
+function handleAudioCommand(ws, socketInfo, message) {
+  const command = message.command;
+  if (command === 'play' && audioPlayer.getStatus() === 'stopped') {
+    const track = getAudioTrack(currentState);
+    if (!track) {
+      sendMessage(ws, {
+        type: 'error',
+        message: 'There is no recitation audio for the current surah.'
+      });
+      return;
+    }
+
+    audioPlayer.load(track, getActiveQuranPosition(currentState).ayahNumber);
+  }
+
+  const commands = {
+    play: { label: 'Played', run: () => audioPlayer.play() },
+    pause: { label: 'Paused', run: () => audioPlayer.pause() },
+    stop: { label: 'Stopped', run: () => audioPlayer.stop() },
+    seek: { label: 'Moved', run: () => audioPlayer.seek(Number(message.positionSec) || 0) }
+  };
+
+  const detail = audioPlayer.getTrack() ? describeAudioTrack() : '';
+  if (!commands[command]?.run()) {
+    return;
+  }
+
+  pushActivity(
+    'AUDIO',
+    `${formatActor(socketInfo)} - ${commands[command].label} recitation (${command === 'stop' ? detail : describeAudioTrack()})`
+  );
+  broadcastAudioUpdate();
+}
+
+// Only the browser picked as the audio output reports its playback, so the
+// clock follows the speakers the room actually hears.
+function handleAudioOutputReport(socketInfo, message) {
+  if (!audioOutputSocket || socketInfo !== audioOutputSocket) {
+    return;
+  }
+
+  if (message.type === 'audio_blocked') {
+    if (audioPlayer.pause()) {
+      pushActivity('AUDIO', `Paused - the audio output browser blocked playback (${socketInfo.ip})`);
+      broadcastAudioUpdate();
+    }
+    const payload = {
+      type: 'error',
+      message: 'The audio output browser blocked playback. Click its page once, or allow autoplay, then press Play again.'
+    };
+    broadcast(payload, 'control');
+    broadcast(payload, 'admin');
+    return;
+  }
+
+  if (message.ended) {
+    if (audioPlayer.getStatus() === 'playing') {
+      audioPlayer.finish();
+    }
+    return;
+  }
+
+  audioPlayer.sync(Number(message.positionSec));
+}
+
+function ensureControlRole(ws, socketInfo) {
+  if (socketInfo.role === 'control' || socketInfo.role === 'admin') {
+    return true;
+  }
+
+  sendMessage(ws, {
+    type: 'error',
+    message: 'Only controller and admin clients can update the session.'
+  });
+  return false;
+}
+
+function resolveActionFromMessage(message, state) {
+  const sessionType = sessionManager.getActiveSessionType(state);
+
+  if (message.type === 'step') {
+    return {
+      type: 'step',
+      direction: message.direction === 'prev' ? 'prev' : 'next'
+    };
+  }
+
+  if (state.sessionType === 'programme' && message.type === 'jump_segment') {
+    return {
+      type: 'jump_segment',
+      segmentIndex: Number(message.segmentIndex)
+    };
+  }
+
+  if (sessionType === 'quran') {
+    if (message.type === 'select_surah') {
+      return {
+        type: 'select_surah',
+        surahNumber: Number(message.surahNumber)
+      };
+    }
+
+    if (message.type === 'jump_ayah') {
+      return {
+        type: 'jump_ayah',
+        ayahNumber: Number(message.ayahNumber)
+      };
+    }
+
+    const quranJump = QURAN_JUMP_ACTIONS[message.type];
+    if (quranJump) {
+      return {
+        type: message.type,
+        [quranJump.field]: Number(message[quranJump.field])
+      };
+    }
+  }
+
+  if (message.type === 'jump_to') {
+    const target = message.target || {};
+    const position = target.quran
+      ? { quran: { surahNumber: Number(target.quran.surahNumber), ayahNumber: Number(target.quran.ayahNumber) } }
+      : target.dua
+        ? { dua: { lineIndex: Number(target.dua.lineIndex) } }
+        : target.guidedEvent
+          ? {
+              guidedEvent: {
+                sectionIndex: Number(target.guidedEvent.sectionIndex),
+                slideIndex: Number(target.guidedEvent.slideIndex)
+              }
+            }
+          : null;
+
+    return position
+      ? {
+          type: 'jump_to',
+          segmentIndex: target.segmentIndex === undefined ? undefined : Number(target.segmentIndex),
+          position
+        }
+      : null;
+  }
+
+  if (sessionType === 'dua' && message.type === 'jump_line') {
+    return {
+      type: 'jump_line',
+      lineIndex: Number(message.lineIndex)
+    };
+  }
+
+  if (sessionType === 'dua' && message.type === 'jump_dua_section') {
+    return {
+      type: 'jump_dua_section',
+      sectionIndex: Number(message.sectionIndex)
+    };
+  }
+
+  if (sessionType === 'guided_event' && (message.type === 'count_repeat' || message.type === 'reset_repeat')) {
+    return {
+      type: message.type
+    };
+  }
+
+  if (sessionType === 'guided_event' && message.type === 'jump_section') {
+    return {
+      type: 'jump_section',
+      sectionIndex: Number(message.sectionIndex)
+    };
+  }
+
+  return null;
+}
+
+function formatActor(socketInfo) {
+  if (socketInfo.role === 'admin') {
+    return 'Admin';
+  }
+
+  return `Controller ${socketInfo.controllerId} (${socketInfo.ip})`;
+}
+
+function applySessionTransition(socketInfo, action) {
+  const transition = sessionManager.transition(currentState, action);
+  if (!transition.changed) {
+    return;
+  }
+
+  // Repeat-counter taps only log the tap that completes or resets a count.
+  const actor = formatActor(socketInfo);
+  setCurrentState(
+    transition.state,
+    transition.activity && {
+      action: transition.activity.action,
+      detail: `${actor} - ${transition.activity.detail}`
+    }
+  );
+}
+
+function markSocketAlive(socketInfo) {
+  socketInfo.lastSeenAt = Date.now();
+}
+
+function expireSocket(ws, info) {
+  socketInfoByWs.delete(ws);
+  ws.terminate();
+
+  if (info.role === 'control') {
+    const silentSeconds = Math.round((Date.now() - info.lastSeenAt) / 1000);
+    pushActivity('EXPIRED', `Controller ${info.controllerId} timed out (${info.ip}) after ${silentSeconds}s without heartbeat`);
+    broadcastControllerStatus();
+  }
+}
+
+function sweepSockets() {
+  const now = Date.now();
+
+  for (const [ws, info] of [...socketInfoByWs.entries()]) {
+    if (!isSocketFresh(info, now)) {
+      expireSocket(ws, info);
+      continue;
+    }
+
+    if (ws.readyState === WebSocket.OPEN) {
+      try {
+        ws.ping();
+      } catch (_error) {
+        // close handler owns cleanup
+      }
+    }
+  }
+}
+
+function startHeartbeat() {
+  if (heartbeatTimer) {
+    return;
+  }
+
+  heartbeatTimer = setInterval(sweepSockets, HEARTBEAT_INTERVAL_MS);
+}
+
+function stopHeartbeat() {
+  if (heartbeatTimer) {
+    clearInterval(heartbeatTimer);
+    heartbeatTimer = null;
+  }
+}
+
+function authorizeController(ws, socketInfo, message) {
+  const knownController = pairing.resolveToken(message.controllerToken);
+  if (knownController) {
+    socketInfo.controllerId = knownController.id;
+    return true;
+  }
+
+  const paired = pairing.pair(message.pairingCode, socketInfo.ip);
+  if (paired) {
+    socketInfo.controllerId = paired.controller.id;
+    sendMessage(ws, {
+      type: 'paired',
+      controllerId: paired.controller.id,
+      controllerToken: paired.token
+    });
+    pushActivity('PAIRED', `Controller ${paired.controller.id} paired (${socketInfo.ip})`);
+    announcePairingCodeChange().catch((error) => {
+      console.warn(`[warn] Failed to announce pairing code: ${error.message}`);
+    });
+    return true;
+  }
+
+  sendMessage(ws, {
+    type: 'pairing_required',
+    message: message.pairingCode
+      ? 'That pairing code is not valid. Scan the QR code on the display or ask the admin for the current code.'
+      : 'Scan the QR code on the display or enter the pairing code from the admin page.'
+  });
+  return false;
+}
+
+function revokeController(controllerId) {
+  const controller = pairing.revoke(controllerId);
+  if (!controller) {
+    return null;
+  }
+
+  controlLock.forget(controllerId);
+
+  for (const [ws, info] of socketInfoByWs.entries()) {
+    if (info.role === 'control' && info.controllerId === controllerId) {
+      info.role = 'display';
+      info.controllerId = null;
+      info.pairingDenied = true;
+      sendMessage(ws, {
+        type: 'pairing_revoked',
+        message: 'This phone was unpaired by the admin.'
+      });
+    }
+  }
+
+  // The unpaired phone now counts as a screen, and the admin's controller
+  // list must drop it.
+  broadcastControllerStatus();
+  broadcastScreensUpdate();
+  return controller;
+}
+
+function handOverControl(actor, controllerId) {
+  if (!controlLock.isEnabled()) {
+    return 'Exclusive control is off.';
+  }
+
+  if (!isPairedControllerConnected(controllerId)) {
+    return 'That controller is not connected.';
+  }
+
+  if (controlLock.getHolderId() === controllerId) {
+    return null;
+  }
+
+  const previousHolderId = controlLock.getHolderId();
+  controlLock.assign(controllerId);
+  pushActivity(
+    'LOCK',
+    `${actor} - Handed control ${previousHolderId ? `from ${previousHolderId} ` : ''}to ${controllerId}`
+  );
+  broadcastLockUpdate();
+  return null;
+}
+
+function handleControlLockCommand(ws, socketInfo, message) {
+  const isAdmin = socketInfo.role === 'admin';
+  const isHolder = socketInfo.role === 'control' && controlLock.getHolderId() === socketInfo.controllerId;
+
+  if (message.type === 'request_control') {
+    if (socketInfo.role !== 'control') {
+      return false;
+    }
+
+    if (controlLock.request(socketInfo.controllerId)) {
+      pushActivity('LOCK REQUEST', `${formatActor(socketInfo)} - Requested control`);
+      broadcastLockUpdate();
+    }
+    return true;
+  }
+
+  if (message.type === 'cancel_control_request') {
+    if (socketInfo.role === 'control' && controlLock.cancelRequest(socketInfo.controllerId)) {
+      broadcastLockUpdate();
+    }
+    return true;
+  }
+
+  if (message.type === 'approve_control' || message.type === 'decline_control') {
+    const controllerId = String(message.controllerId || '');
+    if (!isAdmin && !isHolder) {
+      sendMessage(ws, {
+        type: 'error',
+        message: 'Only the controller holding control or the admin can hand it over.'
+      });
+      return true;
+    }
 
-function broadcastStateUpdate() {
-  broadcast({
-    type: 'state_update',
-    session: sessionManager.getPublicSessionData(currentState),
-    state: currentState,
-    content: sessionManager.getCurrentContentPayload(currentState)
-  });
-}
+    const actor = formatActor(socketInfo);
+    if (message.type === 'decline_control') {
+      if (controlLock.cancelRequest(controllerId)) {
+        pushActivity('LOCK', `${actor} - Declined control request from ${controllerId}`);
+        broadcastLockUpdate();
+      }
+      return true;
+    }
 
-function setCurrentState(nextState, activity) {
-  const clamped = sessionManager.clampState(nextState);
-  if (stateKey(clamped) === stateKey(currentState)) {
-    return false;
+    const error = handOverControl(actor, controllerId);
+    if (error) {
+      sendMessage(ws, { type: 'error', message: error });
+    }
+    return true;
   }
 
-  currentState = clamped;
-  persistState();
-  broadcastStateUpdate();
-  if (activity) {
-    pushActivity(activity.action, activity.detail);
-  } else {
-    renderDashboard();
+  if (message.type === 'admin_set_control_lock' && isAdmin) {
+    controlLock.setEnabled(Boolean(message.enabled));
+    pushActivity('LOCK', `Admin - Exclusive control ${controlLock.isEnabled() ? 'on' : 'off'}`);
+    broadcastControllerStatus();
+    return true;
   }
-  return true;
+
+  return false;
 }
 
-function ensureControlRole(ws, socketInfo) {
-  if (socketInfo.role === 'control' || socketInfo.role === 'admin') {
+function ensureNavigationAllowed(ws, socketInfo) {
+  if (socketInfo.role !== 'control' || controlLock.canNavigate(socketInfo.controllerId)) {
     return true;
   }
 
   sendMessage(ws, {
     type: 'error',
-    message: 'Only controller and admin clients can update the session.'
+    message: 'Another controller holds control. Tap "Request control" to ask for it.'
   });
   return false;
 }
 
-function resolveActionFromMessage(message, sessionType) {
-  if (message.type === 'step') {
-    return {
-      type: 'step',
-      direction: message.direction === 'prev' ? 'prev' : 'next'
-    };
+// A file that fails to parse mid-edit would otherwise drop out of the catalog
+// and knock the live session back to the default dua or event.
+function keepPreviousVersions(nextMap, previousMap, kept) {
+  for (const [id, entry] of previousMap.entries()) {
+    if (!nextMap.has(id) && entry.sourceFile && fs.existsSync(entry.sourceFile)) {
+      nextMap.set(id, entry);
+      kept.push(path.basename(entry.sourceFile));
+    }
   }
+}
 
-  if (sessionType === 'quran') {
-    if (message.type === 'select_surah') {
-      return {
-        type: 'select_surah',
-        surahNumber: Number(message.surahNumber)
-      };
-    }
+function reloadContent(actor) {
+  const previousContent = sessionManager.getContent();
+  const nextContent = loadContent();
+  const kept = [];
 
-    if (message.type === 'jump_ayah') {
-      return {
-        type: 'jump_ayah',
-        ayahNumber: Number(message.ayahNumber)
-      };
-    }
-  }
+  keepPreviousVersions(nextContent.duasById, previousContent.duasById, kept);
+  keepPreviousVersions(nextContent.eventsById, previousContent.eventsById, kept);
+  keepPreviousVersions(nextContent.programmesById, previousContent.programmesById, kept);
 
-  if (sessionType === 'dua' && message.type === 'jump_line') {
-    return {
-      type: 'jump_line',
-      lineIndex: Number(message.lineIndex)
-    };
+  sessionManager.replaceContent(nextContent);
+  searchIndex = createSearchIndex({ metadata, ...sessionManager.getContent() });
+  currentState = sessionManager.clampState(currentState);
+  persistState();
+  audioLibrary = loadAudioLibrary(AUDIO_DIR);
+  if (!audioLibrary.has(audioReciterId)) {
+    audioReciterId = audioLibrary.keys().next().value || null;
   }
+  themesById = loadThemes(THEMES_DIR);
+  fontLibrary = loadFontLibrary(FONTS_DIR);
+  activeThemeId = getLiveThemeId();
+  runValidation();
+  syncAutoAdvance();
+  syncAudio();
 
-  if (sessionType === 'guided_event' && message.type === 'jump_section') {
-    return {
-      type: 'jump_section',
-      sectionIndex: Number(message.sectionIndex)
-    };
+  for (const ws of socketInfoByWs.keys()) {
+    sendBootstrap(ws);
   }
 
-  return null;
+  const keptNote = kept.length > 0 ? ` (kept previous ${kept.join(', ')} - fix the file and save again)` : '';
+  const { errors, warnings } = summarizeIssues(validationIssues);
+  pushActivity(
+    'RELOAD',
+    `${actor} - Reloaded ${nextContent.duasById.size} duas, ${nextContent.eventsById.size} events and ${nextContent.programmesById.size} programmes, ${errors} error(s), ${warnings} warning(s)${keptNote}`
+  );
 }
 
-function formatActor(socketInfo) {
-  if (socketInfo.role === 'admin') {
-    return 'Admin';
+const contentWatcher = createContentWatcher({
+  directories: [DUA_DIR, EVENTS_DIR, PROGRAMMES_DIR, THEMES_DIR],
+  onChange: (files) => {
+    try {
+      reloadContent(`File change (${files.map((file) => path.basename(file)).join(', ')})`);
+    } catch (error) {
+      pushActivity('RELOAD', `Failed to reload content: ${error.message}`);
+    }
   }
+});
 
-  return `Controller (${socketInfo.ip})`;
-}
+function handleAdminCommand(ws, socketInfo, message) {
+  if (socketInfo.role !== 'admin') {
+    return false;
+  }
 
-function applySessionTransition(socketInfo, action) {
-  const transition = sessionManager.transition(currentState, action);
-  if (!transition.changed) {
-    return;
+  if (message.type === 'admin_reload_content') {
+    try {
+      reloadContent('Admin');
+    } catch (error) {
+      pushActivity('RELOAD', `Failed to reload content: ${error.message}`);
+      sendMessage(ws, { type: 'error', message: `Could not reload content: ${error.message}` });
+    }
+    return true;
   }
 
-  const actor = formatActor(socketInfo);
-  setCurrentState(transition.state, {
-    action: transition.activity.action,
-    detail: `${actor} - ${transition.activity.detail}`
-  });
-}
+  if (message.type === 'admin_rotate_pairing_code') {
+    pairing.rotateCode();
+    pushActivity('PAIRING', 'Admin - Rotated the controller pairing code');
+    announcePairingCodeChange().catch((error) => {
+      console.warn(`[warn] Failed to announce pairing code: ${error.message}`);
+    });
+    return true;
+  }
 
-function handleAdminCommand(ws, socketInfo, message) {
-  if (socketInfo.role !== 'admin') {
-    return false;
+  if (message.type === 'admin_revoke_controller') {
+    const controller = revokeController(String(message.controllerId || ''));
+    if (!controller) {
+      sendMessage(ws, {
+        type: 'error',
+        message: 'That controller is no longer paired.'
+      });
+      return true;
+    }
+
+    pushActivity('REVOKED', `Admin - Unpaired controller ${controller.id} (${controller.ip})`);
+    return true;
   }
 
   if (message.type === 'admin_set_mode') {
-    const sessionType = message.sessionType === 'dua' || message.sessionType === 'guided_event'
+    const sessionType = ['dua', 'guided_event', 'programme'].includes(message.sessionType)
       ? message.sessionType
       : 'quran';
 
@@ -316,7 +1349,18 @@ function handleAdminCommand(ws, socketInfo, message) {
             )
               .trim()
               .toLowerCase()
-          : null
+          : null,
+      selectedProgrammeId:
+        sessionType === 'programme'
+          ? String(
+              message.selectedProgrammeId ||
+                currentState.selectedProgrammeId ||
+                sessionManager.getDefaultProgrammeId()
+            )
+              .trim()
+              .toLowerCase()
+          : null,
+      ...sessionManager.getDisplayOptions(currentState)
     });
 
     setCurrentState(nextState, {
@@ -326,14 +1370,78 @@ function handleAdminCommand(ws, socketInfo, message) {
     return true;
   }
 
+  if (message.type === 'admin_set_quran_range') {
+    const rangeText = String(message.range || '').trim();
+    const quranRange = rangeText ? sessionManager.parseQuranRange(rangeText) : null;
+
+    if (rangeText && !quranRange) {
+      sendMessage(ws, {
+        type: 'error',
+        message: `"${rangeText}" is not a Quran range. Try 67, 67:1-67:30, 2:255-257 or juz 30.`
+      });
+      return true;
+    }
+
+    const nextState = sessionManager.createNewSession('quran', {
+      quranRange,
+      ...sessionManager.getDisplayOptions(currentState)
+    });
+    setCurrentState(nextState, {
+      action: 'RANGE',
+      detail: `Admin - ${quranRange ? sessionManager.describeQuranRange(quranRange) : 'Whole Quran'}`
+    });
+    return true;
+  }
+
+  if (message.type === 'admin_set_quran_group') {
+    const nextState = sessionManager.clampState({
+      ...currentState,
+      quranGroup: message.quranGroup
+    });
+
+    setCurrentState(nextState, {
+      action: 'GROUP',
+      detail: `Admin - ${
+        nextState.quranGroup === 'auto'
+          ? 'Ayahs grouped by length'
+          : nextState.quranGroup === 1
+            ? 'One ayah per screen'
+            : `${nextState.quranGroup} ayahs per screen`
+      }`
+    });
+    return true;
+  }
+
+  if (message.type === 'admin_set_quran_languages') {
+    const nextState = sessionManager.clampState({
+      ...currentState,
+      quranLanguages: {
+        translations: Array.isArray(message.translations) ? message.translations : [],
+        transliteration: message.transliteration || null
+      }
+    });
+    const { languages } = sessionManager.getQuranDataset();
+    const nameOf = (kind, code) => languages[kind].find((language) => language.code === code)?.name || code;
+    const { translations, transliteration } = nextState.quranLanguages;
+
+    setCurrentState(nextState, {
+      action: 'LANGUAGES',
+      detail: `Admin - Translations: ${
+        translations.map((code) => nameOf('translations', code)).join(', ') || 'none'
+      } · Transliteration: ${transliteration ? nameOf('transliterations', transliteration) : 'none'}`
+    });
+    return true;
+  }
+
   if (message.type === 'admin_select_event') {
     const nextState = sessionManager.createNewSession('guided_event', {
       selectedEventId: String(message.selectedEventId || sessionManager.getDefaultEventId())
         .trim()
-        .toLowerCase()
+        .toLowerCase(),
+      ...sessionManager.getDisplayOptions(currentState)
     });
 
-    const selectedEvent = eventsById.get(nextState.selectedEventId || '');
+    const selectedEvent = sessionManager.getEvent(nextState.selectedEventId);
     setCurrentState(nextState, {
       action: 'EVENT',
       detail: `Admin - ${selectedEvent?.title || 'Guided Event'}`
@@ -341,6 +1449,22 @@ function handleAdminCommand(ws, socketInfo, message) {
     return true;
   }
 
+  if (message.type === 'admin_select_programme') {
+    const nextState = sessionManager.createNewSession('programme', {
+      selectedProgrammeId: String(message.selectedProgrammeId || sessionManager.getDefaultProgrammeId())
+        .trim()
+        .toLowerCase(),
+      ...sessionManager.getDisplayOptions(currentState)
+    });
+
+    const selectedProgramme = sessionManager.getProgramme(nextState.selectedProgrammeId);
+    setCurrentState(nextState, {
+      action: 'PROGRAMME',
+      detail: `Admin - ${selectedProgramme?.title || 'Programme'}`
+    });
+    return true;
+  }
+
   if (message.type === 'admin_restart_session') {
     const nextState = sessionManager.restartSession(currentState);
     setCurrentState(nextState, {
@@ -359,6 +1483,109 @@ function handleAdminCommand(ws, socketInfo, message) {
     return true;
   }
 
+  if (message.type === 'admin_set_auto_pace') {
+    const pace = autoAdvance.setPace(message.pace, sessionManager.getCurrentContentPayload(currentState));
+    pushActivity('AUTO', `Admin - Auto-advance pace ${describePace(pace)}`);
+    broadcastAutoAdvanceUpdate();
+    return true;
+  }
+
+  if (message.type === 'admin_set_audio_reciter') {
+    const reciter = audioLibrary.get(String(message.reciterId || ''));
+    if (!reciter) {
+      sendMessage(ws, {
+        type: 'error',
+        message: 'Unknown reciter.'
+      });
+      return true;
+    }
+
+    audioReciterId = reciter.id;
+    pushActivity('AUDIO', `Admin - Reciter ${reciter.name}`);
+    if (audioPlayer.getStatus() !== 'stopped') {
+      const track = getAudioTrack(currentState);
+      if (track) {
+        audioPlayer.load(track, audioPlayer.getSnapshot().ayahNumber || getActiveQuranPosition(currentState).ayahNumber);
+      } else {
+        stopAudio(`Stopped - ${reciter.name} has no recitation for ${sessionManager.describeSelectedContent(currentState)}`);
+      }
+    }
+    broadcastAudioUpdate();
+    return true;
+  }
+
+  if (message.type === 'admin_set_audio_output') {
+    const outputId = message.outputId ? String(message.outputId) : '';
+    const output = listAudioOutputs().find((entry) => entry.id === outputId);
+    if (outputId && !output) {
+      sendMessage(ws, { type: 'error', message: 'That browser is no longer connected.' });
+      broadcastAudioUpdate();
+      return true;
+    }
+
+    audioOutputSocket = output
+      ? [...socketInfoByWs.values()].find((info) => info.audioOutputKey === output.id) || null
+      : null;
+    pushActivity('AUDIO', `Admin - Audio output ${output ? output.label : 'off (silent clock)'}`);
+    broadcastAudioUpdate();
+    return true;
+  }
+
+  if (message.type === 'admin_set_theme') {
+    const themeId = String(message.themeId || '').trim().toLowerCase();
+    if (themeId && !themesById.has(themeId)) {
+      sendMessage(ws, { type: 'error', message: 'That theme is not in data/themes.' });
+      return true;
+    }
+
+    liveThemeId = themeId || null;
+    activeThemeId = getLiveThemeId();
+    sendConfigUpdates();
+    const theme = themesById.get(activeThemeId);
+    pushActivity('THEME', `Admin - Theme ${liveThemeId ? theme.name : `automatic (${theme ? theme.name : 'built-in'})`}`);
+    return true;
+  }
+
+  if (message.type === 'admin_save_display_profile') {
+    const id = normalizeScreenId(message.profile?.id);
+    if (!id) {
+      sendMessage(ws, {
+        type: 'error',
+        message: 'Use lowercase letters, numbers and dashes for the screen id.'
+      });
+      return true;
+    }
+
+    const profile = normalizeDisplayProfile(id, message.profile, config);
+    try {
+      saveDisplayProfiles({ ...config.displays, [id]: profile });
+    } catch (error) {
+      console.warn(`[warn] Failed to write ${CONFIG_PATH}: ${error.message}`);
+      sendMessage(ws, { type: 'error', message: 'Could not write config.json.' });
+      return true;
+    }
+    pushActivity('SCREEN', `Admin - Saved screen profile ${profile.name} (${id})`);
+    return true;
+  }
+
+  if (message.type === 'admin_delete_display_profile') {
+    const profile = config.displays[normalizeScreenId(message.id)];
+    if (!profile) {
+      return true;
+    }
+
+    const { [profile.id]: _removed, ...displays } = config.displays;
+    try {
+      saveDisplayProfiles(displays);
+    } catch (error) {
+      console.warn(`[warn] Failed to write ${CONFIG_PATH}: ${error.message}`);
+      sendMessage(ws, { type: 'error', message: 'Could not write config.json.' });
+      return true;
+    }
+    pushActivity('SCREEN', `Admin - Removed screen profile ${profile.name} (${profile.id})`);
+    return true;
+  }
+
   if (message.type === 'admin_toggle_blank') {
     const nextState = sessionManager.setBlanked(currentState, !currentState.blanked);
     setCurrentState(nextState, {
@@ -379,6 +1606,11 @@ app.get('/display', (_req, res) => {
   res.sendFile(path.join(PUBLIC_DIR, 'display.html'));
 });
 
+// The lower-third overlay is the same page; display.js switches layout on the path.
+app.get('/overlay', (_req, res) => {
+  res.sendFile(path.join(PUBLIC_DIR, 'display.html'));
+});
+
 app.get('/control', (_req, res) => {
   res.sendFile(path.join(PUBLIC_DIR, 'control.html'));
 });
@@ -387,20 +1619,91 @@ app.get('/admin', (_req, res) => {
   res.sendFile(path.join(PUBLIC_DIR, 'admin.html'));
 });
 
+app.post('/api/admin/login', (req, res) => {
+  const ip = normalizeIp(req.ip);
+  if (adminAuth.isLockedOut(ip)) {
+    res.status(429).json({ error: 'Too many failed attempts. Wait a minute and try again.' });
+    return;
+  }
+
+  if (!adminAuth.checkPin(req.body?.pin, ip)) {
+    pushActivity('ADMIN LOGIN', `Rejected admin PIN from ${ip}`);
+    res.status(401).json({ error: 'Incorrect admin PIN.' });
+    return;
+  }
+
+  res.setHeader('Set-Cookie', adminAuth.buildSessionCookie(adminAuth.issueSessionToken()));
+  pushActivity('ADMIN LOGIN', `Admin signed in from ${ip}`);
+  res.json({ ok: true });
+});
+
+app.post('/api/admin/logout', (_req, res) => {
+  res.setHeader('Set-Cookie', adminAuth.buildClearedCookie());
+  res.json({ ok: true });
+});
+
+app.use(
+  '/api/admin/editor',
+  createEditorRouter({
+    rootDir: ROOT_DIR,
+    duaDir: DUA_DIR,
+    eventsDir: EVENTS_DIR,
+    isAuthenticated: (req) => adminAuth.isAuthenticatedRequest(req),
+    resolveDuaFile: (duaId) => sessionManager.getDua(duaId)?.sourceFile || null,
+    resolveEventFile: (eventId) => sessionManager.getEvent(eventId)?.sourceFile || null,
+    onSaved: ({ filePath }) => {
+      contentWatcher.ignore(path.basename(filePath));
+      try {
+        reloadContent(`Admin editor (${path.basename(filePath)})`);
+        return null;
+      } catch (error) {
+        console.warn(`[warn] Failed to reload content after saving ${filePath}: ${error.message}`);
+        pushActivity('RELOAD', `Failed to reload content: ${error.message}`);
+        return error.message;
+      }
+    }
+  })
+);
+
 app.get('/api/bootstrap', (req, res) => {
   const role = ['control', 'admin'].includes(req.query.role) ? req.query.role : 'display';
-  res.json(getBootstrapPayload({ role, ip: normalizeIp(req.ip) }));
+  if (role === 'admin' && !adminAuth.isAuthenticatedRequest(req)) {
+    res.status(401).json({ error: 'Admin login required.' });
+    return;
+  }
+
+  // Plain HTTP requests are not tied to a socket, so they never get the
+  // pairing code; display screens pick it up from their socket bootstrap.
+  res.json(
+    getBootstrapPayload({
+      role,
+      ip: normalizeIp(req.ip),
+      screen: normalizeScreenId(req.query.screen),
+      pairingDenied: role !== 'admin'
+    })
+  );
 });
 
 wss.on('connection', (ws, req) => {
   const socketInfo = {
     ip: normalizeIp(req.socket.remoteAddress),
-    role: 'unknown'
+    role: 'unknown',
+    controllerId: null,
+    pairingDenied: false,
+    audioOutputKey: null,
+    screen: '',
+    lastSeenAt: Date.now()
   };
 
   socketInfoByWs.set(ws, socketInfo);
 
+  ws.on('pong', () => {
+    markSocketAlive(socketInfo);
+  });
+
   ws.on('message', (buffer) => {
+    markSocketAlive(socketInfo);
+
     let message;
     try {
       message = JSON.parse(buffer.toString());
@@ -413,18 +1716,50 @@ wss.on('connection', (ws, req) => {
     }
 
     if (message.type === 'hello') {
+      if (message.role === 'admin' && !adminAuth.isAuthenticatedRequest(req)) {
+        socketInfo.role = 'display';
+        sendMessage(ws, {
+          type: 'auth_required',
+          message: 'Admin login required.'
+        });
+        ws.close(4401, 'Admin login required');
+        return;
+      }
+
       socketInfo.role = ['control', 'admin'].includes(message.role) ? message.role : 'display';
+      // A random key per connection names this page in the /admin output list.
+      socketInfo.audioOutputKey =
+        socketInfo.role !== 'control' && message.audioOutput === true
+          ? socketInfo.audioOutputKey || crypto.randomBytes(6).toString('hex')
+          : null;
+      if (!socketInfo.audioOutputKey && socketInfo === audioOutputSocket) {
+        audioOutputSocket = null;
+      }
+      socketInfo.screen = socketInfo.role === 'display' ? normalizeScreenId(message.screen) : '';
+
+      if (socketInfo.role === 'control' && !authorizeController(ws, socketInfo, message)) {
+        socketInfo.role = 'display';
+        socketInfo.controllerId = null;
+        socketInfo.pairingDenied = true;
+      }
 
       if (socketInfo.role === 'control') {
-        pushActivity('CONNECTED', `Controller joined (${socketInfo.ip})`);
+        pushActivity('CONNECTED', `Controller ${socketInfo.controllerId} joined (${socketInfo.ip})`);
         broadcastControllerStatus();
       }
 
       sendBootstrap(ws);
+      if (socketInfo.audioOutputKey) {
+        broadcastAudioUpdate();
+      }
+      if (socketInfo.role === 'display') {
+        broadcastScreensUpdate();
+      }
       return;
     }
 
     if (message.type === 'heartbeat') {
+      sendMessage(ws, { type: 'heartbeat_ack', serverTime: Date.now() });
       return;
     }
 
@@ -433,6 +1768,11 @@ wss.on('connection', (ws, req) => {
       return;
     }
 
+    if (message.type === 'audio_position' || message.type === 'audio_blocked') {
+      handleAudioOutputReport(socketInfo, message);
+      return;
+    }
+
     if (!ensureControlRole(ws, socketInfo)) {
       return;
     }
@@ -441,7 +1781,35 @@ wss.on('connection', (ws, req) => {
       return;
     }
 
-    const action = resolveActionFromMessage(message, currentState.sessionType);
+    if (handleControlLockCommand(ws, socketInfo, message)) {
+      return;
+    }
+
+    if (message.type === 'search') {
+      const query = String(message.query || '').slice(0, 200);
+      sendMessage(ws, {
+        type: 'search_results',
+        query,
+        ...searchIndex.search(query, sessionManager.getSearchScopes(currentState))
+      });
+      return;
+    }
+
+    if (!ensureNavigationAllowed(ws, socketInfo)) {
+      return;
+    }
+
+    if (message.type === 'auto_advance') {
+      handleAutoAdvanceCommand(ws, socketInfo, message.command);
+      return;
+    }
+
+    if (message.type === 'audio') {
+      handleAudioCommand(ws, socketInfo, message);
+      return;
+    }
+
+    const action = resolveActionFromMessage(message, currentState);
     if (!action) {
       sendMessage(ws, {
         type: 'error',
@@ -461,8 +1829,21 @@ wss.on('connection', (ws, req) => {
 
     socketInfoByWs.delete(ws);
 
+    if (info === audioOutputSocket) {
+      audioOutputSocket = null;
+      pushActivity('AUDIO', `Audio output browser disconnected (${info.ip}), the clock carries on silently`);
+    }
+
+    if (info.audioOutputKey) {
+      broadcastAudioUpdate();
+    }
+
+    if (info.role === 'display') {
+      broadcastScreensUpdate();
+    }
+
     if (info.role === 'control') {
-      pushActivity('DISCONNECTED', `Controller left (${info.ip})`);
+      pushActivity('DISCONNECTED', `Controller ${info.controllerId} left (${info.ip})`);
       broadcastControllerStatus();
     }
   });
@@ -473,33 +1854,44 @@ wss.on('connection', (ws, req) => {
 });
 
 async function start() {
+  const startupArgs = parseStartupArgs(process.argv.slice(2));
+  runValidation();
   const savedState = sessionStore.load();
   currentState = await promptForStartupSession({
     sessionManager,
-    savedState: savedState ? sessionManager.clampState(savedState) : null
+    savedState: savedState ? sessionManager.clampState(savedState) : null,
+    args: startupArgs
   });
   persistState();
-
-  try {
-    qrCodeDataUrl = await QRCode.toDataURL(controlUrl, {
-      margin: 1,
-      width: 220,
-      color: {
-        dark: '#F4F1E8',
-        light: '#14171c'
-      }
-    });
-  } catch (error) {
-    console.warn(`[warn] Failed to generate QR code: ${error.message}`);
-    qrCodeDataUrl = '';
+  activeThemeId = getLiveThemeId();
+
+  if (!adminAuth.hasPin()) {
+    const chosenPin = await promptForAdminPin();
+    if (chosenPin) {
+      adminAuth.setPin(chosenPin);
+      adminPinNotice = 'Admin PIN: chosen at startup';
+    } else {
+      const generatedPin = generatePin();
+      adminAuth.setPin(generatedPin);
+      adminPinNotice = `Admin PIN: ${generatedPin} (generated for this run)`;
+    }
   }
 
+  await refreshQrCode();
+
   server.listen(PORT, '0.0.0.0', () => {
+    startHeartbeat();
+    contentWatcher.start();
     renderDashboard();
   });
 }
 
 function shutdown(signal) {
+  stopHeartbeat();
+  autoAdvance.stop();
+  audioPlayer.stop();
+  contentWatcher.stop();
+
   for (const ws of socketInfoByWs.keys()) {
     try {
       ws.close();
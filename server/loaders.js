@@ -2,6 +2,19 @@ const fs = require('fs');
 const path = require('path');
 const os = require('os');
 
+const QURAN_DIVISION_KINDS = ['juz', 'hizb', 'ruku', 'page'];
+const LANGUAGE_NAMES = {
+  en: 'English',
+  ur: 'Urdu',
+  fa: 'Farsi',
+  ar: 'Arabic',
+  fr: 'French',
+  tr: 'Turkish',
+  id: 'Indonesian',
+  bn: 'Bengali'
+};
+const RTL_LANGUAGES = new Set(['ar', 'fa', 'ur', 'ps', 'sd', 'ug', 'dv', 'he', 'yi', 'ckb']);
+
 function readJsonFile(filePath, fallbackValue) {
   try {
     return JSON.parse(fs.readFileSync(filePath, 'utf8'));
@@ -56,14 +69,80 @@ function getLanIPv4() {
   return privateMatch?.address || candidates[0]?.address || '127.0.0.1';
 }
 
+// Parts of /display that a screen profile can hide, in page order.
+const DISPLAY_FIELDS = [
+  'brand',
+  'clock',
+  'title',
+  'lineNumber',
+  'instruction',
+  'repeat',
+  'repeatCounter',
+  'reference',
+  'arabic',
+  'transliteration',
+  'english',
+  'translations',
+  'note'
+];
+const DISPLAY_FONT_SCALE = { min: 0.5, max: 1.5 };
+// The /overlay band, as a percentage of the screen height.
+const DISPLAY_BAND_POSITIONS = ['bottom', 'top'];
+const DISPLAY_BAND_HEIGHT = { min: 15, max: 60 };
+const DISPLAY_PROFILE_ID_PATTERN = /^[a-z0-9][a-z0-9-]*$/;
+// Guided-event fields that can be kept off the displays and shown on /control only.
+const PRESENTER_ONLY_FIELDS = ['instruction', 'note'];
+
+// A screen profile is how one /display?screen=<id> client lays out the shared
+// session. Anything a profile leaves out falls back to the top-level config.
+function normalizeDisplayProfile(id, profile, defaults) {
+  const fontScale = Number(profile?.fontScale);
+  const bandHeight = Number(profile?.bandHeight);
+  const hiddenFields = Array.isArray(profile?.hiddenFields) ? profile.hiddenFields : [];
+
+  return {
+    id,
+    name: String(profile?.name || '').trim() || id,
+    hiddenFields: DISPLAY_FIELDS.filter((field) => hiddenFields.includes(field)),
+    fontScale: Number.isFinite(fontScale)
+      ? Math.max(DISPLAY_FONT_SCALE.min, Math.min(DISPLAY_FONT_SCALE.max, Math.round(fontScale * 100) / 100))
+      : 1,
+    // Empty follows the live theme; an id pins this screen to one theme.
+    theme: String(profile?.theme || '').trim().toLowerCase(),
+    safeMargin: String(profile?.safeMargin || '').trim() || defaults.safeMargin,
+    bandPosition: DISPLAY_BAND_POSITIONS.includes(profile?.bandPosition) ? profile.bandPosition : 'bottom',
+    bandHeight: Number.isFinite(bandHeight)
+      ? Math.max(DISPLAY_BAND_HEIGHT.min, Math.min(DISPLAY_BAND_HEIGHT.max, Math.round(bandHeight)))
+      : 28
+  };
+}
+
 function loadConfig(dataDir) {
   const config = readJsonFile(path.join(dataDir, 'config.json'), {});
+  const safeMargin = String(config.safeMargin || '4vw').trim() || '4vw';
+  const displays = {};
+
+  for (const [rawId, profile] of Object.entries(config.displays && typeof config.displays === 'object' ? config.displays : {})) {
+    const id = rawId.trim().toLowerCase();
+    if (!DISPLAY_PROFILE_ID_PATTERN.test(id)) {
+      console.warn(`[warn] Skipping display profile "${rawId}" (use lowercase letters, numbers and dashes)`);
+      continue;
+    }
+    displays[id] = normalizeDisplayProfile(id, profile, { safeMargin });
+  }
 
   return {
-    brandText: 'Al Zahraa Centre',
+    brandText: String(config.brandText || 'Al Zahraa Centre').trim() || 'Al Zahraa Centre',
+    theme: String(config.theme || 'default').trim().toLowerCase() || 'default',
     logoPath: String(config.logoPath || '').trim(),
     accentColor: String(config.accentColor || '#6f8476').trim() || '#6f8476',
-    safeMargin: String(config.safeMargin || '4vw').trim() || '4vw'
+    safeMargin,
+    showRepeatCounter: config.showRepeatCounter !== false,
+    presenterOnlyFields: PRESENTER_ONLY_FIELDS.filter((field) =>
+      Array.isArray(config.presenterOnlyFields) ? config.presenterOnlyFields.includes(field) : false
+    ),
+    fonts: pickThemeStrings(config.fonts, THEME_FONTS),
+    displays
   };
 }
 
@@ -81,6 +160,23 @@ function loadSurahMetadata(dataDir) {
   return { surahs };
 }
 
+function loadQuranDivisions(dataDir) {
+  const divisions = readJsonFile(path.join(dataDir, 'quran-divisions.json'), {});
+
+  return Object.fromEntries(
+    QURAN_DIVISION_KINDS.map((kind) => [
+      kind,
+      (Array.isArray(divisions?.[kind]) ? divisions[kind] : [])
+        .map((entry) => ({
+          number: Number(entry?.number),
+          start: parseAyahReference(entry?.from),
+          end: parseAyahReference(entry?.to)
+        }))
+        .filter((entry) => Number.isInteger(entry.number) && entry.start?.ayahNumber && entry.end?.ayahNumber)
+    ])
+  );
+}
+
 function loadQuranDataset(rootDir, dataDir) {
   const quranDataPath = resolveQuranDataPath(rootDir, dataDir);
   const quranData = readJsonFile(quranDataPath, { meta: { type: 'empty' }, surahs: [] });
@@ -90,40 +186,192 @@ function loadQuranDataset(rootDir, dataDir) {
   }
 
   const ayahDataBySurah = new Map();
+  const translationCodes = new Set();
+  const transliterationCodes = new Set();
+
   for (const surah of quranData.surahs || []) {
     const surahNumber = Number(surah.number);
     const ayahMap = new Map();
 
     for (const ayah of surah.ayahs || []) {
+      const translations = readLanguageTexts(ayah.translations, ayah.translation);
+      const transliterations = readLanguageTexts(ayah.transliterations, ayah.transliteration);
+      Object.keys(translations).forEach((code) => translationCodes.add(code));
+      Object.keys(transliterations).forEach((code) => transliterationCodes.add(code));
+
       ayahMap.set(Number(ayah.number), {
         number: Number(ayah.number),
         arabic: String(ayah.arabic || ''),
-        translation: String(ayah.translation || ''),
-        transliteration: String(ayah.transliteration || '')
+        translations,
+        transliterations
       });
     }
 
     ayahDataBySurah.set(surahNumber, ayahMap);
   }
 
+  const describeLanguage = (code) => {
+    const configured = quranData?.meta?.languages?.[code] || {};
+    const direction = String(configured.direction || '').toLowerCase();
+    return {
+      code,
+      name: String(configured.name || LANGUAGE_NAMES[code] || code.toUpperCase()),
+      direction: direction === 'rtl' || direction === 'ltr' ? direction : RTL_LANGUAGES.has(code) ? 'rtl' : 'ltr'
+    };
+  };
+
   return {
     path: quranDataPath,
     meta: {
       type: quranData?.meta?.type || 'unknown',
       description: quranData?.meta?.description || ''
     },
+    languages: {
+      translations: [...translationCodes].map(describeLanguage),
+      transliterations: [...transliterationCodes].map(describeLanguage)
+    },
     ayahDataBySurah
   };
 }
 
+// Ayahs carry either { "en": "...", "ur": "..." } or the older single string,
+// which is read as English.
+function readLanguageTexts(byLanguage, legacyText) {
+  const texts = {};
+  if (byLanguage && typeof byLanguage === 'object') {
+    for (const [code, text] of Object.entries(byLanguage)) {
+      const value = String(text || '').trim();
+      if (value) {
+        texts[code.trim().toLowerCase()] = value;
+      }
+    }
+  }
+
+  const legacy = String(legacyText || '').trim();
+  if (legacy && !texts.en) {
+    texts.en = legacy;
+  }
+
+  return texts;
+}
+
+// A line with a "section" title starts a named part of the dua, which runs
+// until the next line that has one.
 function normalizeDuaLine(line) {
+  const section = String(line?.section || '').trim();
   return {
+    ...(section ? { section } : {}),
     arabic: String(line?.arabic || '').trim(),
     transliteration: String(line?.transliteration || '').trim(),
     english: String(line?.english || '').trim()
   };
 }
 
+function getDuaSections(lines) {
+  const sections = [];
+  lines.forEach((line, index) => {
+    if (line.section) {
+      sections.push({ index: sections.length, title: line.section, startLine: index + 1 });
+    }
+  });
+
+  return sections.map((section, index) => ({
+    ...section,
+    endLine: index + 1 < sections.length ? sections[index + 1].startLine - 1 : lines.length
+  }));
+}
+
+const THEME_COLORS = ['background', 'panel', 'text', 'secondary', 'muted', 'accent'];
+// `arabic` and `latin` cover every field; the others pick a font for the
+// Quran text, dua and event Arabic, transliteration and translations.
+const THEME_FONTS = ['arabic', 'quran', 'dua', 'latin', 'transliteration', 'english'];
+// Display text fields a theme can size, weight and colour.
+const THEME_FIELDS = [
+  'title',
+  'lineNumber',
+  'instruction',
+  'repeat',
+  'repeatCounter',
+  'reference',
+  'arabic',
+  'transliteration',
+  'english',
+  'note'
+];
+const THEME_FIELD_LIMITS = {
+  size: { min: 0.5, max: 2 },
+  weight: { min: 100, max: 900 }
+};
+
+function pickThemeStrings(value, keys) {
+  return Object.fromEntries(
+    keys
+      .map((key) => [key, typeof value?.[key] === 'string' ? value[key].trim() : ''])
+      .filter(([, text]) => text)
+  );
+}
+
+// Anything a theme leaves out keeps the look from theme.css, so a theme file
+// can be as small as a name and an accent colour.
+function normalizeTheme(id, data) {
+  const fields = {};
+  for (const field of THEME_FIELDS) {
+    const style = data?.fields?.[field];
+    const entry = pickThemeStrings(style, ['color']);
+    for (const key of ['size', 'weight']) {
+      const { min, max } = THEME_FIELD_LIMITS[key];
+      const value = Number(style?.[key]);
+      if (style?.[key] !== undefined && Number.isFinite(value)) {
+        // font weights only come in steps of 100
+        entry[key] = Math.max(min, Math.min(max, key === 'weight' ? Math.round(value / 100) * 100 : value));
+      }
+    }
+    if (Object.keys(entry).length > 0) {
+      fields[field] = entry;
+    }
+  }
+
+  return {
+    id,
+    name: String(data?.name || id).trim() || id,
+    colors: pickThemeStrings(data?.colors, THEME_COLORS),
+    backgroundImage: String(data?.backgroundImage || '').trim(),
+    fonts: pickThemeStrings(data?.fonts, THEME_FONTS),
+    fields
+  };
+}
+
+function loadThemes(themesDir) {
+  const themeMap = new Map();
+
+  if (!fs.existsSync(themesDir)) {
+    console.warn(`[warn] Theme directory not found at ${themesDir}`);
+    return themeMap;
+  }
+
+  for (const fileName of fs.readdirSync(themesDir).sort()) {
+    if (!fileName.endsWith('.json')) {
+      continue;
+    }
+
+    const filePath = path.join(themesDir, fileName);
+    const parsed = readJsonFile(filePath, null);
+    if (!parsed || typeof parsed !== 'object') {
+      continue;
+    }
+
+    const id = String(parsed.id || path.basename(fileName, '.json')).trim().toLowerCase();
+    if (!id) {
+      console.warn(`[warn] Skipping invalid theme file ${fileName} (missing id)`);
+      continue;
+    }
+
+    themeMap.set(id, normalizeTheme(id, parsed));
+  }
+
+  return themeMap;
+}
+
 function loadDuas(duaDir) {
   const duaMap = new Map();
 
@@ -155,7 +403,9 @@ function loadDuas(duaDir) {
     duaMap.set(id, {
       id,
       title,
-      lines
+      lines,
+      sections: getDuaSections(lines),
+      sourceFile: filePath
     });
   }
 
@@ -163,10 +413,12 @@ function loadDuas(duaDir) {
 }
 
 function normalizeSlide(slide) {
+  const repeatCount = Number.parseInt(slide?.repeatCount, 10);
   return {
     title: String(slide?.title || '').trim(),
     instruction: String(slide?.instruction || '').trim(),
     repeat: String(slide?.repeat || '').trim(),
+    ...(repeatCount > 0 ? { repeatCount } : {}),
     reference: String(slide?.reference || '').trim(),
     arabic: String(slide?.arabic || '').trim(),
     transliteration: String(slide?.transliteration || '').trim(),
@@ -217,20 +469,268 @@ function loadGuidedEvents(eventsDir) {
       id,
       title,
       sections,
-      todo: String(parsed._todo || '').trim()
+      todo: String(parsed._todo || '').trim(),
+      theme: String(parsed.theme || '').trim().toLowerCase(),
+      sourceFile: filePath
     });
   }
 
   return eventMap;
 }
 
+// Accepts "36:12" or { "surah": 36, "ayah": 12 }. A missing ayah is left
+// null so the caller can read it as "start" or "end" of the surah.
+function parseAyahReference(value) {
+  if (value && typeof value === 'object') {
+    const surahNumber = Number(value.surah);
+    const ayahNumber = value.ayah === undefined ? null : Number(value.ayah);
+    return Number.isInteger(surahNumber) && surahNumber > 0 && (ayahNumber === null || Number.isInteger(ayahNumber))
+      ? { surahNumber, ayahNumber }
+      : null;
+  }
+
+  const match = String(value ?? '').trim().match(/^(\d{1,3})(?::(\d{1,3}))?$/);
+  if (!match) {
+    return null;
+  }
+
+  return {
+    surahNumber: Number(match[1]),
+    ayahNumber: match[2] === undefined ? null : Number(match[2])
+  };
+}
+
+function normalizeSegment(segment) {
+  const type = String(segment?.type || '').trim().toLowerCase();
+  const title = String(segment?.title || '').trim();
+
+  if (type === 'quran') {
+    const surah = parseAyahReference(segment?.surah);
+    const from = parseAyahReference(segment?.from) || surah;
+    const to = parseAyahReference(segment?.to) || (surah ? { surahNumber: surah.surahNumber, ayahNumber: null } : from);
+    return from ? { type, title, from, to } : null;
+  }
+
+  if (type === 'dua') {
+    const duaId = String(segment?.duaId || '').trim().toLowerCase();
+    return duaId ? { type, title, duaId } : null;
+  }
+
+  if (type === 'event') {
+    const eventId = String(segment?.eventId || '').trim().toLowerCase();
+    const sectionId = String(segment?.sectionId || '').trim().toLowerCase();
+    return eventId ? { type, title, eventId, sectionId } : null;
+  }
+
+  return null;
+}
+
+function loadProgrammes(programmesDir) {
+  const programmeMap = new Map();
+
+  if (!fs.existsSync(programmesDir)) {
+    return programmeMap;
+  }
+
+  for (const fileName of fs.readdirSync(programmesDir)) {
+    if (!fileName.endsWith('.json')) {
+      continue;
+    }
+
+    const filePath = path.join(programmesDir, fileName);
+    const parsed = readJsonFile(filePath, null);
+    if (!parsed) {
+      continue;
+    }
+
+    const id = String(parsed.id || path.basename(fileName, '.json')).trim().toLowerCase();
+    const title = String(parsed.title || id).trim();
+    const segments = Array.isArray(parsed.segments) ? parsed.segments.map(normalizeSegment).filter(Boolean) : [];
+
+    if (!id || !title || segments.length === 0) {
+      console.warn(`[warn] Skipping invalid programme file ${fileName} (missing id/title/segments)`);
+      continue;
+    }
+
+    programmeMap.set(id, {
+      id,
+      title,
+      segments,
+      sourceFile: filePath
+    });
+  }
+
+  return programmeMap;
+}
+
+const AUDIO_EXTENSIONS = ['.mp3', '.m4a', '.ogg'];
+
+function getAudioFileStem(surahNumber) {
+  return String(surahNumber).padStart(3, '0');
+}
+
+// Timing entries are sorted by ayah and each ends where the next one starts,
+// unless the file gives an explicit end.
+function normalizeAyahTimings(data) {
+  const timings = (Array.isArray(data?.ayahs) ? data.ayahs : [])
+    .map((entry) => ({
+      number: Number(entry?.number),
+      start: Number(entry?.start),
+      end: Number(entry?.end)
+    }))
+    .filter((entry) => Number.isInteger(entry.number) && entry.number > 0 && Number.isFinite(entry.start) && entry.start >= 0)
+    .sort((a, b) => a.number - b.number);
+
+  return timings.map((entry, index) => ({
+    number: entry.number,
+    start: entry.start,
+    end: Number.isFinite(entry.end) && entry.end > entry.start ? entry.end : timings[index + 1]?.start ?? null
+  }));
+}
+
+// data/audio/<reciter>/ holds one audio file per surah (001.mp3) next to its
+// ayah timing file (001.json). A surah needs both to be playable.
+function loadAudioLibrary(audioDir) {
+  const reciterMap = new Map();
+
+  if (!fs.existsSync(audioDir)) {
+    return reciterMap;
+  }
+
+  for (const entry of fs.readdirSync(audioDir, { withFileTypes: true })) {
+    if (!entry.isDirectory()) {
+      continue;
+    }
+
+    const id = entry.name.trim().toLowerCase();
+    const reciterDir = path.join(audioDir, entry.name);
+    const metaPath = path.join(reciterDir, 'reciter.json');
+    const meta = (fs.existsSync(metaPath) && readJsonFile(metaPath, null)) || {};
+    const fileNames = new Set(fs.readdirSync(reciterDir));
+    const surahs = new Map();
+
+    for (let surahNumber = 1; surahNumber <= 114; surahNumber += 1) {
+      const stem = getAudioFileStem(surahNumber);
+      const audioFile = AUDIO_EXTENSIONS.map((extension) => `${stem}${extension}`).find((name) => fileNames.has(name));
+      if (!audioFile || !fileNames.has(`${stem}.json`)) {
+        continue;
+      }
+
+      const timings = normalizeAyahTimings(readJsonFile(path.join(reciterDir, `${stem}.json`), null));
+      if (timings.length === 0) {
+        console.warn(`[warn] Skipping audio for surah ${surahNumber} in ${entry.name} (no ayah timings)`);
+        continue;
+      }
+
+      surahs.set(surahNumber, {
+        url: `/audio/${encodeURIComponent(entry.name)}/${audioFile}`,
+        timings
+      });
+    }
+
+    if (surahs.size === 0) {
+      console.warn(`[warn] Skipping reciter folder ${entry.name} (no surah has both audio and timings)`);
+      continue;
+    }
+
+    reciterMap.set(id, {
+      id,
+      name: String(meta.name || entry.name).trim(),
+      surahs
+    });
+  }
+
+  return reciterMap;
+}
+
+const FONT_FORMATS = {
+  '.woff2': 'woff2',
+  '.woff': 'woff',
+  '.ttf': 'truetype',
+  '.otf': 'opentype'
+};
+const FONT_WEIGHTS = {
+  thin: 100,
+  extralight: 200,
+  light: 300,
+  regular: 400,
+  medium: 500,
+  semibold: 600,
+  bold: 700,
+  extrabold: 800,
+  black: 900
+};
+
+// "NotoNaskhArabic-BoldItalic.woff2" is the bold italic face of "Noto Naskh
+// Arabic", so a theme can name a bundled font the way it is named when
+// installed. A file without a known style after the last dash is a regular face.
+function parseFontFileName(fileName) {
+  const stem = path.basename(fileName, path.extname(fileName));
+  const dashIndex = stem.lastIndexOf('-');
+  const styleText = dashIndex > 0 ? stem.slice(dashIndex + 1).toLowerCase() : '';
+  const italic = styleText.endsWith('italic');
+  const weightText = italic ? styleText.slice(0, -'italic'.length) || 'regular' : styleText;
+  const known = Boolean(styleText) && weightText in FONT_WEIGHTS;
+  const familyText = known ? stem.slice(0, dashIndex) : stem;
+
+  return {
+    family: familyText
+      .replace(/[_-]+/g, ' ')
+      .replace(/([a-z])([A-Z])/g, '$1 $2')
+      .replace(/([A-Z]+)([A-Z][a-z])/g, '$1 $2')
+      .trim(),
+    weight: known ? FONT_WEIGHTS[weightText] : 400,
+    style: known && italic ? 'italic' : 'normal'
+  };
+}
+
+// Font files in public/assets/fonts/ are served with the page, so displays do
+// not depend on what the OBS computer has installed.
+function loadFontLibrary(fontsDir) {
+  if (!fs.existsSync(fontsDir)) {
+    return [];
+  }
+
+  return fs
+    .readdirSync(fontsDir)
+    .sort()
+    .filter((fileName) => FONT_FORMATS[path.extname(fileName).toLowerCase()])
+    .map((fileName) => ({
+      ...parseFontFileName(fileName),
+      url: `/assets/fonts/${encodeURIComponent(fileName)}`,
+      format: FONT_FORMATS[path.extname(fileName).toLowerCase()]
+    }));
+}
+
 module.exports = {
+  DISPLAY_BAND_HEIGHT,
+  DISPLAY_BAND_POSITIONS,
+  DISPLAY_FIELDS,
+  DISPLAY_FONT_SCALE,
+  DISPLAY_PROFILE_ID_PATTERN,
+  PRESENTER_ONLY_FIELDS,
+  THEME_COLORS,
+  THEME_FIELDS,
+  THEME_FIELD_LIMITS,
+  THEME_FONTS,
+  QURAN_DIVISION_KINDS,
+  getAudioFileStem,
   getLanIPv4,
+  loadAudioLibrary,
   loadConfig,
   loadDuas,
+  loadFontLibrary,
   loadGuidedEvents,
+  loadProgrammes,
   loadQuranDataset,
+  loadQuranDivisions,
   loadSurahMetadata,
+  loadThemes,
+  normalizeDisplayProfile,
+  normalizeDuaLine,
+  normalizeSlide,
+  parseAyahReference,
   readJsonFile,
+  resolveQuranDataPath,
   writeJsonFile
 };
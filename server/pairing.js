@@ -0,0 +1,90 @@
+const crypto = require('crypto');
+
+const CODE_ALPHABET = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
+const CODE_LENGTH = 6;
+
+function generateCode() {
+  let code = '';
+  for (let index = 0; index < CODE_LENGTH; index += 1) {
+    code += CODE_ALPHABET[crypto.randomInt(0, CODE_ALPHABET.length)];
+  }
+  return code;
+}
+
+function normalizeCode(value) {
+  return String(value || '')
+    .trim()
+    .toUpperCase()
+    .replace(/[^A-Z0-9]/g, '');
+}
+
+function createPairingManager() {
+  const controllersByToken = new Map();
+  let code = generateCode();
+  let nextControllerNumber = 1;
+
+  function getCode() {
+    return code;
+  }
+
+  function rotateCode() {
+    code = generateCode();
+    return code;
+  }
+
+  function pair(candidateCode, ip) {
+    const candidate = Buffer.from(normalizeCode(candidateCode));
+    const expected = Buffer.from(code);
+    if (candidate.length !== expected.length || !crypto.timingSafeEqual(candidate, expected)) {
+      return null;
+    }
+
+    const token = crypto.randomBytes(24).toString('base64url');
+    const controller = {
+      id: `C${nextControllerNumber}`,
+      ip,
+      pairedAt: Date.now()
+    };
+
+    nextControllerNumber += 1;
+    controllersByToken.set(token, controller);
+
+    // Codes are single use so a QR photo passed around the hall stops working
+    // as soon as the intended phone has paired.
+    rotateCode();
+
+    return { token, controller };
+  }
+
+  function resolveToken(token) {
+    return controllersByToken.get(String(token || '')) || null;
+  }
+
+  function revoke(controllerId) {
+    for (const [token, controller] of controllersByToken.entries()) {
+      if (controller.id === controllerId) {
+        controllersByToken.delete(token);
+        return controller;
+      }
+    }
+
+    return null;
+  }
+
+  function listControllers() {
+    return [...controllersByToken.values()].sort((a, b) => a.pairedAt - b.pairedAt);
+  }
+
+  return {
+    getCode,
+    listControllers,
+    pair,
+    resolveToken,
+    revoke,
+    rotateCode
+  };
+}
+
+module.exports = {
+  createPairingManager
+};
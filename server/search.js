@@ -0,0 +1,180 @@
+const MAX_RESULTS = 25;
+const MIN_QUERY_LENGTH = 2;
+const SNIPPET_LENGTH = 120;
+
+// Harakat, Quranic annotation marks and tatweel.
+const ARABIC_MARKS_PATTERN = /[\u0610-\u061A\u064B-\u065F\u0670\u06D6-\u06ED\u0640]/g;
+const ARABIC_LETTER_VARIANTS = [
+  [/[آأإٱ]/g, 'ا'],
+  [/ى/g, 'ي'],
+  [/ة/g, 'ه'],
+  [/ؤ/g, 'و'],
+  [/ئ/g, 'ي']
+];
+
+// One form for every script: Arabic without diacritics, Latin without accents,
+// apostrophes or hyphens, and doubled letters collapsed so "al-rahman" finds the
+// transliteration "alrrahmani" and "allah" still finds "Allah".
+function normalizeSearchText(value) {
+  let text = String(value || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(ARABIC_MARKS_PATTERN, '');
+
+  for (const [pattern, replacement] of ARABIC_LETTER_VARIANTS) {
+    text = text.replace(pattern, replacement);
+  }
+
+  return text
+    .toLowerCase()
+    .replace(/['‘’`ʿʾ-]/g, '')
+    .replace(/[^\p{L}\p{N}]+/gu, ' ')
+    .replace(/(\p{L})\1+/gu, '$1')
+    .trim();
+}
+
+function createSnippet(text, query) {
+  const value = String(text || '').replace(/\s+/g, ' ').trim();
+  if (value.length <= SNIPPET_LENGTH) {
+    return value;
+  }
+
+  const index = Math.max(0, value.toLowerCase().indexOf(query.toLowerCase()));
+  const start = Math.max(0, Math.min(index - 30, value.length - SNIPPET_LENGTH));
+  return `${start > 0 ? '…' : ''}${value.slice(start, start + SNIPPET_LENGTH).trim()}…`;
+}
+
+function compareAyahs(a, b) {
+  return a.surahNumber - b.surahNumber || a.ayahNumber - b.ayahNumber;
+}
+
+function createSearchIndex({ metadata, quranDataset, duasById, eventsById }) {
+  const entries = [];
+
+  function addEntry(entry, texts) {
+    const fields = texts
+      .filter((text) => String(text || '').trim())
+      .map((text) => ({ text: String(text), normalized: normalizeSearchText(text) }));
+
+    if (fields.length > 0) {
+      entries.push({ ...entry, fields });
+    }
+  }
+
+  const surahNames = new Map((metadata.surahs || []).map((surah) => [Number(surah.number), surah.nameEnglish]));
+  for (const [surahNumber, ayahMap] of quranDataset.ayahDataBySurah.entries()) {
+    for (const ayah of ayahMap.values()) {
+      addEntry(
+        {
+          type: 'quran',
+          contentId: null,
+          label: `${surahNames.get(surahNumber) || `Surah ${surahNumber}`} ${surahNumber}:${ayah.number}`,
+          position: { quran: { surahNumber, ayahNumber: ayah.number } }
+        },
+        [ayah.arabic, ...Object.values(ayah.transliterations), ...Object.values(ayah.translations)]
+      );
+    }
+  }
+
+  for (const dua of duasById.values()) {
+    let section = '';
+    dua.lines.forEach((line, index) => {
+      section = line.section || section;
+      addEntry(
+        {
+          type: 'dua',
+          contentId: dua.id,
+          label: `${dua.title} · ${section ? `${section} · ` : ''}Line ${index + 1}`,
+          position: { dua: { lineIndex: index + 1 } }
+        },
+        [line.arabic, line.transliteration, line.english]
+      );
+    });
+  }
+
+  for (const event of eventsById.values()) {
+    event.sections.forEach((section, sectionIndex) => {
+      section.slides.forEach((slide, slideIndex) => {
+        addEntry(
+          {
+            type: 'guided_event',
+            contentId: event.id,
+            sectionIndex,
+            label: `${section.title || event.title} · Slide ${slideIndex + 1}`,
+            position: { guidedEvent: { sectionIndex, slideIndex } }
+          },
+          [slide.title, slide.instruction, slide.arabic, slide.transliteration, slide.english, slide.reference]
+        );
+      });
+    });
+  }
+
+  function findScope(entry, scopes) {
+    return scopes.find((scope) => {
+      if (scope.type !== entry.type) {
+        return false;
+      }
+
+      if (entry.type === 'quran') {
+        const ayah = entry.position.quran;
+        return !scope.range || (compareAyahs(ayah, scope.range.start) >= 0 && compareAyahs(ayah, scope.range.end) <= 0);
+      }
+
+      return (
+        scope.contentId === entry.contentId &&
+        (scope.sectionIndex === null || scope.sectionIndex === undefined || scope.sectionIndex === entry.sectionIndex)
+      );
+    });
+  }
+
+  // Every word of the query has to appear in one field of the entry. Entries
+  // with the whole query as one phrase are listed before the rest.
+  function search(query, scopes) {
+    const normalizedQuery = normalizeSearchText(query);
+    if (normalizedQuery.length < MIN_QUERY_LENGTH) {
+      return { results: [], total: 0 };
+    }
+
+    const words = normalizedQuery.split(' ');
+    const phraseMatches = [];
+    const wordMatches = [];
+
+    for (const entry of entries) {
+      const field = entry.fields.find((candidate) => words.every((word) => candidate.normalized.includes(word)));
+      if (!field) {
+        continue;
+      }
+
+      const scope = findScope(entry, scopes);
+      if (!scope) {
+        continue;
+      }
+
+      const result = {
+        type: entry.type,
+        label: entry.label,
+        snippet: createSnippet(field.text, String(query).trim()),
+        target: {
+          ...(scope.segmentIndex !== undefined ? { segmentIndex: scope.segmentIndex } : {}),
+          ...entry.position
+        }
+      };
+      (field.normalized.includes(normalizedQuery) ? phraseMatches : wordMatches).push(result);
+    }
+
+    const results = phraseMatches.concat(wordMatches);
+    return {
+      results: results.slice(0, MAX_RESULTS),
+      total: results.length
+    };
+  }
+
+  return {
+    search
+  };
+}
+
+module.exports = {
+  createSearchIndex,
+  normalizeSearchText
+};
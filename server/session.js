@@ -1,4 +1,27 @@
-function createSessionManager({ metadata, quranDataset, duasById, eventsById }) {
+const { parseAyahReference } = require('./loaders');
+
+const QURAN_JUMP_ACTIONS = {
+  jump_juz: { kind: 'juz', field: 'juzNumber', label: 'Juz' },
+  jump_hizb: { kind: 'hizb', field: 'hizbNumber', label: 'Hizb' },
+  jump_ruku: { kind: 'ruku', field: 'rukuNumber', label: 'Ruku' },
+  jump_page: { kind: 'page', field: 'pageNumber', label: 'Page' }
+};
+
+const POSITION_KEYS = {
+  quran: 'quran',
+  dua: 'dua',
+  guided_event: 'guidedEvent'
+};
+
+const MAX_AYAHS_PER_GROUP = 5;
+// Auto grouping keeps adding short ayahs until the screen holds about this much
+// Arabic, transliteration and translation text, which still fits at a readable size.
+const AUTO_GROUP_TEXT_LIMIT = 480;
+const AUTO_GROUP_MAX_AYAHS = 6;
+
+function createSessionManager({ metadata, ...content }) {
+  let { quranDataset, duasById, eventsById, programmesById = new Map() } = content;
+
   const surahMetaByNumber = new Map();
   for (const surah of metadata.surahs || []) {
     surahMetaByNumber.set(Number(surah.number), {
@@ -9,6 +32,33 @@ function createSessionManager({ metadata, quranDataset, duasById, eventsById })
     });
   }
 
+  function replaceContent(nextContent) {
+    quranDataset = nextContent.quranDataset || quranDataset;
+    duasById = nextContent.duasById || duasById;
+    eventsById = nextContent.eventsById || eventsById;
+    programmesById = nextContent.programmesById || programmesById;
+  }
+
+  function getQuranDataset() {
+    return quranDataset;
+  }
+
+  function getContent() {
+    return { quranDataset, duasById, eventsById, programmesById };
+  }
+
+  function getDua(duaId) {
+    return duasById.get(String(duaId || '')) || null;
+  }
+
+  function getEvent(eventId) {
+    return eventsById.get(String(eventId || '')) || null;
+  }
+
+  function getProgramme(programmeId) {
+    return programmesById.get(String(programmeId || '')) || null;
+  }
+
   function listDuas() {
     return [...duasById.values()]
       .map((dua) => ({
@@ -29,6 +79,16 @@ function createSessionManager({ metadata, quranDataset, duasById, eventsById })
       .sort((a, b) => a.title.localeCompare(b.title));
   }
 
+  function listProgrammes() {
+    return [...programmesById.values()]
+      .map((programme) => ({
+        id: programme.id,
+        title: programme.title,
+        totalSegments: getProgrammeSegments(programme).length
+      }))
+      .sort((a, b) => a.title.localeCompare(b.title));
+  }
+
   function getDefaultDuaId() {
     if (duasById.has('iftitah')) {
       return 'iftitah';
@@ -43,6 +103,10 @@ function createSessionManager({ metadata, quranDataset, duasById, eventsById })
     return listEvents()[0]?.id || '';
   }
 
+  function getDefaultProgrammeId() {
+    return listProgrammes().find((programme) => programme.totalSegments > 0)?.id || '';
+  }
+
   function getModeLabel(sessionType) {
     if (sessionType === 'dua') {
       return 'Dua';
@@ -50,6 +114,9 @@ function createSessionManager({ metadata, quranDataset, duasById, eventsById })
     if (sessionType === 'guided_event') {
       return 'Guided Event';
     }
+    if (sessionType === 'programme') {
+      return 'Programme';
+    }
     return 'Quran';
   }
 
@@ -76,6 +143,293 @@ function createSessionManager({ metadata, quranDataset, duasById, eventsById })
     return { surahNumber, ayahNumber };
   }
 
+  function compareAyahs(a, b) {
+    return a.surahNumber - b.surahNumber || a.ayahNumber - b.ayahNumber;
+  }
+
+  function clampQuranRange(from, to) {
+    const start = clampQuranState(from.surahNumber, from.ayahNumber ?? 1);
+    const endSurah = to?.surahNumber ?? start.surahNumber;
+    const end = clampQuranState(endSurah, to?.ayahNumber ?? getMaxAyahForSurah(endSurah));
+
+    return {
+      start,
+      end: compareAyahs(end, start) < 0 ? start : end
+    };
+  }
+
+  function clampQuranToRange(quranState, range) {
+    const clamped = clampQuranState(quranState?.surahNumber, quranState?.ayahNumber);
+    if (compareAyahs(clamped, range.start) < 0) {
+      return { ...range.start };
+    }
+    if (compareAyahs(clamped, range.end) > 0) {
+      return { ...range.end };
+    }
+    return clamped;
+  }
+
+  function countQuranAyahs(start, end) {
+    let count = 0;
+    for (let surahNumber = start.surahNumber; surahNumber <= end.surahNumber; surahNumber += 1) {
+      const first = surahNumber === start.surahNumber ? start.ayahNumber : 1;
+      const last = surahNumber === end.surahNumber ? end.ayahNumber : getMaxAyahForSurah(surahNumber);
+      count += last - first + 1;
+    }
+    return count;
+  }
+
+  // Division lists are sorted, so the match is the last entry starting at or
+  // before the ayah.
+  function findQuranDivision(kind, quranState) {
+    const entries = metadata.divisions?.[kind] || [];
+    let low = 0;
+    let high = entries.length - 1;
+    let match = null;
+
+    while (low <= high) {
+      const middle = Math.floor((low + high) / 2);
+      if (compareAyahs(entries[middle].start, quranState) <= 0) {
+        match = entries[middle];
+        low = middle + 1;
+      } else {
+        high = middle - 1;
+      }
+    }
+
+    return match;
+  }
+
+  function getQuranDivisions(quranState) {
+    return Object.fromEntries(
+      Object.keys(metadata.divisions || {}).map((kind) => [kind, findQuranDivision(kind, quranState)?.number || null])
+    );
+  }
+
+  function findJuzForRange(range) {
+    return (metadata.divisions?.juz || []).find(
+      (juz) => compareAyahs(juz.start, range.start) === 0 && compareAyahs(juz.end, range.end) === 0
+    );
+  }
+
+  function describeQuranRange(range) {
+    const juz = findJuzForRange(range);
+    if (juz) {
+      return `Juz ${juz.number}`;
+    }
+
+    const startName = surahMetaByNumber.get(range.start.surahNumber)?.nameEnglish || `Surah ${range.start.surahNumber}`;
+    const coversWholeSurah =
+      range.start.surahNumber === range.end.surahNumber &&
+      range.start.ayahNumber === 1 &&
+      range.end.ayahNumber === getMaxAyahForSurah(range.end.surahNumber);
+
+    if (coversWholeSurah) {
+      return `Surah ${startName}`;
+    }
+
+    return `${startName} ${range.start.surahNumber}:${range.start.ayahNumber}–${range.end.surahNumber}:${range.end.ayahNumber}`;
+  }
+
+  function isKnownAyah(reference) {
+    const totalSurahs = metadata.surahs?.length || 114;
+    return (
+      reference.surahNumber <= totalSurahs &&
+      (reference.ayahNumber === null ||
+        (reference.ayahNumber >= 1 && reference.ayahNumber <= getMaxAyahForSurah(reference.surahNumber)))
+    );
+  }
+
+  // Reads "67" (whole surah), "2:255" (one ayah), "67:1-67:30", "2:255-257"
+  // or "juz 30". Returns the range, or the reason the text was rejected.
+  function readQuranRange(value) {
+    const text = String(value ?? '').trim().toLowerCase();
+    const juzMatch = text.match(/^juz\s*(\d{1,2})$/);
+    if (juzMatch) {
+      const juzList = metadata.divisions?.juz || [];
+      const juz = juzList.find((entry) => entry.number === Number(juzMatch[1]));
+      return juz
+        ? { range: clampQuranRange(juz.start, juz.end) }
+        : { problem: `There is no juz ${juzMatch[1]}; use 1 to ${juzList.length || 30}.` };
+    }
+
+    const [fromText, toText, ...rest] = text.split(/\s*[-–]\s*/);
+    const start = parseAyahReference(fromText);
+    let end = toText === undefined ? start : parseAyahReference(toText);
+
+    if (start && end && toText && !toText.includes(':') && start.ayahNumber !== null) {
+      end = { surahNumber: start.surahNumber, ayahNumber: end.surahNumber };
+    }
+
+    if (!start || !end || rest.length > 0) {
+      return { problem: `"${text}" could not be read as a range.` };
+    }
+
+    for (const reference of [start, end]) {
+      if (!isKnownAyah(reference)) {
+        return { problem: describeUnknownAyah(reference) };
+      }
+    }
+
+    const range = clampQuranRange(start, end);
+    const requestedEnd = {
+      surahNumber: end.surahNumber,
+      ayahNumber: end.ayahNumber ?? getMaxAyahForSurah(end.surahNumber)
+    };
+    return compareAyahs(requestedEnd, range.start) < 0
+      ? { problem: 'The range ends before it starts.' }
+      : { range };
+  }
+
+  function describeUnknownAyah(reference) {
+    const totalSurahs = metadata.surahs?.length || 114;
+    if (reference.surahNumber < 1 || reference.surahNumber > totalSurahs) {
+      return `There is no surah ${reference.surahNumber}; use 1 to ${totalSurahs}.`;
+    }
+    return `Surah ${reference.surahNumber} has ${getMaxAyahForSurah(reference.surahNumber)} ayahs, so there is no ayah ${reference.ayahNumber}.`;
+  }
+
+  function parseQuranRange(value) {
+    return readQuranRange(value).range || null;
+  }
+
+  function explainQuranRange(value) {
+    return readQuranRange(value).problem || null;
+  }
+
+  function clampStoredQuranRange(quranRange) {
+    return quranRange?.start && quranRange?.end ? clampQuranRange(quranRange.start, quranRange.end) : null;
+  }
+
+  function getQuranRangeProgress(quranState, quranRange, groupEnd = quranState) {
+    return {
+      title: describeQuranRange(quranRange),
+      position: countQuranAyahs(quranRange.start, quranState),
+      positionEnd: countQuranAyahs(quranRange.start, groupEnd),
+      total: countQuranAyahs(quranRange.start, quranRange.end)
+    };
+  }
+
+  function clampQuranGroup(value) {
+    if (value === 'auto') {
+      return 'auto';
+    }
+    return Math.max(1, Math.min(MAX_AYAHS_PER_GROUP, Math.floor(Number(value)) || 1));
+  }
+
+  function getLanguageCodes(kind) {
+    return (quranDataset.languages?.[kind] || []).map((language) => language.code);
+  }
+
+  function getLanguage(kind, code) {
+    return (
+      quranDataset.languages?.[kind]?.find((language) => language.code === code) || {
+        code,
+        name: code,
+        direction: 'ltr'
+      }
+    );
+  }
+
+  function getDefaultLanguage(codes) {
+    return codes.includes('en') ? 'en' : codes[0] || null;
+  }
+
+  // Missing choices fall back to one translation and one transliteration; an
+  // empty list or null is kept so a screen can show the Arabic alone.
+  function clampQuranLanguages(candidate) {
+    const translationCodes = getLanguageCodes('translations');
+    const transliterationCodes = getLanguageCodes('transliterations');
+    const defaultTranslation = getDefaultLanguage(translationCodes);
+
+    const translations = Array.isArray(candidate?.translations)
+      ? [...new Set(candidate.translations.map((code) => String(code || '').trim().toLowerCase()))].filter(
+          (code) => translationCodes.includes(code)
+        )
+      : defaultTranslation
+        ? [defaultTranslation]
+        : [];
+    const transliteration =
+      candidate?.transliteration === undefined
+        ? getDefaultLanguage(transliterationCodes)
+        : transliterationCodes.includes(candidate?.transliteration)
+          ? candidate.transliteration
+          : null;
+
+    return { translations, transliteration };
+  }
+
+  function languagesEqual(a, b) {
+    return a.transliteration === b.transliteration && a.translations.join(',') === b.translations.join(',');
+  }
+
+  function getAyahTextLength(surahNumber, ayahNumber, quranLanguages) {
+    const ayah = quranDataset.ayahDataBySurah.get(surahNumber)?.get(ayahNumber);
+    if (!ayah) {
+      return AUTO_GROUP_TEXT_LIMIT;
+    }
+    const { translations, transliteration } = quranLanguages;
+    return (
+      ayah.arabic.length +
+      translations.reduce((total, code) => total + (ayah.translations[code] || '').length, 0) +
+      (transliteration ? (ayah.transliterations[transliteration] || '').length : 0)
+    );
+  }
+
+  // Groups never cross a surah or the session range, and always start from the
+  // first ayah shown in that surah so stepping lands on the same groups each time.
+  function getAyahGroup(quranState, quranGroup, quranRange, quranLanguages) {
+    const { surahNumber, ayahNumber } = quranState;
+    if (quranGroup === 1) {
+      return { start: quranState, end: quranState };
+    }
+
+    const first = quranRange?.start.surahNumber === surahNumber ? quranRange.start.ayahNumber : 1;
+    const last = quranRange?.end.surahNumber === surahNumber ? quranRange.end.ayahNumber : getMaxAyahForSurah(surahNumber);
+    let groupStart = first;
+    let groupEnd = first;
+
+    if (quranGroup !== 'auto') {
+      groupStart = first + Math.floor((ayahNumber - first) / quranGroup) * quranGroup;
+      groupEnd = Math.min(last, groupStart + quranGroup - 1);
+    } else {
+      while (groupStart <= last) {
+        let textLength = getAyahTextLength(surahNumber, groupStart, quranLanguages);
+        groupEnd = groupStart;
+        while (
+          groupEnd < last &&
+          groupEnd - groupStart + 1 < AUTO_GROUP_MAX_AYAHS &&
+          textLength + getAyahTextLength(surahNumber, groupEnd + 1, quranLanguages) <= AUTO_GROUP_TEXT_LIMIT
+        ) {
+          groupEnd += 1;
+          textLength += getAyahTextLength(surahNumber, groupEnd, quranLanguages);
+        }
+
+        if (groupEnd >= ayahNumber) {
+          break;
+        }
+        groupStart = groupEnd + 1;
+      }
+    }
+
+    return {
+      start: { surahNumber, ayahNumber: groupStart },
+      end: { surahNumber, ayahNumber: groupEnd }
+    };
+  }
+
+  function clampQuranPosition(candidateQuran, quranRange, quranGroup, quranLanguages) {
+    const quran = quranRange
+      ? clampQuranToRange(candidateQuran, quranRange)
+      : clampQuranState(candidateQuran?.surahNumber, candidateQuran?.ayahNumber);
+    return getAyahGroup(quran, quranGroup, quranRange, quranLanguages).start;
+  }
+
+  function stepQuranGroup(quranState, direction, quranGroup, quranRange, quranLanguages) {
+    const group = getAyahGroup(quranState, quranGroup, quranRange, quranLanguages);
+    return stepQuran(direction === 'prev' ? group.start : group.end, direction);
+  }
+
   function clampDuaState(candidateDua, selectedDuaId) {
     const defaultId = getDefaultDuaId();
     const duaId = String(selectedDuaId || candidateDua?.duaId || defaultId)
@@ -93,6 +447,10 @@ function createSessionManager({ metadata, quranDataset, duasById, eventsById })
     };
   }
 
+  function findDuaSection(dua, lineIndex) {
+    return dua.sections.filter((section) => section.startLine <= lineIndex).pop() || null;
+  }
+
   function clampGuidedEventState(candidateGuidedEvent, selectedEventId) {
     const defaultId = getDefaultEventId();
     const eventId = String(selectedEventId || defaultId)
@@ -103,7 +461,8 @@ function createSessionManager({ metadata, quranDataset, duasById, eventsById })
     if (!event) {
       return {
         sectionIndex: 0,
-        slideIndex: 0
+        slideIndex: 0,
+        count: 0
       };
     }
 
@@ -116,15 +475,259 @@ function createSessionManager({ metadata, quranDataset, duasById, eventsById })
       0,
       Math.min(section.slides.length - 1, Number(candidateGuidedEvent?.slideIndex) || 0)
     );
+    const repeatCount = section.slides[slideIndex].repeatCount || 0;
 
     return {
       sectionIndex,
-      slideIndex
+      slideIndex,
+      count: Math.max(0, Math.min(repeatCount, Math.floor(Number(candidateGuidedEvent?.count)) || 0))
+    };
+  }
+
+  function getRepeatTarget(eventId, guidedEvent) {
+    const section = eventsById.get(eventId || '')?.sections[guidedEvent.sectionIndex];
+    return section?.slides[guidedEvent.slideIndex]?.repeatCount || 0;
+  }
+
+  // Each tap adds one to the slide's repeat count. The tap that completes the
+  // count moves on through `advance`, so the next slide starts at zero; on the
+  // last slide the finished count stays on screen instead.
+  function countRepeat(currentState, eventId, advance) {
+    const target = getRepeatTarget(eventId, currentState.guidedEvent);
+    if (!target) {
+      return {
+        state: currentState,
+        changed: false,
+        activity: null
+      };
+    }
+
+    const count = Math.min(target, currentState.guidedEvent.count + 1);
+    if (count === target) {
+      const result = advance();
+      // Stepping from a blanked display restores it without moving, which
+      // still means this is the last slide.
+      if (!statesEqual({ ...currentState, blanked: false }, { ...result.state, blanked: false })) {
+        return {
+          ...result,
+          activity: {
+            action: 'COUNT',
+            detail: `${target}/${target} complete → ${describeSelectedContent(result.state)}`
+          }
+        };
+      }
+    }
+
+    const nextState = clampState({
+      ...currentState,
+      blanked: false,
+      guidedEvent: { ...currentState.guidedEvent, count }
+    });
+
+    return {
+      state: nextState,
+      changed: !statesEqual(currentState, nextState),
+      activity:
+        count === target
+          ? {
+              action: 'COUNT',
+              detail: `${target}/${target} complete on ${describeSelectedContent(nextState)}`
+            }
+          : null
+    };
+  }
+
+  // Segments point at duas and events by id. One whose content is missing is
+  // left out so stepping never lands on an empty screen; the validator reports it.
+  function resolveSegment(segment) {
+    if (segment.type === 'quran') {
+      const range = clampQuranRange(segment.from, segment.to);
+      return {
+        type: 'quran',
+        title: segment.title || describeQuranRange(range),
+        range
+      };
+    }
+
+    if (segment.type === 'dua') {
+      const dua = duasById.get(segment.duaId);
+      return dua
+        ? {
+            type: 'dua',
+            title: segment.title || dua.title,
+            duaId: dua.id
+          }
+        : null;
+    }
+
+    const event = eventsById.get(segment.eventId);
+    if (!event) {
+      return null;
+    }
+
+    const sectionIndex = segment.sectionId
+      ? event.sections.findIndex((section) => section.id === segment.sectionId)
+      : null;
+    if (sectionIndex === -1) {
+      return null;
+    }
+
+    return {
+      type: 'guided_event',
+      title: segment.title || (sectionIndex === null ? event.title : event.sections[sectionIndex].title),
+      eventId: event.id,
+      sectionIndex
+    };
+  }
+
+  function getProgrammeSegments(programme) {
+    return (programme?.segments || []).map(resolveSegment).filter(Boolean);
+  }
+
+  function countSegmentItems(segment) {
+    if (segment.type === 'quran') {
+      return countQuranAyahs(segment.range.start, segment.range.end);
+    }
+
+    if (segment.type === 'dua') {
+      return duasById.get(segment.duaId)?.lines.length || 0;
+    }
+
+    const event = eventsById.get(segment.eventId);
+    const sections = segment.sectionIndex === null ? event?.sections || [] : [event.sections[segment.sectionIndex]];
+    return sections.reduce((total, section) => total + section.slides.length, 0);
+  }
+
+  function clampSegmentGuidedEvent(candidateGuidedEvent, segment) {
+    return clampGuidedEventState(
+      segment.sectionIndex === null
+        ? candidateGuidedEvent
+        : {
+            sectionIndex: segment.sectionIndex,
+            ...(candidateGuidedEvent?.sectionIndex === segment.sectionIndex
+              ? { slideIndex: candidateGuidedEvent.slideIndex, count: candidateGuidedEvent.count }
+              : { slideIndex: 0 })
+          },
+      segment.eventId
+    );
+  }
+
+  function getSegmentEdge(segment, edge) {
+    const isFirst = edge === 'first';
+
+    if (segment.type === 'quran') {
+      return { quran: { ...(isFirst ? segment.range.start : segment.range.end) } };
+    }
+
+    if (segment.type === 'dua') {
+      return { dua: { lineIndex: isFirst ? 1 : duasById.get(segment.duaId)?.lines.length || 1 } };
+    }
+
+    const event = eventsById.get(segment.eventId);
+    const sectionIndex = segment.sectionIndex ?? (isFirst ? 0 : event.sections.length - 1);
+    return {
+      guidedEvent: {
+        sectionIndex,
+        slideIndex: isFirst ? 0 : event.sections[sectionIndex].slides.length - 1
+      }
+    };
+  }
+
+  function clampProgrammeState(candidateState) {
+    const requestedId = String(candidateState?.selectedProgrammeId || '').trim().toLowerCase();
+    const programme = getProgramme(requestedId) || getProgramme(getDefaultProgrammeId());
+    const segments = getProgrammeSegments(programme);
+
+    if (segments.length === 0) {
+      return clampState({ ...candidateState, sessionType: 'quran' });
+    }
+
+    const segmentIndex = Math.max(
+      0,
+      Math.min(segments.length - 1, Number(candidateState?.programme?.segmentIndex) || 0)
+    );
+    const segment = segments[segmentIndex];
+    const quranGroup = clampQuranGroup(candidateState?.quranGroup);
+    const quranLanguages = clampQuranLanguages(candidateState?.quranLanguages);
+
+    return {
+      sessionType: 'programme',
+      blanked: Boolean(candidateState?.blanked),
+      selectedDuaId: null,
+      selectedEventId: null,
+      selectedProgrammeId: programme.id,
+      quranRange: null,
+      quranGroup,
+      quranLanguages,
+      quran:
+        segment.type === 'quran'
+          ? clampQuranPosition(candidateState?.quran, segment.range, quranGroup, quranLanguages)
+          : clampQuranState(candidateState?.quran?.surahNumber, candidateState?.quran?.ayahNumber),
+      dua: clampDuaState(candidateState?.dua, segment.type === 'dua' ? segment.duaId : null),
+      guidedEvent:
+        segment.type === 'guided_event'
+          ? clampSegmentGuidedEvent(candidateState?.guidedEvent, segment)
+          : clampGuidedEventState(candidateState?.guidedEvent, null),
+      programme: { segmentIndex }
+    };
+  }
+
+  function getCurrentSegment(state) {
+    const segments = getProgrammeSegments(getProgramme(state.selectedProgrammeId));
+    return {
+      segments,
+      segment: segments[state.programme?.segmentIndex] || null
     };
   }
 
+  // A programme session is shown and navigated as the plain session type of
+  // its current segment, so the Quran, dua and event code stays unaware of it.
+  function toSegmentState(state) {
+    const { segment } = getCurrentSegment(state);
+    if (!segment) {
+      return state;
+    }
+
+    return {
+      ...state,
+      sessionType: segment.type,
+      quranRange: segment.type === 'quran' ? segment.range : null,
+      selectedDuaId: segment.type === 'dua' ? segment.duaId : null,
+      selectedEventId: segment.type === 'guided_event' ? segment.eventId : null
+    };
+  }
+
+  // Search only reaches what the session can navigate to: the selected dua or
+  // event, the Quran range, or every segment of a programme.
+  function getSearchScopes(state) {
+    const currentState = clampState(state);
+
+    if (currentState.sessionType === 'programme') {
+      return getProgrammeSegments(getProgramme(currentState.selectedProgrammeId)).map((segment, segmentIndex) => ({
+        type: segment.type,
+        contentId: segment.duaId || segment.eventId || null,
+        range: segment.range || null,
+        sectionIndex: segment.sectionIndex ?? null,
+        segmentIndex
+      }));
+    }
+
+    return [
+      {
+        type: currentState.sessionType,
+        contentId: currentState.selectedDuaId || currentState.selectedEventId || null,
+        range: currentState.quranRange,
+        sectionIndex: null
+      }
+    ];
+  }
+
+  function getActiveSessionType(state) {
+    return state.sessionType === 'programme' ? toSegmentState(state).sessionType : state.sessionType;
+  }
+
   function clampSessionType(value) {
-    if (value === 'dua' || value === 'guided_event') {
+    if (value === 'dua' || value === 'guided_event' || value === 'programme') {
       return value;
     }
     return 'quran';
@@ -132,6 +735,10 @@ function createSessionManager({ metadata, quranDataset, duasById, eventsById })
 
   function clampState(candidateState) {
     const sessionType = clampSessionType(candidateState?.sessionType);
+    if (sessionType === 'programme') {
+      return clampProgrammeState(candidateState);
+    }
+
     const selectedDuaId = sessionType === 'dua' ? getDefaultDuaId() : null;
     const selectedEventId = sessionType === 'guided_event' ? getDefaultEventId() : null;
 
@@ -145,6 +752,9 @@ function createSessionManager({ metadata, quranDataset, duasById, eventsById })
           .trim()
           .toLowerCase()
       : null;
+    const quranRange = sessionType === 'quran' ? clampStoredQuranRange(candidateState?.quranRange) : null;
+    const quranGroup = clampQuranGroup(candidateState?.quranGroup);
+    const quranLanguages = clampQuranLanguages(candidateState?.quranLanguages);
 
     return {
       sessionType,
@@ -156,15 +766,17 @@ function createSessionManager({ metadata, quranDataset, duasById, eventsById })
             ? requestedEventId
             : selectedEventId
           : null,
-      quran: clampQuranState(
-        candidateState?.quran?.surahNumber,
-        candidateState?.quran?.ayahNumber
-      ),
+      quranRange,
+      quranGroup,
+      quranLanguages,
+      quran: clampQuranPosition(candidateState?.quran, quranRange, quranGroup, quranLanguages),
       dua: clampDuaState(candidateState?.dua, requestedDuaId || selectedDuaId),
       guidedEvent: clampGuidedEventState(
         candidateState?.guidedEvent,
         requestedEventId || selectedEventId
-      )
+      ),
+      selectedProgrammeId: null,
+      programme: { segmentIndex: 0 }
     };
   }
 
@@ -174,13 +786,18 @@ function createSessionManager({ metadata, quranDataset, duasById, eventsById })
       blanked: false,
       selectedDuaId: options.selectedDuaId || null,
       selectedEventId: options.selectedEventId || null,
+      selectedProgrammeId: options.selectedProgrammeId || null,
+      quranRange: options.quranRange || null,
+      quranGroup: options.quranGroup,
+      quranLanguages: options.quranLanguages,
       quran: { surahNumber: 1, ayahNumber: 1 },
       dua: { lineIndex: 1 },
-      guidedEvent: { sectionIndex: 0, slideIndex: 0 }
+      guidedEvent: { sectionIndex: 0, slideIndex: 0 },
+      programme: { segmentIndex: 0 }
     });
   }
 
-  function getAyahPayload(surahNumber, ayahNumber) {
+  function getAyahPayload(surahNumber, ayahNumber, quranLanguages) {
     const meta =
       surahMetaByNumber.get(surahNumber) || {
         number: surahNumber,
@@ -193,6 +810,11 @@ function createSessionManager({ metadata, quranDataset, duasById, eventsById })
     const ayah = ayahMap?.get(ayahNumber);
 
     if (ayah) {
+      const translations = quranLanguages.translations.map((code) => ({
+        ...getLanguage('translations', code),
+        text: ayah.translations[code] || ''
+      }));
+
       return {
         surahNumber,
         ayahNumber,
@@ -200,8 +822,11 @@ function createSessionManager({ metadata, quranDataset, duasById, eventsById })
         surahNameArabic: meta.nameArabic,
         ayahCount: meta.ayahCount,
         arabic: ayah.arabic,
-        english: ayah.translation,
-        transliteration: ayah.transliteration,
+        english: translations[0]?.text || '',
+        transliteration: quranLanguages.transliteration
+          ? ayah.transliterations[quranLanguages.transliteration] || ''
+          : '',
+        translations,
         missing: false
       };
     }
@@ -215,28 +840,87 @@ function createSessionManager({ metadata, quranDataset, duasById, eventsById })
       arabic: '—',
       english: `No bundled text for Surah ${surahNumber}, Ayah ${ayahNumber}.`,
       transliteration: 'Add a full dataset file at data/quran.full.json or set QURAN_DATA_FILE.',
+      translations: [],
       missing: true
     };
   }
 
+  function toArabicDigits(value) {
+    return String(value).replace(/\d/g, (digit) => '٠١٢٣٤٥٦٧٨٩'[digit]);
+  }
+
+  // Several ayahs on one screen are joined with their numbers so the reader can
+  // still follow where each one ends.
+  function joinGroupedAyahs(ayahs) {
+    const present = ayahs.filter((entry) => !entry.missing);
+    const translations = (present[0]?.translations || []).map((language, index) => ({
+      ...language,
+      text: present
+        .filter((entry) => entry.translations[index].text)
+        .map((entry) => `${entry.translations[index].text} (${entry.ayahNumber})`)
+        .join(' ')
+    }));
+
+    return {
+      arabic: ayahs.map((entry) => `${entry.missing ? '—' : entry.arabic} ﴿${toArabicDigits(entry.ayahNumber)}﴾`).join(' '),
+      transliteration: present
+        .filter((entry) => entry.transliteration)
+        .map((entry) => `${entry.transliteration} (${entry.ayahNumber})`)
+        .join(' '),
+      english: translations[0]?.text || '',
+      translations
+    };
+  }
+
   function getQuranContentPayload(state) {
-    const ayah = getAyahPayload(state.quran.surahNumber, state.quran.ayahNumber);
+    const group = getAyahGroup(state.quran, state.quranGroup, state.quranRange, state.quranLanguages);
+    const ayahs = [];
+    for (let ayahNumber = group.start.ayahNumber; ayahNumber <= group.end.ayahNumber; ayahNumber += 1) {
+      ayahs.push(getAyahPayload(group.start.surahNumber, ayahNumber, state.quranLanguages));
+    }
+
+    const ayah = ayahs[0];
+    const grouped = ayahs.length > 1;
+    const text = grouped ? joinGroupedAyahs(ayahs) : ayah;
+    const range = state.quranRange ? getQuranRangeProgress(group.start, state.quranRange, group.end) : null;
+    const divisions = getQuranDivisions(state.quran);
+    const ayahLabel = grouped
+      ? `Ayahs ${ayah.surahNumber}:${group.start.ayahNumber}–${group.end.ayahNumber}`
+      : `Ayah ${ayah.ayahNumber}`;
+    const position = [
+      range
+        ? `${range.position === range.positionEnd ? range.position : `${range.position}–${range.positionEnd}`} of ${range.total}`
+        : '',
+      divisions.juz ? `Juz ${divisions.juz}` : '',
+      divisions.page ? `Page ${divisions.page}` : ''
+    ]
+      .filter(Boolean)
+      .map((part) => ` · ${part}`)
+      .join('');
+    const missing = ayahs.some((entry) => entry.missing);
 
     return {
       mode: 'quran',
       modeLabel: 'Quran Mode',
-      header: `${ayah.surahNameEnglish} (${ayah.surahNumber}) · Ayah ${ayah.ayahNumber}`,
+      header: `${ayah.surahNameEnglish} (${ayah.surahNumber}) · ${ayahLabel}${position}`,
       displayTitle: `${ayah.surahNameEnglish} (${ayah.surahNumber})`,
-      lineLabel: `Ayah ${ayah.ayahNumber}`,
+      lineLabel: `${ayahLabel}${position}`,
       title: '',
       instruction: '',
       repeat: '',
       reference: '',
-      arabic: ayah.arabic,
-      transliteration: ayah.transliteration,
-      english: ayah.english,
-      note: ayah.missing ? 'Offline dataset is missing this ayah.' : '',
-      quran: ayah
+      arabic: text.arabic,
+      transliteration: text.transliteration,
+      english: text.english,
+      translations: text.translations,
+      note: missing ? `Offline dataset is missing ${grouped ? 'some of these ayahs' : 'this ayah'}.` : '',
+      quran: {
+        ...ayah,
+        lastAyahNumber: group.end.ayahNumber,
+        languages: state.quranLanguages,
+        range,
+        divisions
+      }
     };
   }
 
@@ -268,13 +952,15 @@ function createSessionManager({ metadata, quranDataset, duasById, eventsById })
 
     const lineIndex = clampDuaState(state.dua, dua.id).lineIndex;
     const line = dua.lines[lineIndex - 1] || { arabic: '—', transliteration: '', english: '' };
+    const section = findDuaSection(dua, lineIndex);
+    const lineLabel = section ? `${section.title} · Line ${lineIndex}` : `Line ${lineIndex}`;
 
     return {
       mode: 'dua',
       modeLabel: 'Dua Mode',
-      header: `${dua.title} · Line ${lineIndex}`,
+      header: `${dua.title} · ${lineLabel}`,
       displayTitle: dua.title,
-      lineLabel: `Line ${lineIndex}`,
+      lineLabel,
       title: '',
       instruction: '',
       repeat: '',
@@ -287,7 +973,8 @@ function createSessionManager({ metadata, quranDataset, duasById, eventsById })
         duaId: dua.id,
         title: dua.title,
         lineIndex,
-        totalLines: dua.lines.length
+        totalLines: dua.lines.length,
+        sectionIndex: section ? section.index : null
       }
     };
   }
@@ -304,6 +991,7 @@ function createSessionManager({ metadata, quranDataset, duasById, eventsById })
         title: 'Event unavailable',
         instruction: 'Add a valid JSON file in data/events.',
         repeat: '',
+        repeatCounter: null,
         reference: '',
         arabic: '',
         transliteration: '',
@@ -335,6 +1023,7 @@ function createSessionManager({ metadata, quranDataset, duasById, eventsById })
       title: slide.title || section.title,
       instruction: slide.instruction || '',
       repeat: slide.repeat || '',
+      repeatCounter: slide.repeatCount ? { count: guidedEvent.count, target: slide.repeatCount } : null,
       reference: slide.reference || '',
       arabic: slide.arabic || '',
       transliteration: slide.transliteration || '',
@@ -358,10 +1047,33 @@ function createSessionManager({ metadata, quranDataset, duasById, eventsById })
     };
   }
 
+  function getProgrammeContentPayload(state) {
+    const programme = getProgramme(state.selectedProgrammeId);
+    const { segments, segment } = getCurrentSegment(state);
+    const payload = getCurrentContentPayload(toSegmentState(state));
+
+    return {
+      ...payload,
+      modeLabel: 'Programme Mode',
+      header: `${programme.title} · ${payload.header}`,
+      programme: {
+        id: programme.id,
+        title: programme.title,
+        segmentIndex: state.programme.segmentIndex,
+        totalSegments: segments.length,
+        segmentTitle: segment.title
+      }
+    };
+  }
+
   function getCurrentContentPayload(state) {
     const currentState = clampState(state);
     let payload;
 
+    if (currentState.sessionType === 'programme') {
+      return getProgrammeContentPayload(currentState);
+    }
+
     if (currentState.sessionType === 'dua') {
       payload = getDuaContentPayload(currentState);
     } else if (currentState.sessionType === 'guided_event') {
@@ -376,17 +1088,30 @@ function createSessionManager({ metadata, quranDataset, duasById, eventsById })
     };
   }
 
-  function describeQuranTarget(quranState) {
+  function describeQuranTarget(quranState, groupEnd = quranState) {
     const meta = surahMetaByNumber.get(quranState.surahNumber);
     const surahName = meta?.nameEnglish || `Surah ${quranState.surahNumber}`;
-    return `Surah ${quranState.surahNumber} ${surahName} · Ayah ${quranState.ayahNumber}`;
+    const ayahs = groupEnd.ayahNumber === quranState.ayahNumber
+      ? `Ayah ${quranState.ayahNumber}`
+      : `Ayahs ${quranState.ayahNumber}–${groupEnd.ayahNumber}`;
+    return `Surah ${quranState.surahNumber} ${surahName} · ${ayahs}`;
   }
 
   function describeSelectedContent(state) {
+    if (state.sessionType === 'programme') {
+      const programme = getProgramme(state.selectedProgrammeId);
+      const { segment } = getCurrentSegment(state);
+      const position = describeSelectedContent(toSegmentState(state));
+      return position.startsWith(segment?.title || 'Segment')
+        ? `${programme?.title || 'Programme'} · ${position}`
+        : `${programme?.title || 'Programme'} · ${segment?.title || 'Segment'} · ${position}`;
+    }
+
     if (state.sessionType === 'dua') {
       const dua = duasById.get(state.selectedDuaId || '');
       const title = dua?.title || 'Dua';
-      return `${title} · Line ${state.dua.lineIndex}`;
+      const section = dua ? findDuaSection(dua, state.dua.lineIndex) : null;
+      return `${title} · ${section ? `${section.title} · ` : ''}Line ${state.dua.lineIndex}`;
     }
 
     if (state.sessionType === 'guided_event') {
@@ -395,16 +1120,32 @@ function createSessionManager({ metadata, quranDataset, duasById, eventsById })
       return `${event?.title || 'Guided Event'} · ${section?.title || 'Section'} · Slide ${state.guidedEvent.slideIndex + 1}`;
     }
 
-    return describeQuranTarget(state.quran);
+    const group = getAyahGroup(state.quran, state.quranGroup, state.quranRange, state.quranLanguages);
+    if (state.quranRange) {
+      const range = getQuranRangeProgress(state.quran, state.quranRange);
+      return `${describeQuranTarget(state.quran, group.end)} (${range.position} of ${range.total} in ${range.title})`;
+    }
+
+    return describeQuranTarget(state.quran, group.end);
   }
 
   function summarizeSession(state) {
     return `${getModeLabel(state.sessionType)} — ${describeSelectedContent(state)}`;
   }
 
+  function rangesEqual(a, b) {
+    if (!a || !b) {
+      return a === b;
+    }
+    return compareAyahs(a.start, b.start) === 0 && compareAyahs(a.end, b.end) === 0;
+  }
+
   function statesEqual(a, b) {
     return (
       a.sessionType === b.sessionType &&
+      rangesEqual(a.quranRange, b.quranRange) &&
+      a.quranGroup === b.quranGroup &&
+      languagesEqual(a.quranLanguages, b.quranLanguages) &&
       a.blanked === b.blanked &&
       a.selectedDuaId === b.selectedDuaId &&
       a.selectedEventId === b.selectedEventId &&
@@ -412,7 +1153,10 @@ function createSessionManager({ metadata, quranDataset, duasById, eventsById })
       a.quran.ayahNumber === b.quran.ayahNumber &&
       a.dua.lineIndex === b.dua.lineIndex &&
       a.guidedEvent.sectionIndex === b.guidedEvent.sectionIndex &&
-      a.guidedEvent.slideIndex === b.guidedEvent.slideIndex
+      a.guidedEvent.slideIndex === b.guidedEvent.slideIndex &&
+      a.guidedEvent.count === b.guidedEvent.count &&
+      a.selectedProgrammeId === b.selectedProgrammeId &&
+      a.programme.segmentIndex === b.programme.segmentIndex
     );
   }
 
@@ -479,12 +1223,175 @@ function createSessionManager({ metadata, quranDataset, duasById, eventsById })
       }
     }
 
+    // At the first or last slide nothing moves, and the repeat count stays.
+    if (sectionIndex === state.guidedEvent.sectionIndex && slideIndex === state.guidedEvent.slideIndex) {
+      return state.guidedEvent;
+    }
+
     return clampGuidedEventState({ sectionIndex, slideIndex }, event.id);
   }
 
+  // Returns the next position inside the segment, or null at its first or
+  // last item so the caller can move on to the neighbouring segment.
+  function stepWithinSegment(state, segment, direction) {
+    const segmentState = toSegmentState(state);
+
+    if (segment.type === 'quran') {
+      const group = getAyahGroup(state.quran, state.quranGroup, segment.range, state.quranLanguages);
+      const edge = direction === 'prev' ? group.start : group.end;
+      const nextQuran = stepQuran(edge, direction);
+      const outside =
+        compareAyahs(nextQuran, edge) === 0 ||
+        compareAyahs(nextQuran, segment.range.start) < 0 ||
+        compareAyahs(nextQuran, segment.range.end) > 0;
+      return outside ? null : { quran: nextQuran };
+    }
+
+    if (segment.type === 'dua') {
+      const nextDua = stepDua(segmentState, direction);
+      return nextDua.lineIndex === state.dua.lineIndex ? null : { dua: nextDua };
+    }
+
+    const nextGuidedEvent = stepGuidedEvent(segmentState, direction);
+    const unchanged =
+      nextGuidedEvent.sectionIndex === state.guidedEvent.sectionIndex &&
+      nextGuidedEvent.slideIndex === state.guidedEvent.slideIndex;
+    const leftSection = segment.sectionIndex !== null && nextGuidedEvent.sectionIndex !== segment.sectionIndex;
+    return unchanged || leftSection ? null : { guidedEvent: nextGuidedEvent };
+  }
+
+  function transitionProgramme(currentState, action) {
+    const { segments, segment } = getCurrentSegment(currentState);
+    const segmentIndex = currentState.programme.segmentIndex;
+
+    if (action.type === 'jump_segment') {
+      const targetIndex = Math.max(0, Math.min(segments.length - 1, Number(action.segmentIndex) || 0));
+      const nextState = clampState({
+        ...currentState,
+        blanked: false,
+        programme: { segmentIndex: targetIndex },
+        ...getSegmentEdge(segments[targetIndex], 'first')
+      });
+
+      return {
+        state: nextState,
+        changed: !statesEqual(currentState, nextState),
+        activity: {
+          action: 'SEGMENT',
+          detail: `Segment ${targetIndex + 1} "${segments[targetIndex].title}"`
+        }
+      };
+    }
+
+    if (action.type === 'jump_to') {
+      const targetIndex = Math.max(0, Math.min(segments.length - 1, Number(action.segmentIndex ?? segmentIndex) || 0));
+      if (!action.position[POSITION_KEYS[segments[targetIndex].type]]) {
+        return {
+          state: currentState,
+          changed: false,
+          activity: null
+        };
+      }
+
+      const nextState = clampState({
+        ...currentState,
+        blanked: false,
+        programme: { segmentIndex: targetIndex },
+        ...action.position
+      });
+
+      return {
+        state: nextState,
+        changed: !statesEqual(currentState, nextState),
+        activity: {
+          action: 'JUMP',
+          detail: `Search → ${describeSelectedContent(nextState)}`
+        }
+      };
+    }
+
+    if (action.type === 'step') {
+      const withinSegment = stepWithinSegment(currentState, segment, action.direction);
+      const targetIndex = segmentIndex + (action.direction === 'prev' ? -1 : 1);
+      let nextState = currentState;
+
+      if (withinSegment) {
+        nextState = clampState({ ...currentState, blanked: false, ...withinSegment });
+      } else if (targetIndex >= 0 && targetIndex < segments.length) {
+        nextState = clampState({
+          ...currentState,
+          blanked: false,
+          programme: { segmentIndex: targetIndex },
+          ...getSegmentEdge(segments[targetIndex], action.direction === 'prev' ? 'last' : 'first')
+        });
+      }
+
+      return {
+        state: nextState,
+        changed: !statesEqual(currentState, nextState),
+        activity: {
+          action: action.direction === 'prev' ? 'PREVIOUS' : 'NEXT',
+          detail: describeSelectedContent(nextState)
+        }
+      };
+    }
+
+    if (action.type === 'count_repeat' && segment.type === 'guided_event') {
+      return countRepeat(currentState, segment.eventId, () =>
+        transitionProgramme(currentState, { type: 'step', direction: 'next' })
+      );
+    }
+
+    const result = transition(toSegmentState(currentState), action);
+    const nextState = clampState({
+      ...currentState,
+      blanked: false,
+      quran: result.state.quran,
+      dua: result.state.dua,
+      guidedEvent: result.state.guidedEvent
+    });
+
+    return {
+      state: nextState,
+      changed: !statesEqual(currentState, nextState),
+      activity: result.activity
+    };
+  }
+
   function transition(state, action) {
     const currentState = clampState(state);
 
+    if (currentState.sessionType === 'programme') {
+      return transitionProgramme(currentState, action);
+    }
+
+    // Search results carry a position in the locked content; clamping keeps a
+    // stale or hand-made target inside the session.
+    if (action.type === 'jump_to') {
+      if (!action.position[POSITION_KEYS[currentState.sessionType]]) {
+        return {
+          state: currentState,
+          changed: false,
+          activity: null
+        };
+      }
+
+      const nextState = clampState({
+        ...currentState,
+        blanked: false,
+        ...action.position
+      });
+
+      return {
+        state: nextState,
+        changed: !statesEqual(currentState, nextState),
+        activity: {
+          action: 'JUMP',
+          detail: `Search → ${describeSelectedContent(nextState)}`
+        }
+      };
+    }
+
     if (currentState.sessionType === 'quran') {
       if (action.type === 'select_surah') {
         const nextQuran = clampQuranState(action.surahNumber, 1);
@@ -499,7 +1406,7 @@ function createSessionManager({ metadata, quranDataset, duasById, eventsById })
           changed: !statesEqual(currentState, nextState),
           activity: {
             action: 'SURAH CHANGE',
-            detail: `Surah ${nextQuran.surahNumber} ${surahMetaByNumber.get(nextQuran.surahNumber)?.nameEnglish || ''}`.trim()
+            detail: `Surah ${nextState.quran.surahNumber} ${surahMetaByNumber.get(nextState.quran.surahNumber)?.nameEnglish || ''}`.trim()
           }
         };
       }
@@ -517,13 +1424,41 @@ function createSessionManager({ metadata, quranDataset, duasById, eventsById })
           changed: !statesEqual(currentState, nextState),
           activity: {
             action: 'JUMP',
-            detail: `Surah ${nextQuran.surahNumber} → Ayah ${nextQuran.ayahNumber}`
+            detail: `Surah ${nextState.quran.surahNumber} → Ayah ${nextState.quran.ayahNumber}`
           }
         };
       }
 
+      const quranJump = QURAN_JUMP_ACTIONS[action.type];
+      if (quranJump) {
+        const entries = metadata.divisions?.[quranJump.kind] || [];
+        const division = entries[Math.max(0, Math.min(entries.length - 1, (Number(action[quranJump.field]) || 1) - 1))];
+        if (division) {
+          const nextState = clampState({
+            ...currentState,
+            blanked: false,
+            quran: { ...division.start }
+          });
+
+          return {
+            state: nextState,
+            changed: !statesEqual(currentState, nextState),
+            activity: {
+              action: 'JUMP',
+              detail: `${quranJump.label} ${division.number} → Surah ${nextState.quran.surahNumber} Ayah ${nextState.quran.ayahNumber}`
+            }
+          };
+        }
+      }
+
       if (action.type === 'step') {
-        const nextQuran = stepQuran(currentState.quran, action.direction);
+        const nextQuran = stepQuranGroup(
+          currentState.quran,
+          action.direction,
+          currentState.quranGroup,
+          currentState.quranRange,
+          currentState.quranLanguages
+        );
         const nextState = clampState({
           ...currentState,
           blanked: false,
@@ -535,13 +1470,34 @@ function createSessionManager({ metadata, quranDataset, duasById, eventsById })
           changed: !statesEqual(currentState, nextState),
           activity: {
             action: action.direction === 'prev' ? 'PREVIOUS' : 'NEXT',
-            detail: `Surah ${nextQuran.surahNumber} → Ayah ${nextQuran.ayahNumber}`
+            detail: `Surah ${nextState.quran.surahNumber} → Ayah ${nextState.quran.ayahNumber}`
           }
         };
       }
     }
 
     if (currentState.sessionType === 'dua') {
+      if (action.type === 'jump_dua_section') {
+        const dua = duasById.get(currentState.selectedDuaId || '');
+        const section = dua?.sections[Math.max(0, Math.min(dua.sections.length - 1, Number(action.sectionIndex) || 0))];
+        if (section) {
+          const nextState = clampState({
+            ...currentState,
+            blanked: false,
+            dua: { lineIndex: section.startLine }
+          });
+
+          return {
+            state: nextState,
+            changed: !statesEqual(currentState, nextState),
+            activity: {
+              action: 'JUMP',
+              detail: `${dua.title} → ${section.title} (Line ${section.startLine})`
+            }
+          };
+        }
+      }
+
       if (action.type === 'jump_line') {
         const nextDua = clampDuaState({ lineIndex: action.lineIndex }, currentState.selectedDuaId);
         const nextState = clampState({
@@ -583,6 +1539,29 @@ function createSessionManager({ metadata, quranDataset, duasById, eventsById })
 
     if (currentState.sessionType === 'guided_event') {
       const event = eventsById.get(currentState.selectedEventId || '');
+      if (action.type === 'count_repeat') {
+        return countRepeat(currentState, currentState.selectedEventId, () =>
+          transition(currentState, { type: 'step', direction: 'next' })
+        );
+      }
+
+      if (action.type === 'reset_repeat' && currentState.guidedEvent.count > 0) {
+        const nextState = clampState({
+          ...currentState,
+          blanked: false,
+          guidedEvent: { ...currentState.guidedEvent, count: 0 }
+        });
+
+        return {
+          state: nextState,
+          changed: true,
+          activity: {
+            action: 'COUNT',
+            detail: `Reset on ${describeSelectedContent(nextState)}`
+          }
+        };
+      }
+
       if (action.type === 'jump_section') {
         const nextGuidedEvent = clampGuidedEventState(
           {
@@ -635,26 +1614,70 @@ function createSessionManager({ metadata, quranDataset, duasById, eventsById })
     };
   }
 
+  // What one more "next" would put on screen, so the presenter can see it
+  // coming. Null on the last line or slide. Blanking is ignored: stepping
+  // restores the display anyway.
+  function getNextContentPayload(state) {
+    const currentState = clampState({ ...state, blanked: false });
+    const result = transition(currentState, { type: 'step', direction: 'next' });
+    return result.changed ? getCurrentContentPayload(result.state) : null;
+  }
+
   function getPublicSessionData(state) {
+    if (state.sessionType === 'programme') {
+      const programme = getProgramme(state.selectedProgrammeId);
+      const { segments } = getCurrentSegment(state);
+
+      return {
+        ...getPublicSessionData(toSegmentState(state)),
+        sessionType: 'programme',
+        modeLabel: getModeLabel('programme'),
+        selectedProgrammeId: state.selectedProgrammeId,
+        programme: state.programme,
+        lockedProgramme: {
+          id: programme.id,
+          title: programme.title,
+          segments: segments.map((segment, index) => ({
+            index,
+            type: segment.type,
+            title: segment.title,
+            totalItems: countSegmentItems(segment)
+          }))
+        },
+        selectedContent: describeSelectedContent(state)
+      };
+    }
+
     const payload = {
       sessionType: state.sessionType,
+      activeSessionType: state.sessionType,
       modeLabel: getModeLabel(state.sessionType),
       blanked: state.blanked,
       selectedDuaId: state.selectedDuaId,
       selectedEventId: state.selectedEventId,
       quran: state.quran,
+      quranGroup: state.quranGroup,
+      quranLanguages: state.quranLanguages,
       dua: state.dua,
       guidedEvent: state.guidedEvent,
       selectedContent: describeSelectedContent(state)
     };
 
+    if (state.quranRange) {
+      payload.quranRange = {
+        ...state.quranRange,
+        ...getQuranRangeProgress(state.quran, state.quranRange)
+      };
+    }
+
     if (state.sessionType === 'dua') {
       const dua = duasById.get(state.selectedDuaId || '');
       payload.lockedDua = dua
         ? {
             id: dua.id,
             title: dua.title,
-            totalLines: dua.lines.length
+            totalLines: dua.lines.length,
+            sections: dua.sections
           }
         : null;
     }
@@ -678,27 +1701,56 @@ function createSessionManager({ metadata, quranDataset, duasById, eventsById })
     return payload;
   }
 
+  // Screen layout choices outlive a single session, so new sessions copy them.
+  function getDisplayOptions(state) {
+    return {
+      quranGroup: state.quranGroup,
+      quranLanguages: state.quranLanguages
+    };
+  }
+
   function restartSession(state) {
     const currentState = clampState(state);
+    const displayOptions = getDisplayOptions(currentState);
+
+    if (currentState.sessionType === 'programme') {
+      return createNewSession('programme', {
+        selectedProgrammeId: currentState.selectedProgrammeId,
+        ...displayOptions
+      });
+    }
 
     if (currentState.sessionType === 'dua') {
       return createNewSession('dua', {
-        selectedDuaId: currentState.selectedDuaId || getDefaultDuaId()
+        selectedDuaId: currentState.selectedDuaId || getDefaultDuaId(),
+        ...displayOptions
       });
     }
 
     if (currentState.sessionType === 'guided_event') {
       return createNewSession('guided_event', {
-        selectedEventId: currentState.selectedEventId || getDefaultEventId()
+        selectedEventId: currentState.selectedEventId || getDefaultEventId(),
+        ...displayOptions
       });
     }
 
-    return createNewSession('quran');
+    return createNewSession('quran', {
+      quranRange: currentState.quranRange,
+      ...displayOptions
+    });
   }
 
   function resetToFirstPosition(state) {
     const currentState = clampState(state);
 
+    if (currentState.sessionType === 'programme') {
+      return clampState({
+        ...currentState,
+        blanked: false,
+        ...getSegmentEdge(getCurrentSegment(currentState).segment, 'first')
+      });
+    }
+
     if (currentState.sessionType === 'dua') {
       return clampState({
         ...currentState,
@@ -740,16 +1792,30 @@ function createSessionManager({ metadata, quranDataset, duasById, eventsById })
   return {
     clampState,
     createNewSession,
+    describeQuranRange,
     describeSelectedContent,
+    explainQuranRange,
+    getContent,
     getCurrentContentPayload,
     getDefaultDuaId,
+    getActiveSessionType,
     getDefaultEventId,
+    getDefaultProgrammeId,
+    getDisplayOptions,
+    getDua,
+    getEvent,
     getModeLabel,
+    getNextContentPayload,
+    getProgramme,
     getPublicSessionData,
+    getQuranDataset,
+    getSearchScopes,
     listDuas,
     listEvents,
+    listProgrammes,
     metadata,
-    quranDataset,
+    parseQuranRange,
+    replaceContent,
     resetToFirstPosition,
     restartSession,
     setBlanked,
@@ -759,5 +1825,6 @@ function createSessionManager({ metadata, quranDataset, duasById, eventsById })
 }
 
 module.exports = {
+  QURAN_JUMP_ACTIONS,
   createSessionManager
 };
@@ -0,0 +1,928 @@
+const fs = require('fs');
+const path = require('path');
+
+const {
+  DISPLAY_BAND_HEIGHT,
+  DISPLAY_BAND_POSITIONS,
+  DISPLAY_FIELDS,
+  DISPLAY_FONT_SCALE,
+  DISPLAY_PROFILE_ID_PATTERN,
+  PRESENTER_ONLY_FIELDS,
+  THEME_COLORS,
+  THEME_FIELDS,
+  THEME_FIELD_LIMITS,
+  THEME_FONTS,
+  getAudioFileStem,
+  parseAyahReference
+} = require('./loaders');
+
+const DUA_FIELDS = ['id', 'title', 'lines'];
+const DUA_LINE_FIELDS = ['section', 'arabic', 'transliteration', 'english'];
+const EVENT_FIELDS = ['id', 'title', 'theme', 'sections', '_todo'];
+const SECTION_FIELDS = ['id', 'title', 'slides'];
+const SLIDE_FIELDS = ['title', 'instruction', 'repeat', 'reference', 'arabic', 'transliteration', 'english', 'note'];
+const SLIDE_NUMBER_FIELDS = ['repeatCount'];
+const AYAH_FIELDS = ['number', 'arabic', 'translation', 'transliteration', 'translations', 'transliterations'];
+const PROGRAMME_FIELDS = ['id', 'title', 'segments'];
+const SEGMENT_FIELDS = {
+  quran: ['type', 'title', 'surah', 'from', 'to'],
+  dua: ['type', 'title', 'duaId'],
+  event: ['type', 'title', 'eventId', 'sectionId']
+};
+// Hafs counts, matching data/quran-divisions.json.
+const QURAN_DIVISION_COUNTS = { juz: 30, hizb: 60, ruku: 556, page: 604 };
+const AUDIO_FILE_PATTERN = /^(\d{3})\.(mp3|m4a|ogg|json)$/;
+const AUDIO_TIMING_FIELDS = ['number', 'start', 'end'];
+const THEME_FILE_FIELDS = ['id', 'name', 'colors', 'backgroundImage', 'fonts', 'fields'];
+const THEME_STYLE_FIELDS = ['size', 'weight', 'color'];
+const DISPLAY_PROFILE_FIELDS = ['name', 'hiddenFields', 'fontScale', 'theme', 'safeMargin', 'bandPosition', 'bandHeight'];
+
+function createReport(rootDir) {
+  const issues = [];
+
+  function add(level, filePath, jsonPath, message) {
+    issues.push({
+      level,
+      file: rootDir ? path.relative(rootDir, filePath) : filePath,
+      path: jsonPath,
+      message
+    });
+  }
+
+  return {
+    issues,
+    error: (filePath, jsonPath, message) => add('error', filePath, jsonPath, message),
+    warning: (filePath, jsonPath, message) => add('warning', filePath, jsonPath, message)
+  };
+}
+
+function isPlainObject(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+function readJsonForValidation(report, filePath) {
+  let raw;
+  try {
+    raw = fs.readFileSync(filePath, 'utf8');
+  } catch (error) {
+    report.error(filePath, '$', `Cannot read file: ${error.message}`);
+    return undefined;
+  }
+
+  try {
+    return JSON.parse(raw);
+  } catch (error) {
+    report.error(filePath, '$', `Invalid JSON: ${error.message}`);
+    return undefined;
+  }
+}
+
+function listJsonFiles(directory) {
+  if (!fs.existsSync(directory)) {
+    return [];
+  }
+
+  return fs
+    .readdirSync(directory)
+    .filter((fileName) => fileName.endsWith('.json'))
+    .sort()
+    .map((fileName) => path.join(directory, fileName));
+}
+
+function checkUnknownFields(report, filePath, jsonPath, value, allowedFields) {
+  for (const key of Object.keys(value)) {
+    if (!allowedFields.includes(key)) {
+      report.warning(filePath, `${jsonPath}.${key}`, `Unknown field "${key}" is ignored`);
+    }
+  }
+}
+
+function checkStringFields(report, filePath, jsonPath, value, fields) {
+  for (const field of fields) {
+    if (value[field] !== undefined && typeof value[field] !== 'string') {
+      const actualType = Array.isArray(value[field]) ? 'array' : typeof value[field];
+      report.error(filePath, `${jsonPath}.${field}`, `Expected a string, got ${actualType}`);
+    }
+  }
+}
+
+function checkIdAndTitle(report, filePath, data) {
+  if (data.id !== undefined && (typeof data.id !== 'string' || !data.id.trim())) {
+    report.error(filePath, '$.id', 'Id must be a non-empty string');
+  }
+
+  if (typeof data.title !== 'string' || !data.title.trim()) {
+    report.warning(filePath, '$.title', 'Missing title, the id is shown instead');
+  }
+}
+
+function resolveContentId(data, filePath) {
+  return String(data?.id || path.basename(filePath, '.json')).trim().toLowerCase();
+}
+
+function validateDua(report, filePath, data) {
+  if (!isPlainObject(data)) {
+    report.error(filePath, '$', 'A dua file must contain a JSON object');
+    return;
+  }
+
+  checkUnknownFields(report, filePath, '$', data, DUA_FIELDS);
+  checkIdAndTitle(report, filePath, data);
+
+  if (!Array.isArray(data.lines) || data.lines.length === 0) {
+    report.error(filePath, '$.lines', 'A dua needs a non-empty "lines" array, the file is skipped');
+    return;
+  }
+
+  data.lines.forEach((line, index) => {
+    const jsonPath = `$.lines[${index}]`;
+    if (!isPlainObject(line)) {
+      report.error(filePath, jsonPath, 'Each line must be an object');
+      return;
+    }
+
+    checkUnknownFields(report, filePath, jsonPath, line, DUA_LINE_FIELDS);
+    checkStringFields(report, filePath, jsonPath, line, DUA_LINE_FIELDS);
+
+    if (typeof line.arabic !== 'string' || !line.arabic.trim()) {
+      report.error(filePath, `${jsonPath}.arabic`, 'Empty Arabic text');
+    }
+  });
+}
+
+function validateSlide(report, filePath, jsonPath, slide) {
+  if (!isPlainObject(slide)) {
+    report.error(filePath, jsonPath, 'Each slide must be an object');
+    return;
+  }
+
+  checkUnknownFields(report, filePath, jsonPath, slide, [...SLIDE_FIELDS, ...SLIDE_NUMBER_FIELDS]);
+  checkStringFields(report, filePath, jsonPath, slide, SLIDE_FIELDS);
+
+  if (slide.repeatCount !== undefined && (!Number.isInteger(slide.repeatCount) || slide.repeatCount < 1)) {
+    report.error(filePath, `${jsonPath}.repeatCount`, 'Repeat count must be a positive whole number');
+  }
+
+  const hasText = SLIDE_FIELDS.some((field) => typeof slide[field] === 'string' && slide[field].trim());
+  if (!hasText) {
+    report.warning(filePath, jsonPath, 'Slide has no text and will show an empty screen');
+  }
+}
+
+function validateEvent(report, filePath, data) {
+  if (!isPlainObject(data)) {
+    report.error(filePath, '$', 'An event file must contain a JSON object');
+    return;
+  }
+
+  checkUnknownFields(report, filePath, '$', data, EVENT_FIELDS);
+  checkIdAndTitle(report, filePath, data);
+  checkStringFields(report, filePath, '$', data, ['theme']);
+
+  if (!Array.isArray(data.sections) || data.sections.length === 0) {
+    report.error(filePath, '$.sections', 'An event needs a non-empty "sections" array, the file is skipped');
+    return;
+  }
+
+  const sectionIds = new Map();
+
+  data.sections.forEach((section, sectionIndex) => {
+    const jsonPath = `$.sections[${sectionIndex}]`;
+    if (!isPlainObject(section)) {
+      report.error(filePath, jsonPath, 'Each section must be an object');
+      return;
+    }
+
+    checkUnknownFields(report, filePath, jsonPath, section, SECTION_FIELDS);
+    checkStringFields(report, filePath, jsonPath, section, ['id', 'title']);
+
+    const sectionId = String(section.id || `section-${sectionIndex + 1}`).trim().toLowerCase();
+    if (sectionIds.has(sectionId)) {
+      report.error(
+        filePath,
+        `${jsonPath}.id`,
+        `Duplicate section id "${sectionId}" (also used by $.sections[${sectionIds.get(sectionId)}])`
+      );
+    } else {
+      sectionIds.set(sectionId, sectionIndex);
+    }
+
+    if (!section.id) {
+      report.warning(filePath, `${jsonPath}.id`, `Missing section id, "${sectionId}" is used`);
+    }
+
+    if (!Array.isArray(section.slides) || section.slides.length === 0) {
+      report.error(filePath, `${jsonPath}.slides`, 'Section has no slides and is dropped');
+      return;
+    }
+
+    section.slides.forEach((slide, slideIndex) => {
+      validateSlide(report, filePath, `${jsonPath}.slides[${slideIndex}]`, slide);
+    });
+  });
+}
+
+function checkAyahReference(report, filePath, jsonPath, value, ayahCountBySurah) {
+  const reference = parseAyahReference(value);
+  if (!reference) {
+    report.error(filePath, jsonPath, `Expected "surah:ayah" such as "36:1", got ${JSON.stringify(value)}`);
+    return null;
+  }
+
+  const ayahCount = ayahCountBySurah.get(reference.surahNumber);
+  if (ayahCountBySurah.size > 0 && !ayahCount) {
+    report.error(filePath, jsonPath, `Surah ${reference.surahNumber} does not exist`);
+    return null;
+  }
+
+  if (ayahCount && reference.ayahNumber !== null && (reference.ayahNumber < 1 || reference.ayahNumber > ayahCount)) {
+    report.error(filePath, jsonPath, `Surah ${reference.surahNumber} has ${ayahCount} ayahs, ayah ${reference.ayahNumber} is out of range`);
+    return null;
+  }
+
+  return reference;
+}
+
+// catalog holds the dua ids and the section ids of each event so segments can
+// be checked against the files that will actually load.
+function validateProgramme(report, filePath, data, catalog) {
+  if (!isPlainObject(data)) {
+    report.error(filePath, '$', 'A programme file must contain a JSON object');
+    return;
+  }
+
+  checkUnknownFields(report, filePath, '$', data, PROGRAMME_FIELDS);
+  checkIdAndTitle(report, filePath, data);
+
+  if (!Array.isArray(data.segments) || data.segments.length === 0) {
+    report.error(filePath, '$.segments', 'A programme needs a non-empty "segments" array, the file is skipped');
+    return;
+  }
+
+  data.segments.forEach((segment, index) => {
+    const jsonPath = `$.segments[${index}]`;
+    if (!isPlainObject(segment)) {
+      report.error(filePath, jsonPath, 'Each segment must be an object');
+      return;
+    }
+
+    const type = String(segment.type || '').trim().toLowerCase();
+    if (!SEGMENT_FIELDS[type]) {
+      report.error(filePath, `${jsonPath}.type`, 'Segment type must be "quran", "dua" or "event", the segment is skipped');
+      return;
+    }
+
+    checkUnknownFields(report, filePath, jsonPath, segment, SEGMENT_FIELDS[type]);
+    checkStringFields(report, filePath, jsonPath, segment, ['title', 'duaId', 'eventId', 'sectionId']);
+
+    if (type === 'quran') {
+      if (segment.surah === undefined && segment.from === undefined) {
+        report.error(filePath, jsonPath, 'A Quran segment needs "surah" or "from", the segment is skipped');
+        return;
+      }
+
+      const from = ['surah', 'from']
+        .filter((field) => segment[field] !== undefined)
+        .map((field) => checkAyahReference(report, filePath, `${jsonPath}.${field}`, segment[field], catalog.ayahCountBySurah))
+        .pop();
+      const to = segment.to === undefined
+        ? null
+        : checkAyahReference(report, filePath, `${jsonPath}.to`, segment.to, catalog.ayahCountBySurah);
+
+      if (from && to) {
+        const fromAyah = from.ayahNumber ?? 1;
+        const toAyah = to.ayahNumber ?? Number.MAX_SAFE_INTEGER;
+        if (to.surahNumber < from.surahNumber || (to.surahNumber === from.surahNumber && toAyah < fromAyah)) {
+          report.error(filePath, `${jsonPath}.to`, 'The range ends before it starts');
+        }
+      }
+      return;
+    }
+
+    if (type === 'dua') {
+      const duaId = String(segment.duaId || '').trim().toLowerCase();
+      if (!catalog.duaIds.has(duaId)) {
+        report.error(filePath, `${jsonPath}.duaId`, `Unknown dua "${duaId}", the segment is skipped`);
+      }
+      return;
+    }
+
+    const eventId = String(segment.eventId || '').trim().toLowerCase();
+    const sectionIds = catalog.sectionIdsByEvent.get(eventId);
+    if (!sectionIds) {
+      report.error(filePath, `${jsonPath}.eventId`, `Unknown event "${eventId}", the segment is skipped`);
+      return;
+    }
+
+    const sectionId = String(segment.sectionId || '').trim().toLowerCase();
+    if (sectionId && !sectionIds.has(sectionId)) {
+      report.error(filePath, `${jsonPath}.sectionId`, `Event "${eventId}" has no section "${sectionId}", the segment is skipped`);
+    }
+  });
+}
+
+function validateQuranDivisions(report, filePath, data, ayahCountBySurah) {
+  if (!isPlainObject(data)) {
+    report.error(filePath, '$', 'Quran divisions must be a JSON object');
+    return;
+  }
+
+  for (const [kind, expectedCount] of Object.entries(QURAN_DIVISION_COUNTS)) {
+    const entries = data[kind];
+    if (!Array.isArray(entries)) {
+      report.error(filePath, `$.${kind}`, `Quran divisions need a "${kind}" array`);
+      continue;
+    }
+
+    if (entries.length !== expectedCount) {
+      report.error(filePath, `$.${kind}`, `Expected ${expectedCount} ${kind} entries, found ${entries.length}`);
+    }
+
+    entries.forEach((entry, index) => {
+      const jsonPath = `$.${kind}[${index}]`;
+      if (!isPlainObject(entry)) {
+        report.error(filePath, jsonPath, 'Each entry must be an object');
+        return;
+      }
+
+      if (Number(entry.number) !== index + 1) {
+        report.error(filePath, `${jsonPath}.number`, `Expected ${kind} ${index + 1}, found ${entry.number}`);
+      }
+
+      const from = checkAyahReference(report, filePath, `${jsonPath}.from`, entry.from, ayahCountBySurah);
+      const to = checkAyahReference(report, filePath, `${jsonPath}.to`, entry.to, ayahCountBySurah);
+      if (from && to && (from.ayahNumber === null || to.ayahNumber === null)) {
+        report.error(filePath, jsonPath, 'Boundaries need both surah and ayah');
+      } else if (from && to && (to.surahNumber - from.surahNumber || to.ayahNumber - from.ayahNumber) < 0) {
+        report.error(filePath, `${jsonPath}.to`, `The ${kind} ends before it starts`);
+      }
+    });
+  }
+}
+
+function validateSurahMetadata(report, filePath, data) {
+  if (!isPlainObject(data) || !Array.isArray(data.surahs)) {
+    report.error(filePath, '$.surahs', 'Surah metadata needs a "surahs" array');
+    return;
+  }
+
+  if (data.surahs.length !== 114) {
+    report.error(filePath, '$.surahs', `Expected 114 surahs, found ${data.surahs.length}`);
+  }
+
+  data.surahs.forEach((surah, index) => {
+    const jsonPath = `$.surahs[${index}]`;
+    if (!isPlainObject(surah)) {
+      report.error(filePath, jsonPath, 'Each surah must be an object');
+      return;
+    }
+
+    if (Number(surah.number) !== index + 1) {
+      report.error(filePath, `${jsonPath}.number`, `Expected surah number ${index + 1}, found ${surah.number}`);
+    }
+
+    if (!Number.isInteger(surah.ayahCount) || surah.ayahCount < 1) {
+      report.error(filePath, `${jsonPath}.ayahCount`, 'Ayah count must be a positive whole number');
+    }
+
+    if (typeof surah.nameEnglish !== 'string' || !surah.nameEnglish.trim()) {
+      report.warning(filePath, `${jsonPath}.nameEnglish`, 'Missing English name');
+    }
+
+    if (typeof surah.nameArabic !== 'string' || !surah.nameArabic.trim()) {
+      report.warning(filePath, `${jsonPath}.nameArabic`, 'Missing Arabic name');
+    }
+  });
+}
+
+function validateQuranDataset(report, filePath, data, surahMetadata) {
+  if (!isPlainObject(data) || !Array.isArray(data.surahs)) {
+    report.error(filePath, '$.surahs', 'The Quran dataset needs a "surahs" array');
+    return;
+  }
+
+  const isSeed = String(data.meta?.type || '').toLowerCase() === 'seed';
+  const ayahCountBySurah = new Map(
+    (surahMetadata?.surahs || []).map((surah) => [Number(surah.number), Number(surah.ayahCount)])
+  );
+  const seenSurahs = new Set();
+
+  data.surahs.forEach((surah, surahIndex) => {
+    const jsonPath = `$.surahs[${surahIndex}]`;
+    if (!isPlainObject(surah)) {
+      report.error(filePath, jsonPath, 'Each surah must be an object');
+      return;
+    }
+
+    const surahNumber = Number(surah.number);
+    if (!Number.isInteger(surahNumber) || surahNumber < 1 || surahNumber > 114) {
+      report.error(filePath, `${jsonPath}.number`, `Invalid surah number ${surah.number}`);
+      return;
+    }
+
+    if (seenSurahs.has(surahNumber)) {
+      report.error(filePath, `${jsonPath}.number`, `Duplicate surah ${surahNumber}`);
+    }
+    seenSurahs.add(surahNumber);
+
+    if (!Array.isArray(surah.ayahs)) {
+      report.error(filePath, `${jsonPath}.ayahs`, 'Missing "ayahs" array');
+      return;
+    }
+
+    const seenAyahs = new Set();
+    surah.ayahs.forEach((ayah, ayahIndex) => {
+      const ayahPath = `${jsonPath}.ayahs[${ayahIndex}]`;
+      if (!isPlainObject(ayah)) {
+        report.error(filePath, ayahPath, 'Each ayah must be an object');
+        return;
+      }
+
+      checkUnknownFields(report, filePath, ayahPath, ayah, AYAH_FIELDS);
+      checkStringFields(report, filePath, ayahPath, ayah, ['arabic', 'translation', 'transliteration']);
+      for (const field of ['translations', 'transliterations']) {
+        if (ayah[field] === undefined) {
+          continue;
+        }
+        if (!isPlainObject(ayah[field])) {
+          report.error(filePath, `${ayahPath}.${field}`, 'Expected an object keyed by language code, like { "en": "..." }');
+          continue;
+        }
+        checkStringFields(report, filePath, `${ayahPath}.${field}`, ayah[field], Object.keys(ayah[field]));
+      }
+
+      const ayahNumber = Number(ayah.number);
+      if (!Number.isInteger(ayahNumber) || ayahNumber < 1) {
+        report.error(filePath, `${ayahPath}.number`, `Invalid ayah number ${ayah.number}`);
+        return;
+      }
+
+      if (seenAyahs.has(ayahNumber)) {
+        report.error(filePath, `${ayahPath}.number`, `Duplicate ayah ${surahNumber}:${ayahNumber}`);
+      }
+      seenAyahs.add(ayahNumber);
+
+      if (typeof ayah.arabic !== 'string' || !ayah.arabic.trim()) {
+        report.error(filePath, `${ayahPath}.arabic`, `Empty Arabic text for ${surahNumber}:${ayahNumber}`);
+      }
+    });
+
+    const expectedCount = ayahCountBySurah.get(surahNumber);
+    if (!isSeed && expectedCount) {
+      const missing = [];
+      for (let ayahNumber = 1; ayahNumber <= expectedCount; ayahNumber += 1) {
+        if (!seenAyahs.has(ayahNumber)) {
+          missing.push(ayahNumber);
+        }
+      }
+
+      if (missing.length > 0) {
+        report.error(
+          filePath,
+          `${jsonPath}.ayahs`,
+          `Surah ${surahNumber} is missing ayahs ${summarizeNumbers(missing)}`
+        );
+      }
+
+      if (seenAyahs.size > expectedCount) {
+        report.error(
+          filePath,
+          `${jsonPath}.ayahs`,
+          `Surah ${surahNumber} has ${seenAyahs.size} ayahs, metadata says ${expectedCount}`
+        );
+      }
+    }
+  });
+
+  if (!isSeed && ayahCountBySurah.size > 0) {
+    const missingSurahs = [...ayahCountBySurah.keys()].filter((surahNumber) => !seenSurahs.has(surahNumber));
+    if (missingSurahs.length > 0) {
+      report.error(filePath, '$.surahs', `Missing surahs ${summarizeNumbers(missingSurahs)}`);
+    }
+  }
+}
+
+function validateAudioTimings(report, filePath, data, ayahCount) {
+  if (!isPlainObject(data) || !Array.isArray(data.ayahs) || data.ayahs.length === 0) {
+    report.error(filePath, '$.ayahs', 'Ayah timings need a non-empty "ayahs" array');
+    return;
+  }
+
+  let previous = null;
+  data.ayahs.forEach((entry, index) => {
+    const jsonPath = `$.ayahs[${index}]`;
+    if (!isPlainObject(entry)) {
+      report.error(filePath, jsonPath, 'Each timing must be an object');
+      return;
+    }
+
+    checkUnknownFields(report, filePath, jsonPath, entry, AUDIO_TIMING_FIELDS);
+    const number = Number(entry.number);
+    const start = Number(entry.start);
+    if (!Number.isInteger(number) || number < 1 || (ayahCount > 0 && number > ayahCount)) {
+      report.error(filePath, `${jsonPath}.number`, `Ayah number must be between 1 and ${ayahCount || 'the surah length'}`);
+      return;
+    }
+
+    if (!Number.isFinite(start) || start < 0) {
+      report.error(filePath, `${jsonPath}.start`, 'Start must be a number of seconds from the beginning of the file');
+      return;
+    }
+
+    if (entry.end !== undefined && !(Number(entry.end) > start)) {
+      report.error(filePath, `${jsonPath}.end`, 'End must be later than start');
+    }
+
+    if (previous && (number <= previous.number || start < previous.start)) {
+      report.error(filePath, jsonPath, `Timings must be in ayah order with increasing start times (after ayah ${previous.number})`);
+    }
+    previous = { number, start };
+  });
+}
+
+function validateAudioLibrary(report, audioDir, ayahCountBySurah) {
+  if (!audioDir || !fs.existsSync(audioDir)) {
+    return;
+  }
+
+  for (const entry of fs.readdirSync(audioDir, { withFileTypes: true })) {
+    if (!entry.isDirectory()) {
+      continue;
+    }
+
+    const reciterDir = path.join(audioDir, entry.name);
+    const fileNames = fs.readdirSync(reciterDir).sort();
+    const metaPath = path.join(reciterDir, 'reciter.json');
+    if (fileNames.includes('reciter.json')) {
+      const meta = readJsonForValidation(report, metaPath);
+      if (meta !== undefined && (!isPlainObject(meta) || typeof meta.name !== 'string' || !meta.name.trim())) {
+        report.warning(metaPath, '$.name', 'Reciter name should be a non-empty string; the folder name is shown instead');
+      }
+    }
+
+    for (const fileName of fileNames) {
+      const match = fileName.match(AUDIO_FILE_PATTERN);
+      if (!match) {
+        continue;
+      }
+
+      const surahNumber = Number(match[1]);
+      const filePath = path.join(reciterDir, fileName);
+      if (surahNumber < 1 || surahNumber > 114) {
+        report.warning(filePath, '$', 'File name is not a surah number from 001 to 114, the file is ignored');
+        continue;
+      }
+
+      const stem = getAudioFileStem(surahNumber);
+      if (match[2] !== 'json') {
+        if (!fileNames.includes(`${stem}.json`)) {
+          report.warning(filePath, '$', `No ${stem}.json ayah timings next to this file, the surah cannot be played`);
+        }
+        continue;
+      }
+
+      if (!fileNames.some((name) => name !== fileName && name.startsWith(`${stem}.`))) {
+        report.warning(filePath, '$', `No ${stem}.mp3, ${stem}.m4a or ${stem}.ogg next to these timings, the surah cannot be played`);
+      }
+
+      const data = readJsonForValidation(report, filePath);
+      if (data !== undefined) {
+        validateAudioTimings(report, filePath, data, ayahCountBySurah.get(surahNumber));
+      }
+    }
+  }
+}
+
+function checkThemeStrings(report, filePath, jsonPath, value, allowedKeys) {
+  if (value === undefined) {
+    return;
+  }
+
+  if (!isPlainObject(value)) {
+    report.error(filePath, jsonPath, 'Expected an object');
+    return;
+  }
+
+  checkUnknownFields(report, filePath, jsonPath, value, allowedKeys);
+  checkStringFields(report, filePath, jsonPath, value, allowedKeys);
+}
+
+function validateTheme(report, filePath, data) {
+  if (!isPlainObject(data)) {
+    report.error(filePath, '$', 'A theme must be a JSON object');
+    return;
+  }
+
+  checkUnknownFields(report, filePath, '$', data, THEME_FILE_FIELDS);
+  checkStringFields(report, filePath, '$', data, ['id', 'name', 'backgroundImage']);
+  checkThemeStrings(report, filePath, '$.colors', data.colors, THEME_COLORS);
+  checkThemeStrings(report, filePath, '$.fonts', data.fonts, THEME_FONTS);
+
+  if (data.fields === undefined) {
+    return;
+  }
+
+  if (!isPlainObject(data.fields)) {
+    report.error(filePath, '$.fields', 'Expected an object keyed by display field');
+    return;
+  }
+
+  checkUnknownFields(report, filePath, '$.fields', data.fields, THEME_FIELDS);
+  for (const [field, style] of Object.entries(data.fields)) {
+    const jsonPath = `$.fields.${field}`;
+    if (!isPlainObject(style)) {
+      report.error(filePath, jsonPath, 'Each field style must be an object');
+      continue;
+    }
+
+    checkUnknownFields(report, filePath, jsonPath, style, THEME_STYLE_FIELDS);
+    checkStringFields(report, filePath, jsonPath, style, ['color']);
+    for (const key of ['size', 'weight']) {
+      const limits = THEME_FIELD_LIMITS[key];
+      const value = Number(style[key]);
+      if (style[key] !== undefined && !(Number.isFinite(value) && value >= limits.min && value <= limits.max)) {
+        report.warning(filePath, `${jsonPath}.${key}`, `Expected a number from ${limits.min} to ${limits.max}, the value is clamped`);
+      }
+    }
+  }
+}
+
+function checkThemeReference(report, filePath, jsonPath, themeId, themeIds) {
+  const id = String(themeId || '').trim().toLowerCase();
+  if (id && !themeIds.has(id)) {
+    report.warning(filePath, jsonPath, `No theme "${id}" in data/themes, the default theme is used`);
+  }
+}
+
+function validatePresenterOnlyFields(report, filePath, fields) {
+  if (fields === undefined) {
+    return;
+  }
+
+  if (!Array.isArray(fields)) {
+    report.error(filePath, '$.presenterOnlyFields', 'Presenter-only fields must be an array');
+    return;
+  }
+
+  fields
+    .filter((field) => !PRESENTER_ONLY_FIELDS.includes(field))
+    .forEach((field) => {
+      report.warning(
+        filePath,
+        '$.presenterOnlyFields',
+        `Unknown field "${field}", expected one of ${PRESENTER_ONLY_FIELDS.join(', ')}`
+      );
+    });
+}
+
+function validateDisplayProfiles(report, filePath, displays, themeIds) {
+  if (displays === undefined) {
+    return;
+  }
+
+  if (!isPlainObject(displays)) {
+    report.error(filePath, '$.displays', 'Display profiles must be an object keyed by screen id');
+    return;
+  }
+
+  for (const [id, profile] of Object.entries(displays)) {
+    const jsonPath = `$.displays.${id}`;
+    if (!DISPLAY_PROFILE_ID_PATTERN.test(id)) {
+      report.error(filePath, jsonPath, 'Screen ids use lowercase letters, numbers and dashes, the profile is skipped');
+      continue;
+    }
+
+    if (!isPlainObject(profile)) {
+      report.error(filePath, jsonPath, 'Each display profile must be an object');
+      continue;
+    }
+
+    checkUnknownFields(report, filePath, jsonPath, profile, DISPLAY_PROFILE_FIELDS);
+    checkStringFields(report, filePath, jsonPath, profile, ['name', 'safeMargin']);
+
+    if (profile.hiddenFields !== undefined) {
+      if (!Array.isArray(profile.hiddenFields)) {
+        report.error(filePath, `${jsonPath}.hiddenFields`, 'Hidden fields must be an array');
+      } else {
+        profile.hiddenFields
+          .filter((field) => !DISPLAY_FIELDS.includes(field))
+          .forEach((field) => {
+            report.warning(filePath, `${jsonPath}.hiddenFields`, `Unknown field "${field}", expected one of ${DISPLAY_FIELDS.join(', ')}`);
+          });
+      }
+    }
+
+    checkStringFields(report, filePath, jsonPath, profile, ['theme']);
+    checkThemeReference(report, filePath, `${jsonPath}.theme`, profile.theme, themeIds);
+
+    const fontScale = Number(profile.fontScale);
+    if (
+      profile.fontScale !== undefined &&
+      !(Number.isFinite(fontScale) && fontScale >= DISPLAY_FONT_SCALE.min && fontScale <= DISPLAY_FONT_SCALE.max)
+    ) {
+      report.warning(
+        filePath,
+        `${jsonPath}.fontScale`,
+        `Font scale should be a number from ${DISPLAY_FONT_SCALE.min} to ${DISPLAY_FONT_SCALE.max}`
+      );
+    }
+
+    if (profile.bandPosition !== undefined && !DISPLAY_BAND_POSITIONS.includes(profile.bandPosition)) {
+      report.warning(filePath, `${jsonPath}.bandPosition`, 'Band position should be "bottom" or "top", the band sits at the bottom');
+    }
+
+    const bandHeight = Number(profile.bandHeight);
+    if (
+      profile.bandHeight !== undefined &&
+      !(Number.isFinite(bandHeight) && bandHeight >= DISPLAY_BAND_HEIGHT.min && bandHeight <= DISPLAY_BAND_HEIGHT.max)
+    ) {
+      report.warning(
+        filePath,
+        `${jsonPath}.bandHeight`,
+        `Band height should be a percentage of the screen from ${DISPLAY_BAND_HEIGHT.min} to ${DISPLAY_BAND_HEIGHT.max}`
+      );
+    }
+  }
+}
+
+function summarizeNumbers(numbers) {
+  const ranges = [];
+  let start = numbers[0];
+  let previous = numbers[0];
+
+  for (const value of numbers.slice(1).concat([null])) {
+    if (value === previous + 1) {
+      previous = value;
+      continue;
+    }
+
+    ranges.push(start === previous ? String(start) : `${start}-${previous}`);
+    start = value;
+    previous = value;
+  }
+
+  if (ranges.length > 8) {
+    return `${ranges.slice(0, 8).join(', ')} and ${ranges.length - 8} more ranges`;
+  }
+
+  return ranges.join(', ');
+}
+
+function checkDuplicateIds(report, files, label) {
+  const fileById = new Map();
+
+  for (const { filePath, data } of files) {
+    if (!isPlainObject(data)) {
+      continue;
+    }
+
+    const id = resolveContentId(data, filePath);
+    if (fileById.has(id)) {
+      const otherFile = path.basename(fileById.get(id));
+      report.error(filePath, '$.id', `Duplicate ${label} id "${id}" (also in ${otherFile}), only one is loaded`);
+    } else {
+      fileById.set(id, filePath);
+    }
+  }
+}
+
+function validateContent({ rootDir, dataDir, duaDir, eventsDir, programmesDir, quranDataPath, audioDir, themesDir }) {
+  const report = createReport(rootDir);
+
+  const themeFiles = listJsonFiles(themesDir || path.join(dataDir, 'themes')).map((filePath) => ({
+    filePath,
+    data: readJsonForValidation(report, filePath)
+  }));
+  for (const { filePath, data } of themeFiles) {
+    if (data !== undefined) {
+      validateTheme(report, filePath, data);
+    }
+  }
+  checkDuplicateIds(report, themeFiles, 'theme');
+  const themeIds = new Set(
+    themeFiles.filter(({ data }) => isPlainObject(data)).map(({ filePath, data }) => resolveContentId(data, filePath))
+  );
+
+  const metadataPath = path.join(dataDir, 'surah-metadata.json');
+  const surahMetadata = readJsonForValidation(report, metadataPath);
+  if (surahMetadata !== undefined) {
+    validateSurahMetadata(report, metadataPath, surahMetadata);
+  }
+
+  const ayahCountBySurah = new Map(
+    (Array.isArray(surahMetadata?.surahs) ? surahMetadata.surahs : []).map((surah) => [
+      Number(surah?.number),
+      Number(surah?.ayahCount)
+    ])
+  );
+
+  const configPath = path.join(dataDir, 'config.json');
+  if (fs.existsSync(configPath)) {
+    const configData = readJsonForValidation(report, configPath);
+    if (configData !== undefined) {
+      checkThemeReference(report, configPath, '$.theme', configData?.theme, themeIds);
+      checkThemeStrings(report, configPath, '$.fonts', configData?.fonts, THEME_FONTS);
+      validatePresenterOnlyFields(report, configPath, configData?.presenterOnlyFields);
+      validateDisplayProfiles(report, configPath, configData?.displays, themeIds);
+    }
+  }
+
+  const divisionsPath = path.join(dataDir, 'quran-divisions.json');
+  if (fs.existsSync(divisionsPath)) {
+    const divisions = readJsonForValidation(report, divisionsPath);
+    if (divisions !== undefined) {
+      validateQuranDivisions(report, divisionsPath, divisions, ayahCountBySurah);
+    }
+  }
+
+  const quranData = readJsonForValidation(report, quranDataPath);
+  if (quranData !== undefined) {
+    validateQuranDataset(report, quranDataPath, quranData, surahMetadata);
+  }
+
+  const readAll = (directory) =>
+    listJsonFiles(directory).map((filePath) => ({ filePath, data: readJsonForValidation(report, filePath) }));
+
+  const duaFiles = readAll(duaDir);
+  for (const { filePath, data } of duaFiles) {
+    if (data !== undefined) {
+      validateDua(report, filePath, data);
+    }
+  }
+  checkDuplicateIds(report, duaFiles, 'dua');
+
+  const eventFiles = readAll(eventsDir);
+  for (const { filePath, data } of eventFiles) {
+    if (data !== undefined) {
+      validateEvent(report, filePath, data);
+      checkThemeReference(report, filePath, '$.theme', data?.theme, themeIds);
+    }
+  }
+  checkDuplicateIds(report, eventFiles, 'event');
+
+  const catalog = {
+    ayahCountBySurah,
+    duaIds: new Set(
+      duaFiles
+        .filter(({ data }) => isPlainObject(data) && Array.isArray(data.lines) && data.lines.length > 0)
+        .map(({ filePath, data }) => resolveContentId(data, filePath))
+    ),
+    sectionIdsByEvent: new Map(
+      eventFiles
+        .filter(({ data }) => isPlainObject(data) && Array.isArray(data.sections))
+        .map(({ filePath, data }) => [
+          resolveContentId(data, filePath),
+          new Set(
+            data.sections.map((section, index) =>
+              String(section?.id || `section-${index + 1}`).trim().toLowerCase()
+            )
+          )
+        ])
+    )
+  };
+
+  const programmeFiles = programmesDir ? readAll(programmesDir) : [];
+  for (const { filePath, data } of programmeFiles) {
+    if (data !== undefined) {
+      validateProgramme(report, filePath, data, catalog);
+    }
+  }
+  checkDuplicateIds(report, programmeFiles, 'programme');
+
+  validateAudioLibrary(report, audioDir, ayahCountBySurah);
+
+  return report.issues;
+}
+
+function validateDuaData(data, filePath) {
+  const report = createReport(null);
+  validateDua(report, filePath, data);
+  return report.issues;
+}
+
+function validateEventData(data, filePath) {
+  const report = createReport(null);
+  validateEvent(report, filePath, data);
+  return report.issues;
+}
+
+function summarizeIssues(issues) {
+  const errors = issues.filter((issue) => issue.level === 'error').length;
+  return {
+    errors,
+    warnings: issues.length - errors
+  };
+}
+
+function formatIssue(issue) {
+  return `${issue.level.toUpperCase()} ${issue.file} ${issue.path}: ${issue.message}`;
+}
+
+module.exports = {
+  formatIssue,
+  summarizeIssues,
+  summarizeNumbers,
+  validateContent,
+  validateDuaData,
+  validateEventData
+};
@@ -0,0 +1,108 @@
+const assert = require('node:assert/strict');
+const { spawn } = require('node:child_process');
+const fs = require('node:fs');
+const path = require('node:path');
+const { after, before, test } = require('node:test');
+const WebSocket = require('ws');
+
+const ROOT_DIR = path.resolve(__dirname, '..');
+const SESSION_PATH = path.join(ROOT_DIR, 'data', 'previous-session.json');
+const PORT = 5300 + Math.floor(Math.random() * 500);
+const BASE_URL = `http://127.0.0.1:${PORT}`;
+const ADMIN_PIN = '4321';
+
+let server = null;
+let savedSession = null;
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+async function waitForServer() {
+  for (let attempt = 0; attempt < 50; attempt += 1) {
+    try {
+      const response = await fetch(`${BASE_URL}/api/bootstrap`);
+      if (response.ok) {
+        return;
+      }
+    } catch (_error) {
+      // not listening yet
+    }
+    await wait(200);
+  }
+  throw new Error('Server did not start.');
+}
+
+function connect(hello, headers = {}) {
+  const ws = new WebSocket(`${BASE_URL.replace('http', 'ws')}/ws`, { headers });
+  ws.messages = [];
+  ws.on('open', () => ws.send(JSON.stringify({ type: 'hello', ...hello })));
+  ws.on('message', (buffer) => ws.messages.push(JSON.parse(buffer.toString())));
+  return ws;
+}
+
+async function waitForMessage(ws, predicate) {
+  for (let attempt = 0; attempt < 50; attempt += 1) {
+    const message = ws.messages.find(predicate);
+    if (message) {
+      return message;
+    }
+    await wait(100);
+  }
+  throw new Error('Expected message did not arrive.');
+}
+
+before(async () => {
+  savedSession = fs.existsSync(SESSION_PATH) ? fs.readFileSync(SESSION_PATH) : null;
+  server = spawn(process.execPath, ['server/index.js', '--fresh'], {
+    cwd: ROOT_DIR,
+    env: { ...process.env, PORT: String(PORT), ADMIN_PIN },
+    stdio: 'ignore'
+  });
+  await waitForServer();
+});
+
+after(() => {
+  server?.kill();
+  if (savedSession) {
+    fs.writeFileSync(SESSION_PATH, savedSession);
+  } else {
+    fs.rmSync(SESSION_PATH, { force: true });
+  }
+});
+
+test('an unpaired control client never receives the pairing code', async () => {
+  const login = await fetch(`${BASE_URL}/api/admin/login`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ pin: ADMIN_PIN })
+  });
+  const cookie = login.headers.get('set-cookie').split(';')[0];
+
+  const admin = connect({ role: 'admin' }, { Cookie: cookie });
+  const firstCode = (await waitForMessage(admin, (message) => message.type === 'bootstrap')).pairing.code;
+
+  const rogue = connect({ role: 'control', pairingCode: '000000' });
+  await waitForMessage(rogue, (message) => message.type === 'bootstrap');
+
+  const phone = connect({ role: 'control', pairingCode: firstCode });
+  await waitForMessage(phone, (message) => message.type === 'paired');
+  const nextCode = (
+    await waitForMessage(
+      admin,
+      (message) => message.type === 'pairing_update' && message.pairing.code !== firstCode
+    )
+  ).pairing.code;
+  await wait(300);
+
+  const httpBootstrap = await (await fetch(`${BASE_URL}/api/bootstrap?role=control`)).text();
+  const rogueTraffic = JSON.stringify(rogue.messages);
+  for (const code of [firstCode, nextCode]) {
+    assert.ok(!rogueTraffic.includes(`code=${code}`), `rogue socket saw pairing code ${code}`);
+    assert.ok(!httpBootstrap.includes(`code=${code}`), `HTTP bootstrap leaked pairing code ${code}`);
+  }
+  assert.ok(!rogueTraffic.includes('data:image'), 'rogue socket saw the pairing QR code');
+  assert.ok(!rogue.messages.some((message) => message.type === 'connection_update'));
+
+  for (const ws of [admin, rogue, phone]) {
+    ws.close();
+  }
+});
@@ -0,0 +1,204 @@
+const fs = require('fs');
+const path = require('path');
+
+const { loadSurahMetadata, readJsonFile, writeJsonFile } = require('../server/loaders');
+const { summarizeNumbers } = require('../server/validation');
+
+const ROOT_DIR = path.resolve(__dirname, '..');
+const DATA_DIR = path.join(ROOT_DIR, 'data');
+const RAW_DIR = path.join(DATA_DIR, 'raw');
+const USAGE =
+  'Usage: npm run build:quran -- [--translation ur=data/raw/quran.urdu.json] [--transliteration en=<file>] [--arabic <file>] [--out <file>] [--check]';
+
+function parseArgs(argv) {
+  const options = {
+    arabic: path.join(RAW_DIR, 'quran.arabic.json'),
+    translations: { en: path.join(RAW_DIR, 'quran.english.json') },
+    transliterations: { en: path.join(RAW_DIR, 'quran.transliteration.json') },
+    out: path.join(DATA_DIR, 'quran.full.json'),
+    check: false
+  };
+
+  for (let index = 0; index < argv.length; index += 1) {
+    const match = argv[index].match(/^--(arabic|translation|transliteration|out|check)(?:=(.*))?$/);
+    if (!match) {
+      throw new Error(`Unknown argument "${argv[index]}".`);
+    }
+
+    const [, name, inlineValue] = match;
+    if (name === 'check') {
+      options.check = true;
+      continue;
+    }
+
+    const value = inlineValue !== undefined ? inlineValue : argv[(index += 1)];
+    if (!value) {
+      throw new Error(`--${name} needs a value.`);
+    }
+
+    if (name === 'arabic' || name === 'out') {
+      options[name] = resolvePath(value);
+      continue;
+    }
+
+    const source = value.match(/^([a-z]{2,3})=(.+)$/i);
+    if (!source) {
+      throw new Error(`--${name} expects <language code>=<file>, got "${value}".`);
+    }
+    options[`${name}s`][source[1].toLowerCase()] = resolvePath(source[2]);
+  }
+
+  return options;
+}
+
+function resolvePath(value) {
+  return path.isAbsolute(value) ? value : path.join(ROOT_DIR, value);
+}
+
+// Raw files use the quran-json layout: an array of surahs with an "id" and a
+// "verses" array, where each verse keeps its text under `field`.
+function readRawSource(filePath, field) {
+  if (!fs.existsSync(filePath)) {
+    throw new Error(`Source file not found: ${path.relative(ROOT_DIR, filePath)}`);
+  }
+
+  const data = readJsonFile(filePath, null);
+  if (!Array.isArray(data)) {
+    throw new Error(`${path.relative(ROOT_DIR, filePath)} is not an array of surahs.`);
+  }
+
+  const textByAyah = new Map();
+  for (const surah of data) {
+    for (const verse of surah?.verses || []) {
+      const text = String(verse?.[field] || '').trim();
+      if (text) {
+        textByAyah.set(`${Number(surah.id)}:${Number(verse.id)}`, text);
+      }
+    }
+  }
+
+  return { label: path.relative(ROOT_DIR, filePath), textByAyah };
+}
+
+function checkSource(source, surahs, report) {
+  const expected = new Set();
+
+  for (const surah of surahs) {
+    const missing = [];
+    for (let ayahNumber = 1; ayahNumber <= surah.ayahCount; ayahNumber += 1) {
+      const key = `${surah.number}:${ayahNumber}`;
+      expected.add(key);
+      if (!source.textByAyah.has(key)) {
+        missing.push(ayahNumber);
+      }
+    }
+
+    if (missing.length > 0) {
+      report(`${source.label}: Surah ${surah.number} is missing ayahs ${summarizeNumbers(missing)}`);
+    }
+  }
+
+  const extra = [...source.textByAyah.keys()].filter((key) => !expected.has(key));
+  if (extra.length > 0) {
+    console.warn(
+      `[warn] ${source.label}: ${extra.length} ayah(s) not in surah-metadata.json are ignored, starting with ${extra[0]}`
+    );
+  }
+}
+
+function collectTexts(sources, key) {
+  const texts = {};
+  for (const [code, source] of Object.entries(sources)) {
+    const text = source.textByAyah.get(key);
+    if (text) {
+      texts[code] = text;
+    }
+  }
+  return texts;
+}
+
+let options;
+let arabic;
+let translations;
+let transliterations;
+
+try {
+  options = parseArgs(process.argv.slice(2));
+  arabic = readRawSource(options.arabic, 'text');
+  translations = Object.fromEntries(
+    Object.entries(options.translations).map(([code, filePath]) => [code, readRawSource(filePath, 'translation')])
+  );
+  transliterations = Object.fromEntries(
+    Object.entries(options.transliterations).map(([code, filePath]) => [
+      code,
+      readRawSource(filePath, 'transliteration')
+    ])
+  );
+} catch (error) {
+  console.error(`[error] ${error.message}`);
+  console.error(`[hint] ${USAGE}`);
+  process.exit(1);
+}
+
+const { surahs } = loadSurahMetadata(DATA_DIR);
+let errors = 0;
+let warnings = 0;
+
+checkSource(arabic, surahs, (message) => {
+  errors += 1;
+  console.error(`[error] ${message}`);
+});
+for (const source of [...Object.values(translations), ...Object.values(transliterations)]) {
+  checkSource(source, surahs, (message) => {
+    warnings += 1;
+    console.warn(`[warn] ${message}`);
+  });
+}
+
+const totalAyahs = surahs.reduce((total, surah) => total + surah.ayahCount, 0);
+const summary = `${surahs.length} surahs, ${totalAyahs} ayahs, translations: ${
+  Object.keys(translations).join(', ') || 'none'
+}, transliterations: ${Object.keys(transliterations).join(', ') || 'none'}`;
+
+if (errors > 0) {
+  console.error(`[error] The Arabic source is incomplete, so ${path.relative(ROOT_DIR, options.out)} was not written.`);
+  process.exit(1);
+}
+
+if (options.check) {
+  console.log(`[ok] Checked ${summary} (${warnings} warning(s)). Nothing was written.`);
+  process.exit(0);
+}
+
+const describeSources = (sources) =>
+  Object.fromEntries(Object.entries(sources).map(([code, source]) => [code, source.label]));
+
+writeJsonFile(options.out, {
+  meta: {
+    type: 'full',
+    description: `Full offline Qur'an dataset built from ${path.relative(ROOT_DIR, path.dirname(options.arabic)) || '.'} by tools/build-quran.js.`,
+    sources: {
+      arabic: arabic.label,
+      translations: describeSources(translations),
+      transliterations: describeSources(transliterations)
+    },
+    generatedAt: new Date().toISOString()
+  },
+  surahs: surahs.map((surah) => ({
+    number: surah.number,
+    nameEnglish: surah.nameEnglish,
+    nameArabic: surah.nameArabic,
+    ayahs: Array.from({ length: surah.ayahCount }, (_, index) => {
+      const key = `${surah.number}:${index + 1}`;
+      return {
+        number: index + 1,
+        arabic: arabic.textByAyah.get(key),
+        translations: collectTexts(translations, key),
+        transliterations: collectTexts(transliterations, key)
+      };
+    })
+  }))
+});
+
+console.log(`[ok] Wrote ${options.out}`);
+console.log(`[ok] Built ${summary} (${warnings} warning(s)).`);
@@ -1,74 +1,74 @@
 const fs = require('fs');
 const path = require('path');
 
+const { parseDuaText, toDuaId } = require('../server/duaParser');
+const { writeJsonFile } = require('../server/loaders');
+
 const ROOT_DIR = path.resolve(__dirname, '..');
-const inputArg = process.argv[2] || 'data/duas/iftitah.raw.txt';
-const outputArg = process.argv[3] || 'data/duas/iftitah.json';
+const USAGE = 'Usage: npm run format:dua -- <input.raw.txt> [output.json] --title "Dua title" [--id dua-id]';
 
-const inputPath = path.isAbsolute(inputArg) ? inputArg : path.join(ROOT_DIR, inputArg);
-const outputPath = path.isAbsolute(outputArg) ? outputArg : path.join(ROOT_DIR, outputArg);
+function parseArgs(argv) {
+  const positional = [];
+  const options = {};
 
-function resolveDuaId(filePath) {
-  const base = path.basename(filePath, path.extname(filePath));
-  return base.replace(/[^a-zA-Z0-9_-]/g, '').toLowerCase() || 'dua';
-}
+  for (let index = 0; index < argv.length; index += 1) {
+    const arg = argv[index];
+    const match = arg.match(/^--(title|id)(?:=(.*))?$/);
+    if (!match) {
+      positional.push(arg);
+      continue;
+    }
 
-function resolveDuaTitle(duaId) {
-  if (duaId === 'iftitah') {
-    return 'Duʿāʾ al-Iftitāḥ';
+    options[match[1]] = match[2] !== undefined ? match[2] : argv[index + 1];
+    if (match[2] === undefined) {
+      index += 1;
+    }
   }
 
-  if (duaId === 'kumayl') {
-    return 'Duʿāʾ Kumayl';
-  }
+  return { positional, options };
+}
 
-  return `Duʿāʾ ${duaId}`;
+function resolvePath(value) {
+  return path.isAbsolute(value) ? value : path.join(ROOT_DIR, value);
 }
 
-if (!fs.existsSync(inputPath)) {
-  console.error(`[error] Input file not found: ${inputPath}`);
-  console.error('[hint] Create the raw file first, then run: npm run format:iftitah');
+const { positional, options } = parseArgs(process.argv.slice(2));
+
+if (!positional[0]) {
+  console.error('[error] Pass the raw text file to format.');
+  console.error(`[hint] ${USAGE}`);
   process.exit(1);
 }
 
-const raw = fs.readFileSync(inputPath, 'utf8');
-const logicalLines = raw
-  .split(/\r?\n/)
-  .map((line) => line.trim())
-  .filter((line) => line.length > 0);
+const inputPath = resolvePath(positional[0]);
+const duaId = toDuaId(options.id || path.basename(inputPath, path.extname(inputPath)));
+const outputPath = resolvePath(positional[1] || path.join(path.dirname(inputPath), `${duaId}.json`));
+const title = String(options.title || '').trim();
 
-if (logicalLines.length === 0) {
-  console.error('[error] The input file is empty after removing blank lines.');
-  console.error('[hint] Paste triplets: Arabic line, transliteration line, English line, then repeat.');
+if (!fs.existsSync(inputPath)) {
+  console.error(`[error] Input file not found: ${inputPath}`);
   process.exit(1);
 }
 
-if (logicalLines.length % 3 !== 0) {
-  console.error(
-    `[error] Invalid line count: ${logicalLines.length}. Expected a multiple of 3 (Arabic, transliteration, English).`
-  );
-  console.error('[hint] Check for a missing or extra line in one of the triplets.');
+if (!duaId || !title) {
+  console.error('[error] A dua needs an id and a title.');
+  console.error(`[hint] ${USAGE}`);
   process.exit(1);
 }
 
-const lines = [];
-for (let i = 0; i < logicalLines.length; i += 3) {
-  lines.push({
-    arabic: logicalLines[i],
-    transliteration: logicalLines[i + 1],
-    english: logicalLines[i + 2]
-  });
+const { lines, issues, rawLineCount } = parseDuaText(fs.readFileSync(inputPath, 'utf8'));
+
+if (lines.length === 0) {
+  console.error('[error] The input file is empty after removing blank lines.');
+  console.error('[hint] Paste each Arabic line followed by its transliteration and English.');
+  process.exit(1);
 }
 
-const duaId = resolveDuaId(outputPath).replace(/\.json$/, '');
-const output = {
-  id: duaId,
-  title: resolveDuaTitle(duaId),
-  lines
-};
+for (const issue of issues) {
+  console.warn(`[warn] Line ${issue.line} (raw line ${issue.sourceLine}): ${issue.message}`);
+}
 
-fs.mkdirSync(path.dirname(outputPath), { recursive: true });
-fs.writeFileSync(outputPath, JSON.stringify(output, null, 2));
+writeJsonFile(outputPath, { id: duaId, title, lines });
 
 console.log(`[ok] Wrote ${outputPath}`);
-console.log(`[ok] Parsed ${lines.length} line groups (${logicalLines.length} non-blank lines).`);
+console.log(`[ok] Parsed ${lines.length} line groups (${rawLineCount} non-blank lines, ${issues.length} to review).`);
@@ -0,0 +1,34 @@
+const path = require('path');
+const dotenv = require('dotenv');
+
+const { resolveQuranDataPath } = require('../server/loaders');
+const { formatIssue, summarizeIssues, validateContent } = require('../server/validation');
+
+const ROOT_DIR = path.resolve(__dirname, '..');
+const DATA_DIR = path.join(ROOT_DIR, 'data');
+
+dotenv.config({ path: path.join(ROOT_DIR, '.env') });
+
+const issues = validateContent({
+  rootDir: ROOT_DIR,
+  dataDir: DATA_DIR,
+  duaDir: path.join(DATA_DIR, 'duas'),
+  eventsDir: path.join(DATA_DIR, 'events'),
+  programmesDir: path.join(DATA_DIR, 'programmes'),
+  quranDataPath: resolveQuranDataPath(ROOT_DIR, DATA_DIR),
+  audioDir: path.join(DATA_DIR, 'audio'),
+  themesDir: path.join(DATA_DIR, 'themes')
+});
+
+issues.forEach((issue) => {
+  console.log(formatIssue(issue));
+});
+
+const { errors, warnings } = summarizeIssues(issues);
+if (issues.length === 0) {
+  console.log('[ok] All content files are valid.');
+} else {
+  console.log(`\n${errors} error(s), ${warnings} warning(s).`);
+}
+
+process.exit(errors > 0 ? 1 : 0);